@@ -0,0 +1,299 @@
+/**
+ * accuracy.js — Prediction Accuracy Tracking
+ *
+ * Grades past signals against the prices that followed them. Every analysis
+ * refresh records its call here; once `horizon` further bars have arrived
+ * the call is scored as a directional hit or miss with its realised return.
+ * Graded calls are kept in localStorage so accuracy accumulates across
+ * sessions and closed tabs. Exposes window.Accuracy:
+ *
+ *   Accuracy.horizon / setHorizon(n)         — bars to wait before grading (persisted)
+ *   Accuracy.grade(entries, bars, horizon)   — grade entries in place; returns how many were graded
+ *   Accuracy.track(ticker, interval, entry)  — remember a call for the per-ticker log
+ *   Accuracy.gradeTracked(ticker, interval, bars) — grade pending calls in the log
+ *   Accuracy.stats(entries)                  — hit rate, returns and calibration of graded entries
+ *   Accuracy.rollup(key)                     — stats of the log grouped by 'ticker' or 'interval'
+ *   Accuracy.records(ticker, interval)       — log entries for one ticker/interval
+ *   Accuracy.replayBands(bars, forecastFn, opts, onProgress) — band coverage of a price-path forecaster
+ *
+ * An entry is a history item: { barTime, direction, confidence, score }
+ * where barTime is the epoch ms of the last bar the call was made on.
+ * Grading adds entry.grade = { horizon, exitTime, realizedReturn, hit }:
+ *   - realizedReturn : close[t + horizon] / close[t] − 1, in percent
+ *   - hit            : realised move agrees with the call's side;
+ *                      null for NEUTRAL calls, which are not counted.
+ *
+ * Auto-refresh repeats the call on the same bar many times; the log keeps
+ * the last call per bar so those repeats do not inflate the counts.
+ *
+ * replayBands() re-runs a generatePricePredictions()-style forecaster on
+ * historical prefixes and checks, for each horizon T+1…T+periods, how often
+ * the realised close fell inside [lower, upper], plus MAE/MAPE of the point
+ * forecast. It resolves to
+ *   { origins, horizons: [{ period, samples, coverage, mae, mape, widthPct }], overall }
+ * with coverage, mape and widthPct (mean band width / price) in percent.
+ */
+window.Accuracy = (function () {
+    'use strict';
+
+    const STORAGE_KEY     = 'predictionAccuracy';
+    const DEFAULT_HORIZON = 5;
+    const MAX_RECORDS     = 5000;
+    const BIN_WIDTH       = 10;   // confidence points per reliability bin
+    const REPLAY_CHUNK    = 25;   // forecast origins between yields to the UI thread
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    let _state = { horizon: DEFAULT_HORIZON, records: {} };
+
+    // ── Persistence ────────────────────────────────────────────────────────────
+
+    function _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && saved.records) _state = saved;
+        } catch (err) {
+            console.warn('[Accuracy] Could not read accuracy log:', err.message);
+        }
+    }
+
+    function _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(_state));
+        } catch (err) {
+            console.warn('[Accuracy] Could not persist accuracy log:', err.message);
+        }
+    }
+
+    function _prune() {
+        const keys = Object.keys(_state.records);
+        if (keys.length <= MAX_RECORDS) return;
+        keys.sort((a, b) => _state.records[a].barTime - _state.records[b].barTime)
+            .slice(0, keys.length - MAX_RECORDS)
+            .forEach(k => { delete _state.records[k]; });
+    }
+
+    // ── Grading ────────────────────────────────────────────────────────────────
+
+    function _side(direction) {
+        if (direction.indexOf('BULLISH') !== -1) return 1;
+        if (direction.indexOf('BEARISH') !== -1) return -1;
+        return 0;
+    }
+
+    /** Index of the last bar at or before `time`, or -1. */
+    function _barIndexAt(bars, time) {
+        for (let i = bars.length - 1; i >= 0; i--) {
+            if (bars[i].date.getTime() <= time) return i;
+        }
+        return -1;
+    }
+
+    function grade(entries, bars, horizon) {
+        horizon = horizon || _state.horizon;
+        let graded = 0;
+        entries.forEach(entry => {
+            if (!entry.barTime || (entry.grade && entry.grade.horizon === horizon)) return;
+            entry.grade = null;
+
+            const idx = _barIndexAt(bars, entry.barTime);
+            if (idx === -1 || idx + horizon >= bars.length) return;
+
+            const side = _side(entry.direction);
+            const ret  = (bars[idx + horizon].close / bars[idx].close - 1) * 100;
+            entry.grade = {
+                horizon:        horizon,
+                exitTime:       bars[idx + horizon].date.getTime(),
+                realizedReturn: ret,
+                hit:            side === 0 ? null : side * ret > 0
+            };
+            graded++;
+        });
+        return graded;
+    }
+
+    // ── Per-ticker log ─────────────────────────────────────────────────────────
+
+    function _recordKey(ticker, interval, barTime) {
+        return ticker.toUpperCase() + ':' + interval + ':' + barTime;
+    }
+
+    function track(ticker, interval, entry) {
+        if (!entry.barTime) return;
+        _state.records[_recordKey(ticker, interval, entry.barTime)] = {
+            ticker:     ticker.toUpperCase(),
+            interval:   interval,
+            barTime:    entry.barTime,
+            direction:  entry.direction,
+            confidence: entry.confidence,
+            score:      entry.score,
+            grade:      null
+        };
+        _prune();
+        _save();
+    }
+
+    function records(ticker, interval) {
+        const t = ticker.toUpperCase();
+        return Object.keys(_state.records)
+            .map(k => _state.records[k])
+            .filter(r => r.ticker === t && r.interval === interval)
+            .sort((a, b) => a.barTime - b.barTime);
+    }
+
+    function gradeTracked(ticker, interval, bars) {
+        const graded = grade(records(ticker, interval), bars, _state.horizon);
+        if (graded > 0) _save();
+        return graded;
+    }
+
+    // ── Statistics ─────────────────────────────────────────────────────────────
+
+    /**
+     * @returns {{ total, graded, calls, hits, hitRate, avgReturn, avgCallReturn,
+     *             calibrationError, bins: [{ from, to, count, confidence, hitRate }] }}
+     * avgCallReturn is the realised return in the direction of the call;
+     * calibrationError is the count-weighted |confidence − hit rate| over bins.
+     */
+    function stats(entries) {
+        const graded = entries.filter(e => e.grade && e.grade.horizon === _state.horizon);
+        const calls  = graded.filter(e => e.grade.hit !== null);
+        const hits   = calls.filter(e => e.grade.hit).length;
+
+        const bins = [];
+        for (let from = 0; from < 100; from += BIN_WIDTH) {
+            const inBin = calls.filter(e => {
+                const c = parseFloat(e.confidence);
+                return c >= from && (c < from + BIN_WIDTH || (from + BIN_WIDTH === 100 && c <= 100));
+            });
+            if (inBin.length === 0) continue;
+            bins.push({
+                from:       from,
+                to:         from + BIN_WIDTH,
+                count:      inBin.length,
+                confidence: inBin.reduce((a, e) => a + parseFloat(e.confidence), 0) / inBin.length,
+                hitRate:    inBin.filter(e => e.grade.hit).length / inBin.length * 100
+            });
+        }
+
+        const calibrationError = calls.length
+            ? bins.reduce((a, b) => a + b.count * Math.abs(b.confidence - b.hitRate), 0) / calls.length
+            : null;
+
+        return {
+            total:            entries.length,
+            graded:           graded.length,
+            calls:            calls.length,
+            hits:             hits,
+            hitRate:          calls.length ? hits / calls.length * 100 : null,
+            avgReturn:        graded.length ? graded.reduce((a, e) => a + e.grade.realizedReturn, 0) / graded.length : null,
+            avgCallReturn:    calls.length
+                ? calls.reduce((a, e) => a + _side(e.direction) * e.grade.realizedReturn, 0) / calls.length
+                : null,
+            calibrationError: calibrationError,
+            bins:             bins
+        };
+    }
+
+    /** Stats of the whole log grouped by 'ticker' or 'interval', largest groups first. */
+    function rollup(key) {
+        const groups = {};
+        Object.keys(_state.records).forEach(k => {
+            const r = _state.records[k];
+            (groups[r[key]] = groups[r[key]] || []).push(r);
+        });
+        return Object.keys(groups)
+            .map(name => Object.assign({ name: name }, stats(groups[name])))
+            .filter(s => s.graded > 0)
+            .sort((a, b) => b.graded - a.graded);
+    }
+
+    // ── Forecast band replay ───────────────────────────────────────────────────
+
+    /**
+     * @param {Array} bars          — ascending OHLCV bars
+     * @param {Function} forecastFn — (bars, i) → [{ period, price, upper, lower }] from
+     *                                bars[0…i] only; called with increasing i
+     * @param {Object} [opts]       — { periods = 10, warmup = 50, maxOrigins = 400 }
+     *                                Longer series are sampled evenly down to maxOrigins.
+     * @param {Function} [onProgress] — called with 0…1 while running
+     */
+    async function replayBands(bars, forecastFn, opts, onProgress) {
+        const o = Object.assign({ periods: 10, warmup: 50, maxOrigins: 400 }, opts || {});
+        const first = o.warmup - 1;
+        const last  = bars.length - 2;
+        if (last < first) {
+            throw new Error('Band replay needs at least ' + (o.warmup + 1) + ' bars, got ' + bars.length);
+        }
+        const step = Math.max(1, Math.ceil((last - first + 1) / o.maxOrigins));
+
+        const acc = [];
+        for (let k = 0; k < o.periods; k++) acc.push({ samples: 0, inside: 0, absErr: 0, pctErr: 0, width: 0 });
+
+        let origins = 0;
+        for (let i = first; i <= last; i += step) {
+            const path = forecastFn(bars, i);
+            for (let k = 0; k < o.periods && i + k + 1 < bars.length; k++) {
+                const actual = bars[i + k + 1].close;
+                const p = path[k];
+                const a = acc[k];
+                a.samples++;
+                if (actual >= p.lower && actual <= p.upper) a.inside++;
+                a.absErr += Math.abs(p.price - actual);
+                a.pctErr += Math.abs(p.price - actual) / actual * 100;
+                a.width  += (p.upper - p.lower) / p.price * 100;
+            }
+            origins++;
+
+            if (origins % REPLAY_CHUNK === 0) {
+                if (onProgress) onProgress((i - first + 1) / (last - first + 1));
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const summarize = a => ({
+            samples:  a.samples,
+            coverage: a.samples ? a.inside / a.samples * 100 : null,
+            mae:      a.samples ? a.absErr / a.samples : null,
+            mape:     a.samples ? a.pctErr / a.samples : null,
+            widthPct: a.samples ? a.width / a.samples : null
+        });
+
+        const total = acc.reduce((t, a) => ({
+            samples: t.samples + a.samples,
+            inside:  t.inside + a.inside,
+            absErr:  t.absErr + a.absErr,
+            pctErr:  t.pctErr + a.pctErr,
+            width:   t.width + a.width
+        }), { samples: 0, inside: 0, absErr: 0, pctErr: 0, width: 0 });
+
+        if (onProgress) onProgress(1);
+
+        return {
+            origins:  origins,
+            horizons: acc.map((a, k) => Object.assign({ period: k + 1 }, summarize(a))),
+            overall:  summarize(total)
+        };
+    }
+
+    function setHorizon(n) {
+        n = parseInt(n, 10);
+        if (!(n > 0)) return;
+        _state.horizon = n;
+        _save();
+    }
+
+    _load();
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        get horizon() { return _state.horizon; },
+        setHorizon,
+        grade,
+        track,
+        gradeTracked,
+        records,
+        stats,
+        rollup,
+        replayBands
+    };
+})();
@@ -0,0 +1,681 @@
+/**
+ * analysis.js — Indicators & Rule Engine
+ *
+ * calculateIndicators(), its streaming counterparts createIndicatorStream(),
+ * replayIndicators() and extendIndicators(), tradingRules, predictDirection()
+ * and describeAnomalyDrivers(), shared by the page (app.js) and by Web
+ * Workers, which load this file with importScripts after `self.window =
+ * self`. Plain global functions, no DOM access; needs indicators.js,
+ * indicatorstream.js, rules.js and ruledsl.js first.
+ */
+
+// ==================== TECHNICAL INDICATORS ====================
+// The series math lives in indicators.js (shared with vae.js); this picks the
+// periods the rules use and flattens the latest values for predictDirection.
+// Momentum for the rules is the change over 5 bars; the VAE feature uses 10.
+const MOMENTUM_LOOKBACK = 5;
+
+function calculateIndicators(data) {
+    const closes = data.map(function(d) { return d.close; });
+    const volumes = data.map(function(d) { return d.volume; });
+    // Bars without a range (some imported files) fall back to the close
+    const highs = data.map(function(d) { return d.high != null ? d.high : d.close; });
+    const lows = data.map(function(d) { return d.low != null ? d.low : d.close; });
+
+    const ind = window.Indicators;
+    const sma20 = ind.sma(closes, 20);
+    const sma50 = ind.sma(closes, 50);
+    const rsi = ind.rsi(closes, 14);
+    const macd = ind.macd(closes, 12, 26, 9);
+    const bb = ind.bollinger(closes, 20, 2);
+    const stoch = ind.stochastic(highs, lows, closes, 14, 3);
+    const atr = ind.atr(highs, lows, closes, 14);
+    const adx = ind.adx(highs, lows, closes, 14);
+    const vwap = ind.vwap(data, 20);
+    const obv = ind.obv(closes, volumes);
+    const obvSma = ind.sma(obv, 20);
+    const ichimoku = ind.ichimoku(highs, lows, closes);
+    const fibonacci = ind.fibonacci(highs, lows, 100);
+    const last = closes.length - 1;
+
+    const avgVolume = volumes.slice(-20).reduce(function(a, b) { return a + b; }, 0) / 20;
+    const volumeRatio = volumes[last] / avgVolume;
+    const momentum = (closes[last] - closes[last - MOMENTUM_LOOKBACK]) / closes[last - MOMENTUM_LOOKBACK] * 100;
+
+    return {
+        currentPrice: closes[closes.length - 1],
+        sma20: sma20[sma20.length - 1],
+        sma50: sma50[sma50.length - 1],
+        rsi: rsi[rsi.length - 1],
+        macd: macd.macd[macd.macd.length - 1],
+        macdSignal: macd.signal[macd.signal.length - 1],
+        macdHistogram: macd.histogram[macd.histogram.length - 1],
+        bbUpper: bb.upper[bb.upper.length - 1],
+        bbMiddle: bb.middle[bb.middle.length - 1],
+        bbLower: bb.lower[bb.lower.length - 1],
+        volumeRatio: volumeRatio,
+        momentum: momentum,
+        previousClose: last > 0 ? closes[last - 1] : null,
+        stochK: stoch.k[last],
+        stochD: stoch.d[last],
+        atr: atr[last],
+        adx: adx.adx[last],
+        plusDI: adx.plusDI[last],
+        minusDI: adx.minusDI[last],
+        vwap: vwap[last],
+        obv: obv[last],
+        obvSma: obvSma[last],
+        ichimokuTenkan: ichimoku.tenkan[last],
+        ichimokuKijun: ichimoku.kijun[last],
+        ichimokuSpanA: ichimoku.spanA[last],
+        ichimokuSpanB: ichimoku.spanB[last],
+        fibHigh: fibonacci.high,
+        fibLow: fibonacci.low,
+        fibTrend: fibonacci.trend === 'up' ? 1 : -1,
+        closes: closes,
+        sma20Full: sma20,
+        sma50Full: sma50,
+        // Full series for the chart, aligned to `data`
+        series: {
+            rsi: rsi,
+            macd: macd.macd,
+            macdSignal: macd.signal,
+            macdHistogram: macd.histogram,
+            bbUpper: bb.upper,
+            bbMiddle: bb.middle,
+            bbLower: bb.lower,
+            stochK: stoch.k,
+            stochD: stoch.d,
+            atr: atr,
+            adx: adx.adx,
+            plusDI: adx.plusDI,
+            minusDI: adx.minusDI,
+            vwap: vwap,
+            obv: obv,
+            ichimoku: ichimoku
+        },
+        fibonacci: fibonacci
+    };
+}
+
+// Bar-by-bar counterpart for walk-forward replays (simulator, backtests, band
+// replay, signal markers, optimizer): same scalars, O(1) per bar, no series.
+function createIndicatorStream() {
+    return window.IndicatorStream.create({ momentum: MOMENTUM_LOOKBACK });
+}
+
+// Returns indicatorsAt(i): the indicators on bar i's close, fed from one
+// stream. Cheap while i moves forward; going back replays from the start.
+function replayIndicators(bars) {
+    let stream = createIndicatorStream();
+    return function(i) {
+        if (i < stream.count - 1) stream = createIndicatorStream();
+        while (stream.count <= i) stream.push(bars[stream.count]);
+        return stream.snapshot();
+    };
+}
+
+// Chart series that extendIndicators() fills from stream snapshots
+const STREAMED_SERIES = ['rsi', 'macd', 'macdSignal', 'macdHistogram', 'bbUpper', 'bbMiddle', 'bbLower',
+    'stochK', 'stochD', 'atr', 'adx', 'plusDI', 'minusDI', 'vwap', 'obv'];
+const STREAMED_ICHIMOKU = { tenkan: 'ichimokuTenkan', kijun: 'ichimokuKijun', spanA: 'ichimokuSpanA', spanB: 'ichimokuSpanB' };
+
+// Auto-refresh fast path. `stream` has seen data[0 .. stream.count - 1] and
+// `indicators` came from calculateIndicators() on bars that start the same
+// way. Pushes the remaining bars and returns { indicators, stream }: the same
+// result as calculateIndicators(data) (but see the VWAP note in
+// indicatorstream.js), and the stream one bar short of the end, so a
+// still-forming last bar can be replaced on the next refresh.
+function extendIndicators(indicators, stream, data) {
+    const from = stream.count;
+    const keep = function(values) { return values.slice(0, from); };
+    const series = {};
+    STREAMED_SERIES.forEach(function(key) { series[key] = keep(indicators.series[key]); });
+    const ichimoku = {};
+    Object.keys(STREAMED_ICHIMOKU).forEach(function(key) { ichimoku[key] = keep(indicators.series.ichimoku[key]); });
+    const sma20 = keep(indicators.sma20Full);
+    const sma50 = keep(indicators.sma50Full);
+
+    let checkpoint = null;
+    let latest = null;
+    for (let i = from; i < data.length; i++) {
+        if (i === data.length - 1) checkpoint = stream.clone();
+        latest = stream.push(data[i]).snapshot();
+        STREAMED_SERIES.forEach(function(key) { series[key].push(latest[key]); });
+        Object.keys(STREAMED_ICHIMOKU).forEach(function(key) { ichimoku[key].push(latest[STREAMED_ICHIMOKU[key]]); });
+        sma20.push(latest.sma20);
+        sma50.push(latest.sma50);
+    }
+
+    // The lagging span looks ahead, and the swing is found over the last bars:
+    // both are cheap to redo in full
+    const closes = data.map(function(d) { return d.close; });
+    const highs = data.map(function(d) { return d.high != null ? d.high : d.close; });
+    const lows = data.map(function(d) { return d.low != null ? d.low : d.close; });
+    const displacement = window.IndicatorStream.DEFAULTS.ichimoku[3];
+    ichimoku.chikou = closes.map(function(c, i) { return i + displacement < closes.length ? closes[i + displacement] : null; });
+    series.ichimoku = ichimoku;
+
+    return {
+        indicators: Object.assign(latest, {
+            closes: closes,
+            sma20Full: sma20,
+            sma50Full: sma50,
+            series: series,
+            fibonacci: window.Indicators.fibonacci(highs, lows, window.IndicatorStream.DEFAULTS.fibonacci)
+        }),
+        stream: checkpoint
+    };
+}
+
+// ==================== TRADING RULES & PREDICTION ====================
+// Fallback rule set; each tab carries its own copy of a profile from rules.js
+const tradingRules = window.RuleProfiles.get(window.RuleProfiles.DEFAULT_NAME);
+
+function predictDirection(indicators, vaeResult, rules) {
+    rules = rules || tradingRules;
+    let score = 0;
+    const reasons = [];
+    let confirmations = 0;
+
+    // Moving Averages
+    if (rules.enabled.movingAverages) {
+        const weight = rules.weights.movingAverages;
+        if (indicators.currentPrice > indicators.sma20 && indicators.sma20 > indicators.sma50) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Moving Averages',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Price ($' + indicators.currentPrice.toFixed(2) + ') above SMA20 ($' + indicators.sma20.toFixed(2) + ') and SMA50'
+            });
+        } else if (indicators.currentPrice < indicators.sma20 && indicators.sma20 < indicators.sma50) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Moving Averages',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Price below both moving averages, downward trend'
+            });
+        } else {
+            reasons.push({
+                indicator: 'Moving Averages',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'Mixed signals, no clear trend direction'
+            });
+        }
+    }
+
+    // RSI
+    if (rules.enabled.rsi) {
+        const weight = rules.weights.rsi;
+        if (indicators.rsi < rules.thresholds.rsiOversold) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'RSI',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'RSI ' + indicators.rsi.toFixed(1) + ' oversold, potential bounce'
+            });
+        } else if (indicators.rsi > rules.thresholds.rsiOverbought) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'RSI',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'RSI ' + indicators.rsi.toFixed(1) + ' overbought, potential pullback'
+            });
+        } else if (indicators.rsi > rules.thresholds.rsiNeutral) {
+            score += weight / 3;
+            reasons.push({
+                indicator: 'RSI',
+                signal: 'SLIGHTLY BULLISH',
+                weight: weight / 3,
+                description: 'RSI ' + indicators.rsi.toFixed(1) + ' above neutral'
+            });
+        } else {
+            score -= weight / 3;
+            reasons.push({
+                indicator: 'RSI',
+                signal: 'SLIGHTLY BEARISH',
+                weight: weight / 3,
+                description: 'RSI ' + indicators.rsi.toFixed(1) + ' below neutral'
+            });
+        }
+    }
+
+    // MACD
+    if (rules.enabled.macd) {
+        const weight = rules.weights.macd;
+        if (indicators.macd > indicators.macdSignal && indicators.macdHistogram > 0) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'MACD',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'MACD above signal line, positive momentum'
+            });
+        } else if (indicators.macd < indicators.macdSignal && indicators.macdHistogram < 0) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'MACD',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'MACD below signal line, negative momentum'
+            });
+        } else {
+            reasons.push({
+                indicator: 'MACD',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'No strong directional signal'
+            });
+        }
+    }
+
+    // Bollinger Bands
+    if (rules.enabled.bollingerBands) {
+        const weight = rules.weights.bollingerBands;
+        const bbPosition = (indicators.currentPrice - indicators.bbLower) / (indicators.bbUpper - indicators.bbLower);
+
+        if (bbPosition < rules.thresholds.bbLowerZone) {
+            score += weight;
+            reasons.push({
+                indicator: 'Bollinger Bands',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Price near lower band, oversold'
+            });
+        } else if (bbPosition > rules.thresholds.bbUpperZone) {
+            score -= weight;
+            reasons.push({
+                indicator: 'Bollinger Bands',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Price near upper band, overbought'
+            });
+        } else {
+            reasons.push({
+                indicator: 'Bollinger Bands',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'Price within normal range'
+            });
+        }
+    }
+
+    // Volume
+    if (rules.enabled.volume) {
+        const weight = rules.weights.volume;
+        if (indicators.volumeRatio > rules.thresholds.volumeHigh) {
+            if (score > 0) {
+                score += weight;
+                reasons.push({
+                    indicator: 'Volume',
+                    signal: 'CONFIRMS BULLISH',
+                    weight: weight,
+                    description: 'High volume (' + (indicators.volumeRatio * 100).toFixed(0) + '%) confirms uptrend'
+                });
+            } else {
+                score -= weight;
+                reasons.push({
+                    indicator: 'Volume',
+                    signal: 'CONFIRMS BEARISH',
+                    weight: weight,
+                    description: 'High volume confirms downtrend'
+                });
+            }
+        }
+    }
+
+    // Momentum
+    if (rules.enabled.momentum) {
+        const weight = rules.weights.momentum;
+        if (indicators.momentum > rules.thresholds.momentumStrong) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Momentum',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Strong positive momentum +' + indicators.momentum.toFixed(2) + '%'
+            });
+        } else if (indicators.momentum < -rules.thresholds.momentumStrong) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Momentum',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Strong negative momentum ' + indicators.momentum.toFixed(2) + '%'
+            });
+        }
+    }
+
+    // Stochastic — %K turning against an extreme
+    if (rules.enabled.stochastic && indicators.stochK !== null && indicators.stochD !== null) {
+        const weight = rules.weights.stochastic;
+        if (indicators.stochK < rules.thresholds.stochOversold && indicators.stochK > indicators.stochD) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Stochastic',
+                signal: 'BULLISH',
+                weight: weight,
+                description: '%K ' + indicators.stochK.toFixed(1) + ' oversold and crossing above %D'
+            });
+        } else if (indicators.stochK > rules.thresholds.stochOverbought && indicators.stochK < indicators.stochD) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Stochastic',
+                signal: 'BEARISH',
+                weight: weight,
+                description: '%K ' + indicators.stochK.toFixed(1) + ' overbought and crossing below %D'
+            });
+        } else {
+            reasons.push({
+                indicator: 'Stochastic',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: '%K ' + indicators.stochK.toFixed(1) + ', %D ' + indicators.stochD.toFixed(1) + ', no reversal setup'
+            });
+        }
+    }
+
+    // ATR — last bar's move measured in average true ranges
+    if (rules.enabled.atr && indicators.atr && indicators.previousClose !== null) {
+        const weight = rules.weights.atr;
+        const move = (indicators.currentPrice - indicators.previousClose) / indicators.atr;
+        if (move > rules.thresholds.atrBreakout) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'ATR',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Range expansion up: +' + move.toFixed(1) + ' ATR ($' + indicators.atr.toFixed(2) + ')'
+            });
+        } else if (move < -rules.thresholds.atrBreakout) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'ATR',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Range expansion down: ' + move.toFixed(1) + ' ATR ($' + indicators.atr.toFixed(2) + ')'
+            });
+        } else {
+            reasons.push({
+                indicator: 'ATR',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'Last move ' + move.toFixed(1) + ' ATR, within normal volatility'
+            });
+        }
+    }
+
+    // ADX — trend strength, direction from the DI lines
+    if (rules.enabled.adx && indicators.adx !== null) {
+        const weight = rules.weights.adx;
+        if (indicators.adx >= rules.thresholds.adxTrend && indicators.plusDI > indicators.minusDI) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'ADX',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Strong trend (ADX ' + indicators.adx.toFixed(1) + ') led by +DI'
+            });
+        } else if (indicators.adx >= rules.thresholds.adxTrend && indicators.minusDI > indicators.plusDI) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'ADX',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Strong trend (ADX ' + indicators.adx.toFixed(1) + ') led by -DI'
+            });
+        } else {
+            reasons.push({
+                indicator: 'ADX',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'ADX ' + indicators.adx.toFixed(1) + ', no strong trend'
+            });
+        }
+    }
+
+    // VWAP
+    if (rules.enabled.vwap && indicators.vwap !== null) {
+        const weight = rules.weights.vwap;
+        if (indicators.currentPrice > indicators.vwap) {
+            score += weight;
+            reasons.push({
+                indicator: 'VWAP',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Price above VWAP ($' + indicators.vwap.toFixed(2) + ')'
+            });
+        } else if (indicators.currentPrice < indicators.vwap) {
+            score -= weight;
+            reasons.push({
+                indicator: 'VWAP',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Price below VWAP ($' + indicators.vwap.toFixed(2) + ')'
+            });
+        }
+    }
+
+    // OBV — volume flow against its 20-bar average
+    if (rules.enabled.obv && indicators.obvSma !== null) {
+        const weight = rules.weights.obv;
+        if (indicators.obv > indicators.obvSma) {
+            score += weight;
+            reasons.push({
+                indicator: 'OBV',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'On-balance volume above its 20-bar average, accumulation'
+            });
+        } else if (indicators.obv < indicators.obvSma) {
+            score -= weight;
+            reasons.push({
+                indicator: 'OBV',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'On-balance volume below its 20-bar average, distribution'
+            });
+        }
+    }
+
+    // Ichimoku — price against the cloud, confirmed by Tenkan/Kijun
+    if (rules.enabled.ichimoku && indicators.ichimokuSpanA !== null && indicators.ichimokuSpanB !== null) {
+        const weight = rules.weights.ichimoku;
+        const cloudTop = Math.max(indicators.ichimokuSpanA, indicators.ichimokuSpanB);
+        const cloudBottom = Math.min(indicators.ichimokuSpanA, indicators.ichimokuSpanB);
+        if (indicators.currentPrice > cloudTop && indicators.ichimokuTenkan > indicators.ichimokuKijun) {
+            score += weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Ichimoku',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Price above the cloud ($' + cloudTop.toFixed(2) + '), Tenkan above Kijun'
+            });
+        } else if (indicators.currentPrice < cloudBottom && indicators.ichimokuTenkan < indicators.ichimokuKijun) {
+            score -= weight;
+            confirmations++;
+            reasons.push({
+                indicator: 'Ichimoku',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Price below the cloud ($' + cloudBottom.toFixed(2) + '), Tenkan below Kijun'
+            });
+        } else {
+            reasons.push({
+                indicator: 'Ichimoku',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: indicators.currentPrice >= cloudBottom && indicators.currentPrice <= cloudTop
+                    ? 'Price inside the cloud, no trend'
+                    : 'Cloud and Tenkan/Kijun disagree'
+            });
+        }
+    }
+
+    // Fibonacci — holding a key retracement of the recent swing
+    if (rules.enabled.fibonacci && indicators.fibHigh > indicators.fibLow) {
+        const weight = rules.weights.fibonacci;
+        const range = indicators.fibHigh - indicators.fibLow;
+        const near = [0.382, 0.5, 0.618].find(function(ratio) {
+            const level = indicators.fibTrend > 0 ? indicators.fibHigh - range * ratio : indicators.fibLow + range * ratio;
+            return Math.abs(indicators.currentPrice - level) / level * 100 <= rules.thresholds.fibProximity;
+        });
+        if (near !== undefined && indicators.fibTrend > 0) {
+            score += weight;
+            reasons.push({
+                indicator: 'Fibonacci',
+                signal: 'BULLISH',
+                weight: weight,
+                description: 'Pulled back to the ' + (near * 100).toFixed(1) + '% retracement of the up-swing'
+            });
+        } else if (near !== undefined) {
+            score -= weight;
+            reasons.push({
+                indicator: 'Fibonacci',
+                signal: 'BEARISH',
+                weight: weight,
+                description: 'Bounced to the ' + (near * 100).toFixed(1) + '% retracement of the down-swing'
+            });
+        } else {
+            reasons.push({
+                indicator: 'Fibonacci',
+                signal: 'NEUTRAL',
+                weight: 0,
+                description: 'Price not near a key retracement level'
+            });
+        }
+    }
+
+    // User-written rules (rule DSL); lines that fail to compile are skipped
+    if (rules.customRules) {
+        window.RuleDSL.evaluate(window.RuleDSL.compile(rules.customRules).rules, indicators).forEach(function(rule) {
+            score += rule.weight;
+            confirmations++;
+            reasons.push({
+                indicator: escapeHTML(rule.label || 'Custom Rule'),
+                signal: rule.weight > 0 ? 'BULLISH' : rule.weight < 0 ? 'BEARISH' : 'NEUTRAL',
+                weight: Math.abs(rule.weight),
+                description: escapeHTML(rule.conditionText) + ' (' + (rule.weight > 0 ? '+' : '') + rule.weight + ')'
+            });
+        });
+    }
+
+    // Custom rules
+    if (rules.custom.minimumVolumeRequired && indicators.volumeRatio < rules.custom.minimumVolumeThreshold) {
+        score = score * 0.5;
+        reasons.push({
+            indicator: 'Volume Check',
+            signal: 'WARNING',
+            weight: 0,
+            description: 'Low volume reduces confidence'
+        });
+    }
+
+    if (rules.custom.requireMultipleConfirmations && confirmations < rules.custom.confirmationsNeeded) {
+        score = score * 0.7;
+        reasons.push({
+            indicator: 'Confirmations',
+            signal: 'WARNING',
+            weight: 0,
+            description: 'Only ' + confirmations + '/' + rules.custom.confirmationsNeeded + ' confirmations'
+        });
+    }
+
+    // Determine direction
+    let direction, confidence;
+    const absScore = Math.abs(score);
+    const cutoff = rules.thresholds.scoreCutoff;
+
+    if (score >= cutoff) {
+        direction = 'BULLISH';
+        confidence = Math.min(95, 60 + (absScore * 5));
+    } else if (score <= -cutoff) {
+        direction = 'BEARISH';
+        confidence = Math.min(95, 60 + (absScore * 5));
+    } else if (score > 0) {
+        direction = 'SLIGHTLY BULLISH';
+        confidence = 50 + (absScore * 5);
+    } else if (score < 0) {
+        direction = 'SLIGHTLY BEARISH';
+        confidence = 50 + (absScore * 5);
+    } else {
+        direction = 'NEUTRAL';
+        confidence = 40;
+    }
+
+    // VAE confidence scaling — applied after base confidence is computed
+    // so that anomalous market states reduce confidence and optionally raise a warning.
+    if (vaeResult) {
+        confidence = confidence * vaeResult.confidence;
+        if (vaeResult.isAnomaly) {
+            reasons.push({
+                indicator: 'VAE Anomaly Detector',
+                signal: 'WARNING',
+                weight: 0,
+                description: 'Current market state is outside normal historical patterns for this ticker. Confidence reduced.' +
+                    (vaeResult.attribution ? ' ' + describeAnomalyDrivers(vaeResult.attribution) : '')
+            });
+        }
+    }
+
+    let action = 'HOLD';
+    if (direction === 'BULLISH' && confidence > 70) action = 'STRONG BUY';
+    else if (direction === 'BULLISH') action = 'BUY';
+    else if (direction === 'BEARISH' && confidence > 70) action = 'STRONG SELL';
+    else if (direction === 'BEARISH') action = 'SELL';
+
+    return {
+        direction: direction,
+        confidence: confidence.toFixed(1),
+        score: score,
+        confirmations: confirmations,
+        reasons: reasons,
+        action: action
+    };
+}
+
+// One sentence naming the features and the day behind a VAE error, from
+// VAE.attribute(): the top two features by share, then the heaviest day
+function describeAnomalyDrivers(attribution) {
+    const total = attribution.byFeature.reduce(function(a, b) { return a + b; }, 0);
+    if (!(total > 0)) return '';
+
+    const ranked = attribution.features.map(function(name, f) {
+        return { name: name, share: attribution.byFeature[f] / total };
+    }).sort(function(a, b) { return b.share - a.share; });
+    const top = ranked.slice(0, 2).filter(function(r) { return r.share >= 0.05; }).map(function(r) {
+        return r.name + ' (' + Math.round(r.share * 100) + '%)';
+    });
+
+    const days = attribution.byDay;
+    const peak = days.indexOf(Math.max.apply(null, days));
+    const barsAgo = days.length - 1 - peak;
+
+    return 'Driven mostly by ' + top.join(' and ') + ', peaking ' +
+        (barsAgo === 0 ? 'on the latest bar' : barsAgo + (barsAgo === 1 ? ' bar' : ' bars') + ' ago') + '.';
+}
+
+// Custom-rule labels are user text and end up in innerHTML via reasons
+function escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
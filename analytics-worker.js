@@ -0,0 +1,37 @@
+/**
+ * analytics-worker.js — Web Worker host for analytics.js
+ *
+ * Receives { id, type, payload }, runs Analytics.run() (which queues the VAE
+ * jobs behind each other) and posts { id, type: 'progress', fraction, info } …
+ * { id, type: 'result', result } | { id, type: 'error', message }. The VAE
+ * model loads with the first VAE job and stays loaded for the worker's
+ * lifetime, as do per-ticker models once used. analytics.js starts one copy
+ * for analysis and one for training. The shared scripts attach themselves to
+ * `window`, so alias it first.
+ */
+self.window = self;
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.21.0/dist/tf.min.js',
+    'indicators.js', 'indicatorstream.js', 'ruledsl.js', 'rules.js', 'analysis.js',
+    'backtest.js', 'vae.js', 'analytics.js'
+);
+
+self.onmessage = function (event) {
+    const msg = event.data;
+    let last = 0;
+
+    const onProgress = (fraction, info) => {
+        // Throttle: one message per percent is plenty for a progress bar, but
+        // every info point (e.g. a training epoch's loss) goes through
+        if (fraction - last >= 0.01 || fraction === 1 || info) {
+            last = fraction;
+            self.postMessage({ id: msg.id, type: 'progress', fraction: fraction, info: info });
+        }
+    };
+
+    self.Analytics.run(msg.type, msg.payload, onProgress).then(result => {
+        self.postMessage({ id: msg.id, type: 'result', result: result });
+    }).catch(err => {
+        self.postMessage({ id: msg.id, type: 'error', message: err.message });
+    });
+};
@@ -0,0 +1,224 @@
+/**
+ * analytics.js — Background Analysis
+ *
+ * Runs the heavy per-tab work (indicator series, VAE calibration and scoring,
+ * backtests) in analytics-worker.js so tab switching and the charts stay
+ * responsive. The worker is started on first use and kept for the session, so
+ * the VAE model loads once. VAE training gets a second worker from the same
+ * script, so a long run does not hold up the other jobs. Within a thread the
+ * VAE jobs (vae, vaeStatus, train) run one at a time in the order they were
+ * sent; indicator and backtest jobs run as soon as they arrive. Pages that
+ * cannot start workers (file://) run the same jobs on the main thread.
+ * Exposes window.Analytics:
+ *
+ *   Analytics.request(type, payload, onProgress) — Promise<result>, in the worker when possible
+ *   Analytics.run(type, payload, onProgress)     — run a job in this thread, queued behind
+ *                                                  earlier VAE jobs if it is one (the
+ *                                                  workers and the fallback both use it)
+ *   Analytics.indicators(bars)                   — calculateIndicators(bars)
+ *   Analytics.vae(bars, ticker, interval, onProgress) — calibrate on every window, score the last:
+ *                                                  { reconError, confidence, isAnomaly, threshold,
+ *                                                    windowCount, isReliable, errors, model,
+ *                                                    attribution }, or null
+ *                                                  when no model is available; errors[i]
+ *                                                  is the error of the window ending on bar i
+ *                                                  (null for the first windowSize − 1 bars).
+ *                                                  model = VAE.resolve(ticker, interval), the
+ *                                                  model (and feature set) that did the scoring;
+ *                                                  attribution =
+ *                                                  VAE.attribute() of the last window
+ *   Analytics.vaeStatus()                        — VAE.status once the default model has loaded
+ *   Analytics.trainVAE(bars, opts, onProgress)   — VAE.train() in the training worker;
+ *                                                  onProgress also receives the per-epoch
+ *                                                  loss point as a second argument
+ *   Analytics.backtest(bars, rules, opts, onProgress) — Backtest.run() with predictDirection
+ *                                                  on streamed indicators
+ *
+ * Messages: page → worker { id, type, payload };
+ * worker → page { id, type: 'progress', fraction, info } … { id, type: 'result', result } | { id, type: 'error', message }.
+ * Bars keep their Date objects (structured clone).
+ */
+window.Analytics = (function () {
+    'use strict';
+
+    const WORKER_URL = 'analytics-worker.js';
+
+    // VAE models load lazily into the VAE registry, so two jobs resolving the
+    // same ticker at once would load it twice: these jobs take turns
+    const QUEUED_JOBS = ['vae', 'vaeStatus', 'train'];
+
+    // Job type → worker; anything not listed runs in the 'analysis' worker
+    const JOB_LANES = { train: 'training' };
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    const _lanes = {
+        analysis: { worker: null, failed: false },
+        training: { worker: null, failed: false }
+    };
+    let _nextId = 1;
+    const _pending = new Map();      // id → { type, payload, onProgress, resolve, reject, lane }
+    let _vaeQueue = Promise.resolve();
+    let _vaeLoad = null;
+
+    // ── Jobs ───────────────────────────────────────────────────────────────────
+
+    function _loadVAE() {
+        _vaeLoad = _vaeLoad || window.VAE.load();
+        return _vaeLoad;
+    }
+
+    async function _vae(payload, onProgress) {
+        const vae = window.VAE;
+        if (!vae) return null;
+        await _loadVAE();
+        const model = await vae.resolve(payload.ticker, payload.interval);
+        if (!model) return null;
+
+        const allWindows = vae.buildWindows(payload.bars, model.windowSize, model.features);
+        const calibResult = await vae.calibrate(allWindows, onProgress, model.key);
+        const lastWindow  = allWindows[allWindows.length - 1];
+        const scoreResult = await vae.score(lastWindow, calibResult.threshold, model.key);
+        const attribution = await vae.attribute(lastWindow, model.key);
+
+        // Align the per-window errors to the bar each window ends on
+        const lead = payload.bars.length - calibResult.errors.length;
+        const errors = payload.bars.map((bar, i) => i >= lead ? calibResult.errors[i - lead] : null);
+
+        return {
+            reconError:  scoreResult.reconError,
+            confidence:  scoreResult.confidence,
+            isAnomaly:   scoreResult.isAnomaly,
+            threshold:   scoreResult.threshold,
+            windowCount: calibResult.windowCount,
+            isReliable:  calibResult.isReliable,
+            errors:      errors,
+            model:       model,
+            attribution: attribution
+        };
+    }
+
+    function _backtest(payload, onProgress) {
+        const indicatorsAt = replayIndicators(payload.bars);
+        return window.Backtest.run(
+            payload.bars,
+            (bars, i) => predictDirection(indicatorsAt(i), null, payload.rules),
+            payload.opts,
+            onProgress
+        );
+    }
+
+    const JOBS = {
+        indicators: payload => calculateIndicators(payload.bars),
+        vae:        _vae,
+        backtest:   _backtest,
+        train:      (payload, onProgress) => window.VAE.train(payload.bars, payload.opts, onProgress),
+        vaeStatus:  () => _loadVAE().then(() => window.VAE.status)
+    };
+
+    async function run(type, payload, onProgress) {
+        const job = JOBS[type];
+        if (!job) throw new Error('Unknown analytics job: ' + type);
+        if (QUEUED_JOBS.indexOf(type) === -1) return job(payload, onProgress);
+
+        const result = _vaeQueue.then(() => job(payload, onProgress));
+        _vaeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // ── Worker plumbing ────────────────────────────────────────────────────────
+
+    function _laneOf(type) {
+        return JOB_LANES[type] || 'analysis';
+    }
+
+    function _onMessage(event) {
+        const msg = event.data;
+        const job = _pending.get(msg.id);
+        if (!job) return;
+
+        if (msg.type === 'progress') {
+            if (job.onProgress) job.onProgress(msg.fraction, msg.info);
+        } else if (msg.type === 'result') {
+            _pending.delete(msg.id);
+            job.resolve(msg.result);
+        } else if (msg.type === 'error') {
+            _pending.delete(msg.id);
+            job.reject(new Error(msg.message));
+        }
+    }
+
+    // The worker script itself failed (e.g. the TF.js CDN is blocked): hand
+    // everything still waiting on it to the main thread and stop using it
+    function _onError(name, event) {
+        console.warn('[Analytics] ' + name + ' worker failed, running on the main thread:', event.message || 'unknown error');
+        const lane = _lanes[name];
+        lane.failed = true;
+        if (lane.worker) lane.worker.terminate();
+        lane.worker = null;
+
+        _pending.forEach((job, id) => {
+            if (job.lane !== name) return;
+            _pending.delete(id);
+            run(job.type, job.payload, job.onProgress).then(job.resolve, job.reject);
+        });
+    }
+
+    function _getWorker(name) {
+        const lane = _lanes[name];
+        if (lane.worker || lane.failed) return lane.worker;
+        try {
+            lane.worker = new Worker(WORKER_URL);
+            lane.worker.onmessage = _onMessage;
+            lane.worker.onerror = event => _onError(name, event);
+        } catch (err) {
+            console.warn('[Analytics] Worker unavailable, running on the main thread:', err.message);
+            lane.failed = true;
+        }
+        return lane.worker;
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function request(type, payload, onProgress) {
+        const lane = _laneOf(type);
+        const worker = _getWorker(lane);
+        if (!worker) return run(type, payload, onProgress);
+
+        const id = _nextId++;
+        return new Promise((resolve, reject) => {
+            _pending.set(id, { type: type, payload: payload, onProgress: onProgress, resolve: resolve, reject: reject, lane: lane });
+            worker.postMessage({ id: id, type: type, payload: payload });
+        });
+    }
+
+    function indicators(bars) {
+        return request('indicators', { bars: bars });
+    }
+
+    function vae(bars, ticker, interval, onProgress) {
+        return request('vae', { bars: bars, ticker: ticker, interval: interval }, onProgress);
+    }
+
+    function vaeStatus() {
+        return request('vaeStatus', {});
+    }
+
+    function trainVAE(bars, opts, onProgress) {
+        return request('train', { bars: bars, opts: opts }, onProgress);
+    }
+
+    function backtest(bars, rules, opts, onProgress) {
+        return request('backtest', { bars: bars, rules: rules, opts: opts }, onProgress);
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        request,
+        run,
+        indicators,
+        vae,
+        vaeStatus,
+        trainVAE,
+        backtest
+    };
+})();
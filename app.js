@@ -7,544 +7,46 @@ let activeTabId = null;
 let tabCounter = 0;
 
 // ==================== DATA FETCHING ====================
-async function fetchStockData(ticker, range, interval) {
-    // Different proxy configurations - some work better with/without encoding
-    const proxyConfigs = [
-        { url: 'https://corsproxy.io/?', encode: true },
-        { url: 'https://api.allorigins.win/raw?url=', encode: true },
-        { url: 'https://corsproxy.io/?url=', encode: true },
-        { url: 'https://api.codetabs.com/v1/proxy?quest=', encode: true }
-    ];
-
-    // Try both query1 and query2 Yahoo endpoints
-    const yahooHosts = ['query1.finance.yahoo.com', 'query2.finance.yahoo.com'];
-
-    let lastError = null;
-    let attemptCount = 0;
-
-    for (const host of yahooHosts) {
-        const yahooUrl = 'https://' + host + '/v8/finance/chart/' + ticker + '?interval=' + interval + '&range=' + range;
-
-        for (let i = 0; i < proxyConfigs.length; i++) {
-            attemptCount++;
-            try {
-                const config = proxyConfigs[i];
-                const proxyUrl = config.encode
-                    ? config.url + encodeURIComponent(yahooUrl)
-                    : config.url + yahooUrl;
-
-                console.log('Attempt ' + attemptCount + ': ' + config.url.substring(8, 30) + '... with ' + host);
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-                const response = await fetch(proxyUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json',
-                        'Cache-Control': 'no-cache'
-                    },
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    throw new Error('HTTP ' + response.status);
-                }
-
-                const text = await response.text();
-
-                // Check if response looks like an error message instead of JSON
-                if (!text || text.length < 50 || (!text.startsWith('{') && !text.startsWith('['))) {
-                    throw new Error('Invalid response format');
-                }
-
-                const data = JSON.parse(text);
-
-                if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-                    throw new Error('No data in response');
-                }
-
-                const result = data.chart.result[0];
-
-                if (!result.timestamp || !result.indicators || !result.indicators.quote) {
-                    throw new Error('Missing price data');
-                }
-
-                const timestamps = result.timestamp;
-                const quotes = result.indicators.quote[0];
-
-                const formattedData = timestamps.map(function(timestamp, index) {
-                    return {
-                        date: new Date(timestamp * 1000),
-                        open: quotes.open[index],
-                        high: quotes.high[index],
-                        low: quotes.low[index],
-                        close: quotes.close[index],
-                        volume: quotes.volume[index]
-                    };
-                }).filter(function(d) {
-                    return d.close !== null && d.close !== undefined;
-                });
-
-                if (formattedData.length < 10) {
-                    throw new Error('Insufficient data points');
-                }
-
-                console.log('Success! Got ' + formattedData.length + ' data points');
-                return formattedData;
-
-            } catch (error) {
-                const errMsg = error.name === 'AbortError' ? 'Timeout' : error.message;
-                console.warn('Attempt ' + attemptCount + ' failed: ' + errMsg);
-                lastError = error;
-
-                // Brief delay between attempts
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
-        }
-    }
-
-    throw new Error('Unable to fetch ' + ticker + ' data for ' + range + '/' + interval + '. The free CORS proxies may be overloaded. Try the intraday timeframes which seem to work better.');
+// Sources live in providers.js; the tab remembers which one it was opened with.
+async function fetchStockData(ticker, range, interval, providerId, since) {
+    return window.DataProviders.fetchBars({ ticker: ticker, range: range, interval: interval, since: since }, providerId);
 }
 
-// ==================== TECHNICAL INDICATORS ====================
-function calculateIndicators(data) {
-    const closes = data.map(function(d) { return d.close; });
-    const volumes = data.map(function(d) { return d.volume; });
-
-    const sma20 = calculateSMA(closes, 20);
-    const sma50 = calculateSMA(closes, 50);
-    const rsi = calculateRSI(closes, 14);
-    const macd = calculateMACD(closes);
-    const bb = calculateBollingerBands(closes, 20, 2);
+function initDataSourceSelect() {
+    const select = document.getElementById('dataSource');
+    if (!select) return;
 
-    const avgVolume = volumes.slice(-20).reduce(function(a, b) { return a + b; }, 0) / 20;
-    const volumeRatio = volumes[volumes.length - 1] / avgVolume;
-    const momentum = ((closes[closes.length - 1] - closes[closes.length - 5]) / closes[closes.length - 5]) * 100;
-
-    return {
-        currentPrice: closes[closes.length - 1],
-        sma20: sma20[sma20.length - 1],
-        sma50: sma50[sma50.length - 1],
-        rsi: rsi[rsi.length - 1],
-        macd: macd.macd[macd.macd.length - 1],
-        macdSignal: macd.signal[macd.signal.length - 1],
-        macdHistogram: macd.histogram[macd.histogram.length - 1],
-        bbUpper: bb.upper[bb.upper.length - 1],
-        bbMiddle: bb.middle[bb.middle.length - 1],
-        bbLower: bb.lower[bb.lower.length - 1],
-        volumeRatio: volumeRatio,
-        momentum: momentum,
-        closes: closes,
-        sma20Full: sma20,
-        sma50Full: sma50
-    };
+    select.innerHTML = window.DataProviders.list().map(function(p) {
+        return '<option value="' + p.id + '"' + (p.id === window.DataProviders.activeId ? ' selected' : '') + '>' + p.label + '</option>';
+    }).join('');
 }
 
-function calculateSMA(data, period) {
-    const result = [];
-    for (let i = 0; i < data.length; i++) {
-        if (i < period - 1) {
-            result.push(null);
-        } else {
-            const sum = data.slice(i - period + 1, i + 1).reduce(function(a, b) { return a + b; }, 0);
-            result.push(sum / period);
-        }
-    }
-    return result;
+window.changeDataSource = function() {
+    window.DataProviders.setActive(document.getElementById('dataSource').value);
 }
 
-function calculateRSI(data, period) {
-    const result = [];
-    const gains = [];
-    const losses = [];
-
-    for (let i = 1; i < data.length; i++) {
-        const change = data[i] - data[i - 1];
-        gains.push(change > 0 ? change : 0);
-        losses.push(change < 0 ? -change : 0);
-    }
-
-    for (let i = 0; i < gains.length; i++) {
-        if (i < period - 1) {
-            result.push(null);
-        } else {
-            const avgGain = gains.slice(i - period + 1, i + 1).reduce(function(a, b) { return a + b; }, 0) / period;
-            const avgLoss = losses.slice(i - period + 1, i + 1).reduce(function(a, b) { return a + b; }, 0) / period;
+window.configureDataSource = function() {
+    const id = window.DataProviders.activeId;
+    const settings = window.DataProviders.getSettings(id);
 
-            if (avgLoss === 0) {
-                result.push(100);
-            } else {
-                const rs = avgGain / avgLoss;
-                result.push(100 - (100 / (1 + rs)));
-            }
-        }
+    if (settings.urlTemplate === undefined) {
+        alert(window.DataProviders.get(id).label + ' has no configurable settings.');
+        return;
     }
 
-    result.unshift(null);
-    return result;
-}
-
-function calculateMACD(data, fastPeriod, slowPeriod, signalPeriod) {
-    fastPeriod = fastPeriod || 12;
-    slowPeriod = slowPeriod || 26;
-    signalPeriod = signalPeriod || 9;
-
-    const emaFast = calculateEMA(data, fastPeriod);
-    const emaSlow = calculateEMA(data, slowPeriod);
-
-    const macdLine = emaFast.map(function(fast, i) {
-        return fast !== null && emaSlow[i] !== null ? fast - emaSlow[i] : null;
-    });
-
-    const signalLine = calculateEMA(macdLine.filter(function(v) { return v !== null; }), signalPeriod);
-    const paddedSignal = new Array(macdLine.length - signalLine.length).fill(null).concat(signalLine);
-
-    const histogram = macdLine.map(function(macd, i) {
-        return macd !== null && paddedSignal[i] !== null ? macd - paddedSignal[i] : null;
-    });
-
-    return { macd: macdLine, signal: paddedSignal, histogram: histogram };
-}
-
-function calculateEMA(data, period) {
-    const result = [];
-    const multiplier = 2 / (period + 1);
-    let ema = null;
-
-    for (let i = 0; i < data.length; i++) {
-        if (data[i] === null) {
-            result.push(null);
-            continue;
-        }
-
-        if (ema === null) {
-            if (i >= period - 1) {
-                const sum = data.slice(i - period + 1, i + 1)
-                    .filter(function(v) { return v !== null; })
-                    .reduce(function(a, b) { return a + b; }, 0);
-                ema = sum / period;
-            } else {
-                result.push(null);
-                continue;
-            }
-        } else {
-            ema = (data[i] - ema) * multiplier + ema;
-        }
-        result.push(ema);
+    const template = prompt(
+        'URL template for ' + window.DataProviders.get(id).label + '.\n' +
+        'Placeholders: {ticker}, {range}, {interval}',
+        settings.urlTemplate
+    );
+    if (template !== null) {
+        window.DataProviders.configure(id, { urlTemplate: template.trim() });
     }
-
-    return result;
 }
 
-function calculateBollingerBands(data, period, stdDev) {
-    period = period || 20;
-    stdDev = stdDev || 2;
-
-    const sma = calculateSMA(data, period);
-    const upper = [];
-    const lower = [];
-
-    for (let i = 0; i < data.length; i++) {
-        if (i < period - 1 || sma[i] === null) {
-            upper.push(null);
-            lower.push(null);
-        } else {
-            const slice = data.slice(i - period + 1, i + 1);
-            const mean = sma[i];
-            const variance = slice.reduce(function(sum, val) {
-                return sum + Math.pow(val - mean, 2);
-            }, 0) / period;
-            const sd = Math.sqrt(variance);
-
-            upper.push(mean + (sd * stdDev));
-            lower.push(mean - (sd * stdDev));
-        }
-    }
-
-    return { upper: upper, middle: sma, lower: lower };
-}
-
-// ==================== TRADING RULES & PREDICTION ====================
-const tradingRules = {
-    enabled: {
-        movingAverages: true, rsi: true, macd: true,
-        bollingerBands: true, volume: true, momentum: true
-    },
-    weights: {
-        movingAverages: 2.0, rsi: 1.5, macd: 1.5,
-        bollingerBands: 1.0, volume: 0.5, momentum: 1.0
-    },
-    thresholds: {
-        rsiOversold: 30, rsiOverbought: 70, rsiNeutral: 50,
-        volumeHigh: 1.5, volumeLow: 0.7, momentumStrong: 2,
-        bbLowerZone: 0.2, bbUpperZone: 0.8
-    },
-    custom: {
-        minimumVolumeRequired: true, minimumVolumeThreshold: 0.5,
-        requireMultipleConfirmations: true, confirmationsNeeded: 3
-    }
-};
-
-function predictDirection(indicators, vaeResult) {
-    let score = 0;
-    const reasons = [];
-    let confirmations = 0;
-
-    // Moving Averages
-    if (tradingRules.enabled.movingAverages) {
-        const weight = tradingRules.weights.movingAverages;
-        if (indicators.currentPrice > indicators.sma20 && indicators.sma20 > indicators.sma50) {
-            score += weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'Moving Averages',
-                signal: 'BULLISH',
-                weight: weight,
-                description: 'Price ($' + indicators.currentPrice.toFixed(2) + ') above SMA20 ($' + indicators.sma20.toFixed(2) + ') and SMA50'
-            });
-        } else if (indicators.currentPrice < indicators.sma20 && indicators.sma20 < indicators.sma50) {
-            score -= weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'Moving Averages',
-                signal: 'BEARISH',
-                weight: weight,
-                description: 'Price below both moving averages, downward trend'
-            });
-        } else {
-            reasons.push({
-                indicator: 'Moving Averages',
-                signal: 'NEUTRAL',
-                weight: 0,
-                description: 'Mixed signals, no clear trend direction'
-            });
-        }
-    }
-
-    // RSI
-    if (tradingRules.enabled.rsi) {
-        const weight = tradingRules.weights.rsi;
-        if (indicators.rsi < tradingRules.thresholds.rsiOversold) {
-            score += weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'RSI',
-                signal: 'BULLISH',
-                weight: weight,
-                description: 'RSI ' + indicators.rsi.toFixed(1) + ' oversold, potential bounce'
-            });
-        } else if (indicators.rsi > tradingRules.thresholds.rsiOverbought) {
-            score -= weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'RSI',
-                signal: 'BEARISH',
-                weight: weight,
-                description: 'RSI ' + indicators.rsi.toFixed(1) + ' overbought, potential pullback'
-            });
-        } else if (indicators.rsi > tradingRules.thresholds.rsiNeutral) {
-            score += weight / 3;
-            reasons.push({
-                indicator: 'RSI',
-                signal: 'SLIGHTLY BULLISH',
-                weight: weight / 3,
-                description: 'RSI ' + indicators.rsi.toFixed(1) + ' above neutral'
-            });
-        } else {
-            score -= weight / 3;
-            reasons.push({
-                indicator: 'RSI',
-                signal: 'SLIGHTLY BEARISH',
-                weight: weight / 3,
-                description: 'RSI ' + indicators.rsi.toFixed(1) + ' below neutral'
-            });
-        }
-    }
-
-    // MACD
-    if (tradingRules.enabled.macd) {
-        const weight = tradingRules.weights.macd;
-        if (indicators.macd > indicators.macdSignal && indicators.macdHistogram > 0) {
-            score += weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'MACD',
-                signal: 'BULLISH',
-                weight: weight,
-                description: 'MACD above signal line, positive momentum'
-            });
-        } else if (indicators.macd < indicators.macdSignal && indicators.macdHistogram < 0) {
-            score -= weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'MACD',
-                signal: 'BEARISH',
-                weight: weight,
-                description: 'MACD below signal line, negative momentum'
-            });
-        } else {
-            reasons.push({
-                indicator: 'MACD',
-                signal: 'NEUTRAL',
-                weight: 0,
-                description: 'No strong directional signal'
-            });
-        }
-    }
-
-    // Bollinger Bands
-    if (tradingRules.enabled.bollingerBands) {
-        const weight = tradingRules.weights.bollingerBands;
-        const bbPosition = (indicators.currentPrice - indicators.bbLower) / (indicators.bbUpper - indicators.bbLower);
-
-        if (bbPosition < tradingRules.thresholds.bbLowerZone) {
-            score += weight;
-            reasons.push({
-                indicator: 'Bollinger Bands',
-                signal: 'BULLISH',
-                weight: weight,
-                description: 'Price near lower band, oversold'
-            });
-        } else if (bbPosition > tradingRules.thresholds.bbUpperZone) {
-            score -= weight;
-            reasons.push({
-                indicator: 'Bollinger Bands',
-                signal: 'BEARISH',
-                weight: weight,
-                description: 'Price near upper band, overbought'
-            });
-        } else {
-            reasons.push({
-                indicator: 'Bollinger Bands',
-                signal: 'NEUTRAL',
-                weight: 0,
-                description: 'Price within normal range'
-            });
-        }
-    }
-
-    // Volume
-    if (tradingRules.enabled.volume) {
-        const weight = tradingRules.weights.volume;
-        if (indicators.volumeRatio > tradingRules.thresholds.volumeHigh) {
-            if (score > 0) {
-                score += weight;
-                reasons.push({
-                    indicator: 'Volume',
-                    signal: 'CONFIRMS BULLISH',
-                    weight: weight,
-                    description: 'High volume (' + (indicators.volumeRatio * 100).toFixed(0) + '%) confirms uptrend'
-                });
-            } else {
-                score -= weight;
-                reasons.push({
-                    indicator: 'Volume',
-                    signal: 'CONFIRMS BEARISH',
-                    weight: weight,
-                    description: 'High volume confirms downtrend'
-                });
-            }
-        }
-    }
-
-    // Momentum
-    if (tradingRules.enabled.momentum) {
-        const weight = tradingRules.weights.momentum;
-        if (indicators.momentum > tradingRules.thresholds.momentumStrong) {
-            score += weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'Momentum',
-                signal: 'BULLISH',
-                weight: weight,
-                description: 'Strong positive momentum +' + indicators.momentum.toFixed(2) + '%'
-            });
-        } else if (indicators.momentum < -tradingRules.thresholds.momentumStrong) {
-            score -= weight;
-            confirmations++;
-            reasons.push({
-                indicator: 'Momentum',
-                signal: 'BEARISH',
-                weight: weight,
-                description: 'Strong negative momentum ' + indicators.momentum.toFixed(2) + '%'
-            });
-        }
-    }
-
-    // Custom rules
-    if (tradingRules.custom.minimumVolumeRequired && indicators.volumeRatio < tradingRules.custom.minimumVolumeThreshold) {
-        score = score * 0.5;
-        reasons.push({
-            indicator: 'Volume Check',
-            signal: 'WARNING',
-            weight: 0,
-            description: 'Low volume reduces confidence'
-        });
-    }
-
-    if (tradingRules.custom.requireMultipleConfirmations && confirmations < tradingRules.custom.confirmationsNeeded) {
-        score = score * 0.7;
-        reasons.push({
-            indicator: 'Confirmations',
-            signal: 'WARNING',
-            weight: 0,
-            description: 'Only ' + confirmations + '/' + tradingRules.custom.confirmationsNeeded + ' confirmations'
-        });
-    }
-
-    // Determine direction
-    let direction, confidence;
-    const absScore = Math.abs(score);
-
-    if (score >= 3) {
-        direction = 'BULLISH';
-        confidence = Math.min(95, 60 + (absScore * 5));
-    } else if (score <= -3) {
-        direction = 'BEARISH';
-        confidence = Math.min(95, 60 + (absScore * 5));
-    } else if (score > 0) {
-        direction = 'SLIGHTLY BULLISH';
-        confidence = 50 + (absScore * 5);
-    } else if (score < 0) {
-        direction = 'SLIGHTLY BEARISH';
-        confidence = 50 + (absScore * 5);
-    } else {
-        direction = 'NEUTRAL';
-        confidence = 40;
-    }
-
-    // VAE confidence scaling — applied after base confidence is computed
-    // so that anomalous market states reduce confidence and optionally raise a warning.
-    if (vaeResult) {
-        confidence = confidence * vaeResult.confidence;
-        if (vaeResult.isAnomaly) {
-            reasons.push({
-                indicator: 'VAE Anomaly Detector',
-                signal: 'WARNING',
-                weight: 0,
-                description: 'Current market state is outside normal historical patterns for this ticker. Confidence reduced.'
-            });
-        }
-    }
-
-    let action = 'HOLD';
-    if (direction === 'BULLISH' && confidence > 70) action = 'STRONG BUY';
-    else if (direction === 'BULLISH') action = 'BUY';
-    else if (direction === 'BEARISH' && confidence > 70) action = 'STRONG SELL';
-    else if (direction === 'BEARISH') action = 'SELL';
-
-    return {
-        direction: direction,
-        confidence: confidence.toFixed(1),
-        score: score,
-        confirmations: confirmations,
-        reasons: reasons,
-        action: action
-    };
-}
+// ==================== INDICATORS & RULE ENGINE ====================
+// calculateIndicators, replayIndicators, predictDirection and tradingRules live in analysis.js
+// so Web Workers (optimizer) can load the same code with importScripts.
 
 // ==================== PRICE PREDICTIONS ====================
 function generatePricePredictions(indicators, numPeriods, vaeResult) {
@@ -604,14 +106,76 @@ window.addNewAnalysis = async function() {
     const tabId = 'tab-' + tabCounter;
 
     // Create tab data structure
-    analysisTabs[tabId] = {
+    analysisTabs[tabId] = createTabState(tabId, ticker, range, interval, window.DataProviders.activeId);
+
+    // Create and add tab element
+    createTabElement(tabId, ticker);
+
+    // Switch to new tab
+    switchToTab(tabId);
+
+    // Load data
+    await refreshTabData(tabId);
+}
+
+// Offline replay: open a CSV/JSON export and analyse it as if it had been fetched
+window.openDataFile = function() {
+    const input = document.getElementById('dataFileInput');
+    input.value = '';
+    input.click();
+}
+
+window.loadDataFile = async function(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    setStatus('loading', 'Reading ' + file.name + '...');
+
+    let parsed;
+    try {
+        parsed = await window.DataImport.readFile(file);
+    } catch (error) {
+        console.error('Error:', error);
+        setStatus('error', error.message);
+        return;
+    }
+
+    tabCounter++;
+    const tabId = 'tab-' + tabCounter;
+
+    analysisTabs[tabId] = createTabState(tabId, parsed.ticker, parsed.range, parsed.interval, 'file');
+    analysisTabs[tabId].fileName = file.name;
+    analysisTabs[tabId].fileData = parsed.bars;
+
+    createTabElement(tabId, parsed.ticker + ' 📄');
+    switchToTab(tabId);
+
+    await refreshTabData(tabId);
+}
+
+function createTabState(tabId, ticker, range, interval, provider) {
+    return {
         id: tabId,
         ticker: ticker,
-        timeframe: timeframe,
+        timeframe: range + '|' + interval,
         range: range,
         interval: interval,
+        provider: provider,
+        rawData: null, // bars as loaded, before validation/adjustment
+        events: null, // { splits, dividends }
+        priceMode: 'adjusted', // 'adjusted' | 'raw'
+        adjustments: [],
+        ruleProfile: window.RuleProfiles.DEFAULT_NAME,
+        rules: window.RuleProfiles.get(window.RuleProfiles.DEFAULT_NAME), // working copy, may have unsaved edits
+        chartIndicators: ['signals', 'anomalies'], // CHART_INDICATORS keys drawn on the main chart
+        signalFlips: null, // { key, flips, resume } cache for the signal flip markers
+        indicatorSeries: {}, // key → chart series, rebuilt with the chart
+        chartPanes: { volume: true, rsi: true, macd: true, anomaly: true }, // CHART_PANES open/collapsed
+        paneCharts: {}, // key → pane chart instance
+        paneSync: null, // price-chart handlers installed by syncChartPanes
         data: null,
         indicators: null,
+        indicatorStream: null, // stream over all of data but the last bar, for extendTabIndicators
         prediction: null,
         history: [],
         chart: null,
@@ -627,18 +191,36 @@ window.addNewAnalysis = async function() {
             trades: [], // completed trades
             simChart: null,
             playInterval: null,
-            isComplete: false
+            isComplete: false,
+            indicatorsAt: null, // replayIndicators() over indicatorsFor (= tab.data)
+            indicatorsFor: null,
+            drawnData: null, // bars and last index already on simChart
+            drawnIndex: null
+        },
+        backtest: {
+            options: Object.assign({}, window.Backtest.DEFAULTS),
+            result: null,
+            running: false,
+            error: null,
+            equityChart: null,
+            drawdownChart: null
+        },
+        optimizer: {
+            options: Object.assign({}, window.Optimizer.DEFAULTS),
+            result: null,
+            running: false,
+            progress: 0,
+            error: null,
+            job: null // { promise, cancel } while running
+        },
+        vaeTraining: {
+            epochs: window.VAE.TRAIN_DEFAULTS.epochs,
+            running: false,
+            progress: 0,
+            history: [], // per-epoch { epoch, epochs, loss, recon, kl } of the last run
+            error: null
         }
     };
-
-    // Create and add tab element
-    createTabElement(tabId, ticker);
-
-    // Switch to new tab
-    switchToTab(tabId);
-
-    // Load data
-    await refreshTabData(tabId);
 }
 
 function createTabElement(tabId, ticker) {
@@ -649,7 +231,7 @@ function createTabElement(tabId, ticker) {
     tab.id = 'tab-btn-' + tabId;
     tab.innerHTML = `
         <span class="tab-signal neutral"></span>
-        <span class="tab-ticker">${ticker}</span>
+        <span class="tab-ticker">${escapeHTML(ticker)}</span>
         <span class="close-tab" onclick="event.stopPropagation(); closeTab('${tabId}')">×</span>
     `;
     tab.onclick = function() { switchToTab(tabId); };
@@ -668,6 +250,8 @@ window.switchToTab = function(tabId) {
 
     // Render content
     renderTabContent(tabId);
+
+    scheduleWorkspaceSave();
 }
 
 window.retryTab = async function(tabId) {
@@ -680,10 +264,26 @@ window.closeTab = function(tabId) {
     if (tabBtn) tabBtn.remove();
 
     // Clean up chart
+    if (analysisTabs[tabId] && analysisTabs[tabId].paneCharts) {
+        removeChartPanes(analysisTabs[tabId]);
+    }
     if (analysisTabs[tabId] && analysisTabs[tabId].chart) {
         analysisTabs[tabId].chart.remove();
     }
 
+    // Stop simulator playback
+    if (analysisTabs[tabId] && analysisTabs[tabId].simulatorState && analysisTabs[tabId].simulatorState.playInterval) {
+        clearInterval(analysisTabs[tabId].simulatorState.playInterval);
+    }
+
+    if (analysisTabs[tabId] && analysisTabs[tabId].backtest) {
+        removeBacktestCharts(analysisTabs[tabId]);
+    }
+
+    if (analysisTabs[tabId] && analysisTabs[tabId].optimizer && analysisTabs[tabId].optimizer.job) {
+        analysisTabs[tabId].optimizer.job.cancel();
+    }
+
     // Delete tab data
     delete analysisTabs[tabId];
 
@@ -701,78 +301,363 @@ window.closeTab = function(tabId) {
             </div>
         `;
     }
+
+    scheduleWorkspaceSave();
 }
 
 // ==================== VAE CALIBRATION ====================
+// Calibration and scoring run in the analytics worker (analytics.js) with the
+// registry's model for the tab's ticker/interval. The threshold lives in
+// tab.vaeResult, so each tab keeps its own.
 async function calibrateVAE(tab) {
     tab.vaeResult = null;
     try {
-        if (!window.VAE || !window.VAE.ready) return;
-
-        const allWindows = window.VAE.buildWindows(tab.data);
-        const calibResult = await window.VAE.calibrate(allWindows);
-        const scoreResult = await window.VAE.score(allWindows[allWindows.length - 1]);
-
-        tab.vaeResult = {
-            reconError:  scoreResult.reconError,
-            confidence:  scoreResult.confidence,
-            isAnomaly:   scoreResult.isAnomaly,
-            threshold:   scoreResult.threshold,
-            windowCount: calibResult.windowCount,
-            isReliable:  calibResult.isReliable
-        };
+        tab.vaeResult = await window.Analytics.vae(tab.data, tab.ticker, tab.interval, function(fraction) {
+            setStatus('loading', 'Calibrating VAE... ' + Math.round(fraction * 100) + '%');
+        });
     } catch (err) {
         console.warn('[VAE] calibrateVAE failed silently:', err.message);
         tab.vaeResult = null;
     }
 }
 
-async function refreshTabData(tabId) {
-    const tab = analysisTabs[tabId];
-    if (!tab) return;
-
-    setStatus('loading', 'Fetching ' + tab.ticker + ' data...');
+// Toolbar indicator for the default model: loaded, missing or incompatible,
+// with the reason (or the model) in the tooltip
+const VAE_STATUS_LABELS = { loading: 'Checking...', loaded: 'Loaded', missing: 'Missing', incompatible: 'Incompatible' };
+
+function renderVAEStatus(status) {
+    const el = document.getElementById('vaeStatus');
+    if (!el) return;
+    el.className = 'vae-status ' + status.state;
+    el.textContent = VAE_STATUS_LABELS[status.state] || status.state;
+    el.title = status.model
+        ? vaeModelLabel(status.model) + ', window ' + status.model.windowSize + ' bars'
+        : (status.reason || '') + (status.state === 'loaded' ? '' : ' — anomaly detection is off unless a model was trained for the ticker');
+}
 
+async function checkVAEStatus() {
     try {
-        tab.data = await fetchStockData(tab.ticker, tab.range, tab.interval);
+        renderVAEStatus(await window.Analytics.vaeStatus());
+    } catch (err) {
+        renderVAEStatus({ state: 'missing', reason: err.message, model: null });
+    }
+}
 
-        if (tab.data.length < 20) {
-            throw new Error('Not enough data points (' + tab.data.length + '). Try a different timeframe.');
-        }
+// e.g. "AAPL 1d v2, trained 2026-10-19 (40 epochs)" or "Default, trained on QQQ (2026-02-20)"
+function vaeModelLabel(model) {
+    const date = model.trainedDate ? ' (' + model.trainedDate + ')' : '';
+    if (model.source === 'trained') {
+        return `${model.ticker} ${model.interval} v${model.version}, trained ${model.trainedDate} (${model.epochs} epochs)`;
+    }
+    const trainedOn = 'trained on ' + (model.trainedOn.length ? model.trainedOn.join(', ') : 'unknown data') + date;
+    return model.source === 'bundled'
+        ? `${model.ticker} ${model.interval} (bundled), ${trainedOn}`
+        : `Default, ${trainedOn}`;
+}
+
+// ==================== VAE TRAINING ====================
+// Trains a VAE on the tab's bars in the analytics worker (VAE.train) and
+// stores it per ticker; calibrateVAE picks it up from then on.
+function renderVAETrainingCard(tab) {
+    const t = tab.vaeTraining;
+    const model = tab.vaeResult ? tab.vaeResult.model : null;
+    // resolve() only returns a trained model for this ticker/interval
+    const ownModel = !!model && model.source === 'trained';
+
+    let statusHTML = '';
+    if (t.running) {
+        statusHTML = `
+            <div style="display: flex; align-items: center; gap: 12px; padding: 8px 0; color: var(--text-muted); font-size: 0.85em;">
+                <div class="spinner"></div>
+                <span id="vae-train-progress-${tab.id}">${vaeTrainingProgressText(t)}</span>
+            </div>
+        `;
+    } else if (t.error) {
+        statusHTML = `<p style="color: var(--accent-red); padding: 8px 0; font-size: 0.85em;">${escapeHTML(t.error)}</p>`;
+    }
+
+    return `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); border-left: 3px solid var(--accent-purple); border-radius: 0 6px 6px 0; padding: 12px 16px; margin-bottom: 16px;">
+            <div style="font-size: 0.8em; color: var(--accent-purple); font-weight: 600; margin-bottom: 8px; letter-spacing: 0.5px; text-transform: uppercase;">Train Model for ${escapeHTML(tab.ticker)} ${escapeHTML(tab.interval)}</div>
+            ${model ? '' : '<div style="font-size: 0.85em; color: var(--text-secondary); margin-bottom: 8px;">No VAE model loaded — train one on these bars.</div>'}
+            <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap;">
+                <label for="vae-epochs-${tab.id}" style="font-size: 0.85em; color: var(--text-secondary);">Epochs</label>
+                <input type="number" id="vae-epochs-${tab.id}" value="${t.epochs}" min="1" max="500" step="5" style="width: 70px;" ${t.running ? 'disabled' : ''}>
+                <button class="toolbar-btn" onclick="trainTabVAE('${tab.id}', false)" ${t.running ? 'disabled' : ''}>Train</button>
+                <button class="toolbar-btn secondary" onclick="trainTabVAE('${tab.id}', true)" ${t.running || !ownModel ? 'disabled' : ''}
+                        title="Continue training the newest ${escapeHTML(tab.ticker)} ${escapeHTML(tab.interval)} model on the current bars">Fine-tune</button>
+            </div>
+            ${statusHTML}
+            <div id="vae-loss-${tab.id}">${renderLossCurve(t.history)}</div>
+        </div>
+    `;
+}
+
+function vaeTrainingProgressText(t) {
+    const last = t.history[t.history.length - 1];
+    return 'Training... ' + Math.round(t.progress * 100) + '%' +
+        (last ? ' — epoch ' + last.epoch + '/' + last.epochs + ', loss ' + last.loss.toFixed(5) : '');
+}
+
+// Per-epoch total loss as an inline SVG line; empty until the first epoch ends
+function renderLossCurve(history) {
+    if (!history.length) return '';
+    const width = 300, height = 80, pad = 4;
+    const losses = history.map(function(p) { return p.loss; });
+    const max = Math.max.apply(null, losses);
+    const min = Math.min.apply(null, losses);
+    const span = max - min || 1;
+    const step = history.length > 1 ? (width - 2 * pad) / (history.length - 1) : 0;
+    const points = losses.map(function(v, i) {
+        return (pad + i * step).toFixed(1) + ',' + (pad + (max - v) / span * (height - 2 * pad)).toFixed(1);
+    }).join(' ');
+    const last = history[history.length - 1];
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: ${height}px; margin-top: 8px; background: var(--bg-tertiary); border-radius: 4px;">
+            <polyline points="${points}" fill="none" stroke="var(--accent-purple)" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+        </svg>
+        <div style="display: flex; justify-content: space-between; font-size: 0.75em; color: var(--text-muted);">
+            <span>Loss ${max.toFixed(5)} → ${last.loss.toFixed(5)}</span>
+            <span>Recon ${last.recon.toFixed(5)} · KL ${last.kl.toFixed(4)} · ${history.length} epochs</span>
+        </div>
+    `;
+}
+
+window.trainTabVAE = async function(tabId, fineTune) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.data || tab.vaeTraining.running) return;
+
+    const t = tab.vaeTraining;
+    const epochs = parseInt(document.getElementById('vae-epochs-' + tabId).value, 10);
+    if (epochs >= 1) t.epochs = epochs;
+    t.running = true;
+    t.progress = 0;
+    t.history = [];
+    t.error = null;
+    renderDecisionPanel(tab);
+    setStatus('loading', (fineTune ? 'Fine-tuning' : 'Training') + ' VAE for ' + tab.ticker + ' on ' + tab.data.length + ' bars...');
 
-        tab.indicators = calculateIndicators(tab.data);
+    try {
+        const result = await window.Analytics.trainVAE(tab.data, {
+            ticker: tab.ticker,
+            interval: tab.interval,
+            fineTune: fineTune,
+            epochs: t.epochs
+        }, function(fraction, point) {
+            t.progress = fraction;
+            if (point) {
+                t.history.push(point);
+                const curve = document.getElementById('vae-loss-' + tabId);
+                if (curve) curve.innerHTML = renderLossCurve(t.history);
+            }
+            const label = document.getElementById('vae-train-progress-' + tabId);
+            if (label) label.textContent = vaeTrainingProgressText(t);
+        });
+        t.history = result.history;
 
         setStatus('loading', 'Calibrating VAE...');
         await calibrateVAE(tab);
+        setStatus('ready', 'VAE ' + vaeModelLabel(result.model) + ': final loss ' + result.history[result.history.length - 1].loss.toFixed(5));
+    } catch (error) {
+        console.error('VAE training failed:', error);
+        t.error = error.message;
+        setStatus('error', 'VAE training failed: ' + error.message);
+    }
+    t.running = false;
+
+    // applyTabRules re-scores with the new VAE result and redraws the panels
+    if (analysisTabs[tabId]) applyTabRules(tab);
+}
+
+// Cached history is served first; only the bars after the last cached candle
+// go back through the provider, then the merged series is written back.
+// Resolves to { bars, events } with events = split/dividend history.
+async function loadTabBars(tab) {
+    // File-backed tabs replay the imported bars instead of hitting the network
+    if (tab.provider === 'file') {
+        return { bars: tab.fileData.slice(), events: window.CorporateActions.empty() };
+    }
+
+    const cacheKey = window.BarCache.key(tab.provider, tab.ticker, tab.interval);
+    const cached = await window.BarCache.get(cacheKey, tab.interval);
+    const cachedEvents = cached ? window.CorporateActions.normalizeEvents(cached.events) : null;
+
+    let series = null;
+    if (cached && window.BarCache.covers(cached.bars, tab.range)) {
+        const since = cached.bars[cached.bars.length - 1].date;
+        try {
+            const tail = await fetchStockData(tab.ticker, tab.range, tab.interval, tab.provider, since);
+            series = {
+                bars: window.BarCache.merge(cached.bars, tail.bars),
+                events: window.CorporateActions.mergeEvents(cachedEvents, tail.events)
+            };
+        } catch (error) {
+            console.warn('Tail fetch failed, falling back to a full fetch: ' + error.message);
+        }
+    }
+
+    if (!series) {
+        const full = await fetchStockData(tab.ticker, tab.range, tab.interval, tab.provider);
+        series = cached ? {
+            bars: window.BarCache.merge(cached.bars, full.bars),
+            events: window.CorporateActions.mergeEvents(cachedEvents, full.events)
+        } : full;
+    }
+
+    await window.BarCache.put(cacheKey, series.bars, series.events);
+    return { bars: window.BarCache.trimToRange(series.bars, tab.range), events: series.events };
+}
+
+async function loadCachedBars(tab) {
+    if (tab.provider === 'file') return null;
 
-        tab.prediction = predictDirection(tab.indicators, tab.vaeResult);
+    const cached = await window.BarCache.get(window.BarCache.key(tab.provider, tab.ticker, tab.interval), tab.interval);
+    if (!cached || !window.BarCache.covers(cached.bars, tab.range)) return null;
+    return {
+        bars: window.BarCache.trimToRange(cached.bars, tab.range),
+        events: window.CorporateActions.normalizeEvents(cached.events)
+    };
+}
+
+// Repair what can be repaired before anything downstream sees the bars, then
+// back-adjust for splits/dividends unless the tab is switched to raw prices.
+function prepareBars(rawBars, events, priceMode, interval) {
+    const checked = window.DataQuality.validate(rawBars, interval);
+    if (priceMode === 'raw') {
+        return { bars: checked.bars, dataQuality: checked.report, adjustments: [] };
+    }
+    const adjusted = window.CorporateActions.adjust(checked.bars, events);
+    return { bars: adjusted.bars, dataQuality: checked.report, adjustments: adjusted.applied };
+}
+
+function sameBar(a, b) {
+    return a.date.getTime() === b.date.getTime() && a.open === b.open && a.high === b.high &&
+        a.low === b.low && a.close === b.close && a.volume === b.volume;
+}
+
+// Auto-refresh fast path: when the refresh only added bars after the last one
+// (which may have still been forming, so it can change) and no new split or
+// dividend was applied, the tab's indicator stream takes the new bars and the
+// pane series are extended (extendIndicators). Returns null otherwise, and
+// the caller recomputes everything in the worker.
+function extendTabIndicators(tab, prepared) {
+    const previous = tab.data;
+    if (!previous || !tab.indicators || prepared.bars.length < previous.length) return null;
+    if (prepared.adjustments.length !== tab.adjustments.length) return null;
+
+    const keep = previous.length - 1;
+    for (let i = 0; i < keep; i++) {
+        if (!sameBar(previous[i], prepared.bars[i])) return null;
+    }
+
+    // Built once after a full recompute, then carried from refresh to refresh
+    let stream = tab.indicatorStream;
+    if (!stream || stream.count !== keep) {
+        stream = createIndicatorStream();
+        for (let i = 0; i < keep; i++) stream.push(previous[i]);
+    }
+    return extendIndicators(tab.indicators, stream, prepared.bars);
+}
+
+// Runs indicators, VAE and the rule engine on tab.data and re-renders.
+// Cache previews pass recordHistory = false so only real refreshes are logged.
+async function analyzeTab(tabId, recordHistory) {
+    const tab = analysisTabs[tabId];
+
+    const prepared = prepareBars(tab.rawData, tab.events, tab.priceMode, tab.interval);
+    if (prepared.bars.length < 20) {
+        throw new Error('Not enough data points (' + prepared.bars.length + '). Try a different timeframe.');
+    }
+
+    // Appended when only new bars arrived, else computed off the main thread;
+    // bars and their indicators are swapped in together
+    const extended = extendTabIndicators(tab, prepared);
+    const indicators = extended ? extended.indicators : await window.Analytics.indicators(prepared.bars);
+    tab.data = prepared.bars;
+    tab.dataQuality = prepared.dataQuality;
+    tab.adjustments = prepared.adjustments;
+    tab.indicators = indicators;
+    tab.indicatorStream = extended ? extended.stream : null;
+
+    setStatus('loading', 'Calibrating VAE...');
+    await calibrateVAE(tab);
+
+    tab.prediction = predictDirection(tab.indicators, tab.vaeResult, tab.rules);
 
+    if (recordHistory) {
         // Add to history
-        tab.history.unshift({
+        const entry = {
             timestamp: new Date(),
+            barTime: tab.data[tab.data.length - 1].date.getTime(),
             price: tab.indicators.currentPrice,
             direction: tab.prediction.direction,
             confidence: tab.prediction.confidence,
             score: tab.prediction.score
-        });
+        };
+        tab.history.unshift(entry);
+        window.Accuracy.track(tab.ticker, tab.interval, entry);
 
         // Keep only last 50 history items
         if (tab.history.length > 50) tab.history.pop();
 
-        // Update tab signal indicator
-        updateTabSignal(tabId, tab.prediction.direction);
+        scheduleWorkspaceSave();
+    }
 
-        // Re-render if this is the active tab
-        if (activeTabId === tabId) {
-            renderTabContent(tabId);
-        }
+    // Score earlier calls now that more bars may have arrived
+    window.Accuracy.grade(tab.history, tab.data);
+    window.Accuracy.gradeTracked(tab.ticker, tab.interval, tab.data);
 
-        setStatus('ready', 'Updated ' + tab.ticker);
-        document.getElementById('lastUpdate').textContent = 'Last: ' + new Date().toLocaleTimeString();
+    // Update tab signal indicator
+    updateTabSignal(tabId, tab.prediction.direction);
 
-    } catch (error) {
-        console.error('Error:', error);
-        setStatus('error', error.message);
+    // Re-render if this is the active tab
+    if (activeTabId === tabId) {
+        renderTabContent(tabId);
+    }
+}
+
+async function refreshTabData(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab) return;
+
+    if (tab.kind === 'confluence') {
+        await refreshConfluenceTab(tabId);
+        return;
+    }
+
+    let showingCache = false;
+
+    try {
+        // A fresh tab renders straight from the bar cache while the tail loads
+        if (!tab.rawData) {
+            const cachedSeries = await loadCachedBars(tab);
+            if (cachedSeries && cachedSeries.bars.length >= 20) {
+                tab.rawData = cachedSeries.bars;
+                tab.events = cachedSeries.events;
+                await analyzeTab(tabId, false);
+                showingCache = true;
+            }
+        }
+
+        setStatus('loading', 'Fetching ' + tab.ticker + ' data...');
+        const series = await loadTabBars(tab);
+        tab.rawData = series.bars;
+        tab.events = series.events;
+        await analyzeTab(tabId, true);
+
+        setStatus('ready', 'Updated ' + tab.ticker);
+        document.getElementById('lastUpdate').textContent = 'Last: ' + new Date().toLocaleTimeString();
+
+    } catch (error) {
+        console.error('Error:', error);
+
+        if (showingCache) {
+            setStatus('error', 'Showing cached ' + tab.ticker + ' data — ' + error.message);
+            return;
+        }
+
+        setStatus('error', error.message);
 
         if (activeTabId === tabId) {
             document.getElementById('mainContent').innerHTML = `
@@ -780,7 +665,7 @@ async function refreshTabData(tabId) {
                     <div class="sub-tab-content" style="display: flex; align-items: center; justify-content: center;">
                         <div class="decision-card" style="max-width: 500px;">
                             <div class="decision-header" style="background: rgba(255,71,87,0.2);">
-                                <span style="color: var(--accent-red);">Error loading ${tab.ticker} data</span>
+                                <span style="color: var(--accent-red);">Error loading ${escapeHTML(tab.ticker)} data</span>
                             </div>
                             <div class="decision-body">
                                 <p style="margin-bottom: 16px;">${error.message}</p>
@@ -822,15 +707,246 @@ function setStatus(status, text) {
     statusText.textContent = text;
 }
 
+// ==================== MULTI-TIMEFRAME CONFLUENCE ====================
+// A confluence tab loads one ticker on several intervals, runs the rule
+// engine on each and combines them (confluence.js). It has no chart or
+// simulator of its own — open a regular tab for that.
+window.addConfluenceAnalysis = async function() {
+    const ticker = document.getElementById('ticker').value;
+    const text = prompt(
+        'Timeframes for ' + ticker + ' (range|interval, comma-separated):',
+        window.Confluence.formatFrames(window.Confluence.DEFAULT_FRAMES)
+    );
+    if (text === null) return;
+
+    let frames;
+    try {
+        frames = window.Confluence.parseFrames(text);
+    } catch (error) {
+        setStatus('error', error.message);
+        return;
+    }
+
+    tabCounter++;
+    const tabId = 'tab-' + tabCounter;
+
+    analysisTabs[tabId] = createConfluenceTabState(tabId, ticker, frames, window.DataProviders.activeId);
+
+    createTabElement(tabId, ticker + ' ⧉');
+    switchToTab(tabId);
+
+    await refreshTabData(tabId);
+}
+
+function createConfluenceTabState(tabId, ticker, frames, provider) {
+    return {
+        id: tabId,
+        kind: 'confluence',
+        ticker: ticker,
+        provider: provider,
+        frames: frames.map(function(f) {
+            return { range: f.range, interval: f.interval, data: null, indicators: null, prediction: null, error: null };
+        }),
+        confluence: null,
+        history: [],
+        currentSubTab: 'confluence'
+    };
+}
+
+async function refreshConfluenceTab(tabId) {
+    const tab = analysisTabs[tabId];
+
+    for (const frame of tab.frames) {
+        setStatus('loading', 'Fetching ' + tab.ticker + ' ' + frame.range + '/' + frame.interval + '...');
+        try {
+            const series = await loadTabBars({
+                ticker: tab.ticker, range: frame.range, interval: frame.interval, provider: tab.provider
+            });
+            const prepared = prepareBars(series.bars, series.events, 'adjusted', frame.interval);
+            if (prepared.bars.length < 20) {
+                throw new Error('Not enough data points (' + prepared.bars.length + ')');
+            }
+            frame.data = prepared.bars;
+            frame.dataQuality = prepared.dataQuality;
+            frame.indicators = await window.Analytics.indicators(frame.data);
+            frame.prediction = predictDirection(frame.indicators);
+            frame.error = null;
+        } catch (error) {
+            console.warn('Confluence frame ' + frame.range + '/' + frame.interval + ' failed: ' + error.message);
+            frame.prediction = null;
+            frame.error = error.message;
+        }
+    }
+
+    const loaded = tab.frames.filter(function(f) { return f.prediction; });
+    if (loaded.length === 0) {
+        setStatus('error', 'No timeframe could be loaded for ' + tab.ticker);
+        if (activeTabId === tabId && !tab.confluence) {
+            document.getElementById('mainContent').innerHTML = `
+                <div class="chart-area">
+                    <div class="sub-tab-content" style="display: flex; align-items: center; justify-content: center;">
+                        <div class="decision-card" style="max-width: 500px;">
+                            <div class="decision-header" style="background: rgba(255,71,87,0.2);">
+                                <span style="color: var(--accent-red);">Error loading ${escapeHTML(tab.ticker)} timeframes</span>
+                            </div>
+                            <div class="decision-body">
+                                <p style="margin-bottom: 16px;">${tab.frames[0].error}</p>
+                                <button onclick="retryTab('${tabId}')" class="toolbar-btn" style="margin-right: 8px;">Retry</button>
+                                <button onclick="closeTab('${tabId}')" class="toolbar-btn secondary">Close Tab</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        return;
+    }
+
+    tab.confluence = window.Confluence.combine(tab.frames);
+
+    tab.history.unshift({
+        timestamp: new Date(),
+        price: loaded[0].indicators.currentPrice,
+        direction: tab.confluence.direction,
+        confidence: (tab.confluence.agreement * 100).toFixed(1),
+        score: tab.confluence.score
+    });
+    if (tab.history.length > 50) tab.history.pop();
+    scheduleWorkspaceSave();
+
+    updateTabSignal(tabId, tab.confluence.direction);
+
+    if (activeTabId === tabId) {
+        renderTabContent(tabId);
+    }
+
+    setStatus('ready', 'Updated ' + tab.ticker + ' confluence (' + loaded.length + '/' + tab.frames.length + ' timeframes)');
+    document.getElementById('lastUpdate').textContent = 'Last: ' + new Date().toLocaleTimeString();
+}
+
+function renderConfluenceTab(tab) {
+    const c = tab.confluence;
+    const directionClass = c.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
+                          c.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+
+    const rows = tab.frames.map(function(f) {
+        if (!f.prediction) {
+            return `
+                <tr>
+                    <td>${escapeHTML(f.range)} / ${escapeHTML(f.interval)}</td>
+                    <td colspan="8" style="color: var(--accent-red);">${escapeHTML(f.error || 'Not loaded')}</td>
+                </tr>
+            `;
+        }
+        const ind = f.indicators;
+        const p = f.prediction;
+        const rClass = p.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
+                      p.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+        const trend = ind.currentPrice > ind.sma20 && ind.sma20 > ind.sma50 ? 'Up' :
+                      ind.currentPrice < ind.sma20 && ind.sma20 < ind.sma50 ? 'Down' : 'Mixed';
+        const dq = f.dataQuality && f.dataQuality.severity !== 'ok' ? f.dataQuality.severity : 'ok';
+        return `
+            <tr>
+                <td>${escapeHTML(f.range)} / ${escapeHTML(f.interval)}</td>
+                <td>${f.data.length}</td>
+                <td>$${ind.currentPrice.toFixed(2)}</td>
+                <td><span class="reason-signal ${rClass}">${p.direction}</span></td>
+                <td>${p.score.toFixed(1)}</td>
+                <td>${p.confidence}%</td>
+                <td>${ind.rsi.toFixed(1)}</td>
+                <td>${trend}</td>
+                <td>${dq}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const reasonsHTML = c.reasons.map(function(r) {
+        const rClass = r.signal.indexOf('BULLISH') !== -1 ? 'bullish' :
+                      r.signal.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+        return `
+            <div class="reason-item ${rClass}">
+                <div class="reason-header">
+                    <span class="reason-indicator">${r.indicator} (weight ${r.weight})</span>
+                    <span class="reason-signal ${rClass}">${r.signal}</span>
+                </div>
+                <div class="reason-description">${r.description}</div>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('mainContent').innerHTML = `
+        <div class="chart-area">
+            <div class="sub-tabs">
+                <div class="sub-tab ${tab.currentSubTab === 'confluence' ? 'active' : ''}" onclick="switchSubTab('${tab.id}', 'confluence')">Confluence</div>
+                <div class="sub-tab ${tab.currentSubTab === 'history' ? 'active' : ''}" onclick="switchSubTab('${tab.id}', 'history')">History</div>
+            </div>
+            <div class="sub-tab-content">
+                <div id="panel-confluence" class="sub-tab-panel ${tab.currentSubTab === 'confluence' ? 'active' : ''}">
+                    <div class="decision-card">
+                        <div class="decision-header">
+                            <div>
+                                <div style="font-size: 0.9em; color: var(--text-muted); margin-bottom: 4px;">${escapeHTML(tab.ticker)} Multi-Timeframe Signal</div>
+                                <div class="decision-direction ${directionClass}">${c.direction}</div>
+                            </div>
+                            <div style="text-align: right;">
+                                <div class="decision-confidence">${(c.agreement * 100).toFixed(0)}%</div>
+                                <div style="font-size: 0.9em; color: var(--text-muted);">Timeframes agreeing</div>
+                            </div>
+                        </div>
+                        <div class="decision-body">
+                            <div style="background: var(--bg-tertiary); padding: 12px 16px; border-radius: 6px; margin-bottom: 16px;">
+                                <span style="font-weight: 600; color: var(--accent-blue);">Strength: ${c.strength}</span>
+                                <span style="color: var(--text-muted); margin-left: 12px;">Weighted score: ${c.score.toFixed(2)} | Higher timeframes ${c.higherAgree ? 'agree' : 'disagree'}</span>
+                            </div>
+                            <div style="overflow: auto; margin-bottom: 16px;">
+                                <table class="history-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Timeframe</th>
+                                            <th>Bars</th>
+                                            <th>Price</th>
+                                            <th>Signal</th>
+                                            <th>Score</th>
+                                            <th>Confidence</th>
+                                            <th>RSI</th>
+                                            <th>Trend</th>
+                                            <th>Data</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${rows}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <h4 style="margin-bottom: 12px; color: var(--text-secondary);">Timeframe Contributions</h4>
+                            ${reasonsHTML}
+                        </div>
+                    </div>
+                    <div class="disclaimer">
+                        The combined signal is only STRONG when every timeframe above the lowest points the same way. Higher timeframes carry more weight.
+                    </div>
+                </div>
+                <div id="panel-history" class="sub-tab-panel ${tab.currentSubTab === 'history' ? 'active' : ''}"></div>
+            </div>
+        </div>
+    `;
+
+    renderHistoryPanel(tab);
+}
+
 // ==================== RENDERING ====================
 function renderTabContent(tabId) {
     const tab = analysisTabs[tabId];
-    if (!tab || !tab.data) {
+    if (tab && tab.kind === 'confluence' && tab.confluence) {
+        renderConfluenceTab(tab);
+        return;
+    }
+    if (!tab || !tab.data || tab.kind === 'confluence') {
         document.getElementById('mainContent').innerHTML = `
             <div class="chart-area">
                 <div class="loading-overlay">
                     <div class="spinner"></div>
-                    <div class="loading-text">Loading ${tab ? tab.ticker : ''} data...</div>
+                    <div class="loading-text">Loading ${tab ? escapeHTML(tab.ticker) : ''} data...</div>
                 </div>
             </div>
         `;
@@ -846,6 +962,8 @@ function renderTabContent(tabId) {
                 <div class="sub-tab ${tab.currentSubTab === 'decision' ? 'active' : ''}" onclick="switchSubTab('${tabId}', 'decision')">AI Decision</div>
                 <div class="sub-tab ${tab.currentSubTab === 'predictions' ? 'active' : ''}" onclick="switchSubTab('${tabId}', 'predictions')">Predictions</div>
                 <div class="sub-tab ${tab.currentSubTab === 'simulator' ? 'active' : ''}" onclick="switchSubTab('${tabId}', 'simulator')">Simulator</div>
+                <div class="sub-tab ${tab.currentSubTab === 'rules' ? 'active' : ''}" onclick="switchSubTab('${tabId}', 'rules')">Rules</div>
+                <div class="sub-tab ${tab.currentSubTab === 'backtest' ? 'active' : ''}" onclick="switchSubTab('${tabId}', 'backtest')">Backtest</div>
             </div>
             <div class="sub-tab-content">
                 <div id="panel-chart" class="sub-tab-panel ${tab.currentSubTab === 'chart' ? 'active' : ''}"></div>
@@ -853,6 +971,8 @@ function renderTabContent(tabId) {
                 <div id="panel-decision" class="sub-tab-panel ${tab.currentSubTab === 'decision' ? 'active' : ''}"></div>
                 <div id="panel-predictions" class="sub-tab-panel ${tab.currentSubTab === 'predictions' ? 'active' : ''}"></div>
                 <div id="panel-simulator" class="sub-tab-panel ${tab.currentSubTab === 'simulator' ? 'active' : ''}"></div>
+                <div id="panel-rules" class="sub-tab-panel ${tab.currentSubTab === 'rules' ? 'active' : ''}"></div>
+                <div id="panel-backtest" class="sub-tab-panel ${tab.currentSubTab === 'backtest' ? 'active' : ''}"></div>
             </div>
         </div>
     `;
@@ -862,6 +982,8 @@ function renderTabContent(tabId) {
     renderDecisionPanel(tab);
     renderPredictionsPanel(tab);
     renderSimulatorPanel(tab);
+    renderRulesPanel(tab);
+    renderBacktestPanel(tab);
 }
 
 window.switchSubTab = function(tabId, subTab) {
@@ -869,6 +991,7 @@ window.switchSubTab = function(tabId, subTab) {
     if (!tab) return;
 
     tab.currentSubTab = subTab;
+    scheduleWorkspaceSave();
 
     // Update sub-tab buttons
     document.querySelectorAll('.sub-tab').forEach(function(st) {
@@ -887,6 +1010,10 @@ window.switchSubTab = function(tabId, subTab) {
         setTimeout(function() { renderMainChart(tab); }, 50);
     } else if (subTab === 'predictions') {
         setTimeout(function() { renderPredictionChartCanvas(tab); }, 50);
+    } else if (subTab === 'history' && tab.kind !== 'confluence') {
+        setTimeout(function() { renderReliabilityChart(tab); }, 50);
+    } else if (subTab === 'backtest') {
+        setTimeout(function() { renderBacktestCharts(tab); }, 50);
     }
 }
 
@@ -895,20 +1022,42 @@ function renderChartPanel(tab) {
     const directionClass = tab.prediction.direction.indexOf('BULLISH') !== -1 ? 'positive' :
                           tab.prediction.direction.indexOf('BEARISH') !== -1 ? 'negative' : '';
 
+    const adjustmentsTitle = tab.adjustments.length > 0
+        ? tab.adjustments.map(function(adj) {
+            return adj.type + ' ' + adj.detail + ' on ' + adj.date.toLocaleDateString() + ' (' + adj.status + ')';
+        }).join('\n')
+        : 'No splits or dividends in this period';
+
+    const dq = tab.dataQuality;
+    const dqColor = !dq || dq.severity === 'ok' ? 'var(--accent-green)' :
+                    dq.severity === 'warning' ? 'var(--accent-yellow)' : 'var(--accent-red)';
+    const dqLabel = !dq || dq.severity === 'ok' ? 'Clean' :
+                    dq.issues.length + (dq.issues.length === 1 ? ' issue' : ' issues');
+
+    const indicatorButtonsHTML = CHART_INDICATORS.map(function(ind) {
+        return `<button class="chart-type-btn indicator-toggle ${tab.chartIndicators.indexOf(ind.key) !== -1 ? 'active' : ''}" onclick="toggleChartIndicator('${tab.id}', '${ind.key}', this)" style="font-size: 0.8em; padding: 4px 10px;">${ind.label}</button>`;
+    }).join('');
+
     panel.innerHTML = `
         <div class="chart-type-buttons">
             <button class="chart-type-btn active" onclick="changeChartType('${tab.id}', 'candlestick')">Candlestick</button>
             <button class="chart-type-btn" onclick="changeChartType('${tab.id}', 'line')">Line</button>
             <button class="chart-type-btn" onclick="changeChartType('${tab.id}', 'area')">Area</button>
             <span style="margin-left: auto; display: flex; align-items: center; gap: 8px;">
+                <button class="chart-type-btn ${tab.priceMode === 'adjusted' ? 'active' : ''}" onclick="togglePriceMode('${tab.id}')" title="${adjustmentsTitle}" style="font-size: 0.8em;">${tab.priceMode === 'adjusted' ? 'Adjusted' : 'Raw'} Prices</button>
                 <button class="chart-type-btn" onclick="downloadCSV('${tab.id}')" style="font-size: 0.8em;">Download CSV</button>
                 <button class="chart-type-btn" onclick="downloadVAEJson('${tab.id}')" style="font-size: 0.8em; background: #22c55e; color: #fff; border-color: #22c55e;">Export VAE JSON</button>
                 <span style="color: var(--text-muted); font-size: 0.85em;">Scroll to zoom | Drag to pan</span>
             </span>
         </div>
+        <div class="chart-type-buttons" style="flex-wrap: wrap; align-items: center;">
+            <span style="color: var(--text-muted); font-size: 0.85em;">Indicators:</span>
+            ${indicatorButtonsHTML}
+        </div>
         <div class="chart-container">
-            <div id="mainChart-${tab.id}" style="width: 100%; height: 100%;"></div>
+            <div id="mainChart-${tab.id}" style="width: 100%; height: 100%; position: relative;"></div>
         </div>
+        ${renderChartPaneHTML(tab)}
         <div class="metrics-row">
             <div class="metric-cell">
                 <div class="metric-value">$${tab.indicators.currentPrice.toFixed(2)}</div>
@@ -918,6 +1067,10 @@ function renderChartPanel(tab) {
                 <div class="metric-value ${directionClass}">${tab.prediction.direction}</div>
                 <div class="metric-label">AI Signal</div>
             </div>
+            <div class="metric-cell" title="${window.DataQuality.summarize(dq)}">
+                <div class="metric-value" style="color: ${dqColor};">${dqLabel}</div>
+                <div class="metric-label">Data Quality</div>
+            </div>
             <div class="metric-cell">
                 <div class="metric-value">${tab.prediction.confidence}%</div>
                 <div class="metric-label">Confidence</div>
@@ -945,6 +1098,7 @@ function renderMainChart(tab) {
     if (!container) return;
 
     // Clear existing chart
+    removeChartPanes(tab);
     if (tab.chart) {
         tab.chart.remove();
         tab.chart = null;
@@ -976,6 +1130,8 @@ function renderMainChart(tab) {
     });
 
     // Add candlestick series
+    tab.lineSeries = null;
+    tab.areaSeries = null;
     tab.candleSeries = tab.chart.addCandlestickSeries({
         upColor: '#00d26a',
         downColor: '#ff4757',
@@ -995,6 +1151,7 @@ function renderMainChart(tab) {
     });
 
     tab.candleSeries.setData(candleData);
+    tab.candleSeries.setMarkers(buildChartMarkers(tab));
 
     // Add SMA lines
     const sma20Series = tab.chart.addLineSeries({
@@ -1033,7 +1190,12 @@ function renderMainChart(tab) {
     }
     sma50Series.setData(sma50Data);
 
+    tab.indicatorSeries = {};
+    tab.chartIndicators.forEach(function(key) { drawChartIndicator(tab, key); });
+    attachSignalTooltip(tab, container);
+
     tab.chart.timeScale().fitContent();
+    renderChartPanes(tab);
 
     // Handle resize
     const resizeObserver = new ResizeObserver(function() {
@@ -1044,100 +1206,663 @@ function renderMainChart(tab) {
     resizeObserver.observe(container);
 }
 
-window.changeChartType = function(tabId, type) {
-    const tab = analysisTabs[tabId];
-    if (!tab || !tab.chart) return;
+// Optional indicator overlays for the main chart (toggled per tab). Price-based
+// ones share the price scale; oscillators get their own scale in the bottom
+// fifth of the chart.
+const CHART_INDICATORS = [
+    { key: 'signals', label: 'Signal Flips' },
+    { key: 'anomalies', label: 'VAE Anomalies' },
+    { key: 'bollinger', label: 'Bollinger Bands' },
+    { key: 'vwap', label: 'VWAP' },
+    { key: 'ichimoku', label: 'Ichimoku' },
+    { key: 'fibonacci', label: 'Fibonacci' },
+    { key: 'stochastic', label: 'Stochastic' },
+    { key: 'atr', label: 'ATR' },
+    { key: 'adx', label: 'ADX' },
+    { key: 'obv', label: 'OBV' }
+];
+
+const OSCILLATOR_MARGINS = { top: 0.8, bottom: 0 };
+
+function addIndicatorLine(tab, values, options) {
+    const series = tab.chart.addLineSeries(Object.assign({
+        lineWidth: 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+    }, options));
 
-    // Update buttons
-    document.querySelectorAll('.chart-type-btn').forEach(function(btn) {
-        btn.classList.remove('active');
+    const data = [];
+    for (let i = 0; i < tab.data.length; i++) {
+        if (values[i] !== null && values[i] !== undefined) {
+            data.push({ time: tab.data[i].date.getTime() / 1000, value: values[i] });
+        }
+    }
+    series.setData(data);
+    return series;
+}
+
+// Full-height bands behind the bars whose VAE window was anomalous: a
+// histogram on its own 0…1 scale, 1 on anomalous bars and 0 elsewhere
+function addAnomalyShading(tab) {
+    const vr = tab.vaeResult;
+    const series = tab.chart.addHistogramSeries({
+        priceScaleId: 'anomalies',
+        scaleMargins: { top: 0, bottom: 0 },
+        color: 'rgba(255, 71, 87, 0.18)',
+        priceLineVisible: false,
+        lastValueVisible: false,
     });
-    event.target.classList.add('active');
+    series.setData(tab.data.map(function(d, i) {
+        return { time: d.date.getTime() / 1000, value: vr.errors[i] !== null && vr.errors[i] > vr.threshold ? 1 : 0 };
+    }));
+    return series;
+}
 
-    // Remove existing series
-    if (tab.candleSeries) {
-        tab.chart.removeSeries(tab.candleSeries);
-        tab.candleSeries = null;
-    }
-    if (tab.lineSeries) {
-        tab.chart.removeSeries(tab.lineSeries);
-        tab.lineSeries = null;
-    }
-    if (tab.areaSeries) {
-        tab.chart.removeSeries(tab.areaSeries);
-        tab.areaSeries = null;
+function drawChartIndicator(tab, key) {
+    const s = tab.indicators.series;
+    const oscillator = function(scaleId, color, title) {
+        return { priceScaleId: scaleId, scaleMargins: OSCILLATOR_MARGINS, color: color, title: title, lastValueVisible: true };
+    };
+    let series = [];
+
+    if (key === 'signals') {
+        refreshSignalMarkers(tab);   // markers, not series
+    } else if (key === 'anomalies') {
+        series = tab.vaeResult ? [addAnomalyShading(tab)] : [];
+    } else if (key === 'bollinger') {
+        series = [
+            addIndicatorLine(tab, s.bbUpper, { color: 'rgba(139, 92, 246, 0.8)' }),
+            addIndicatorLine(tab, s.bbMiddle, { color: 'rgba(139, 92, 246, 0.5)', lineStyle: LightweightCharts.LineStyle.Dotted }),
+            addIndicatorLine(tab, s.bbLower, { color: 'rgba(139, 92, 246, 0.8)' })
+        ];
+    } else if (key === 'vwap') {
+        series = [addIndicatorLine(tab, s.vwap, { color: '#e879f9', lineWidth: 2, title: 'VWAP' })];
+    } else if (key === 'ichimoku') {
+        const ichimoku = s.ichimoku;
+        series = [
+            addIndicatorLine(tab, ichimoku.tenkan, { color: '#f97316', title: 'Tenkan' }),
+            addIndicatorLine(tab, ichimoku.kijun, { color: '#3b82f6', title: 'Kijun' }),
+            addIndicatorLine(tab, ichimoku.spanA, { color: 'rgba(0, 210, 106, 0.7)', lineStyle: LightweightCharts.LineStyle.Dotted }),
+            addIndicatorLine(tab, ichimoku.spanB, { color: 'rgba(255, 71, 87, 0.7)', lineStyle: LightweightCharts.LineStyle.Dotted }),
+            addIndicatorLine(tab, ichimoku.chikou, { color: '#9ca3af' })
+        ];
+    } else if (key === 'fibonacci') {
+        // Each level runs from the start of the swing to the last bar
+        const fib = tab.indicators.fibonacci;
+        const from = Math.min(fib.highIndex, fib.lowIndex);
+        series = fib.levels.map(function(level) {
+            const values = tab.data.map(function(d, i) { return i >= from ? level.price : null; });
+            return addIndicatorLine(tab, values, {
+                color: level.ratio === 0 || level.ratio === 1 ? '#94a3b8' : '#fbbf24',
+                lineStyle: LightweightCharts.LineStyle.Dashed,
+                lastValueVisible: true,
+                title: (level.ratio * 100).toFixed(1) + '%'
+            });
+        });
+    } else if (key === 'stochastic') {
+        series = [
+            addIndicatorLine(tab, s.stochK, oscillator('stochastic', '#22d3ee', '%K')),
+            addIndicatorLine(tab, s.stochD, oscillator('stochastic', '#f472b6', '%D'))
+        ];
+    } else if (key === 'atr') {
+        series = [addIndicatorLine(tab, s.atr, oscillator('atr', '#a78bfa', 'ATR'))];
+    } else if (key === 'adx') {
+        series = [
+            addIndicatorLine(tab, s.adx, oscillator('adx', '#facc15', 'ADX')),
+            addIndicatorLine(tab, s.plusDI, oscillator('adx', '#00d26a', '+DI')),
+            addIndicatorLine(tab, s.minusDI, oscillator('adx', '#ff4757', '-DI'))
+        ];
+    } else if (key === 'obv') {
+        series = [addIndicatorLine(tab, s.obv, oscillator('obv', '#60a5fa', 'OBV'))];
     }
 
-    if (type === 'candlestick') {
-        tab.candleSeries = tab.chart.addCandlestickSeries({
-            upColor: '#00d26a',
-            downColor: '#ff4757',
-            borderVisible: false,
-            wickUpColor: '#00d26a',
-            wickDownColor: '#ff4757',
-        });
+    tab.indicatorSeries[key] = series;
+}
 
-        const candleData = tab.data.map(function(d) {
-            return {
-                time: d.date.getTime() / 1000,
-                open: d.open, high: d.high, low: d.low, close: d.close
-            };
-        });
-        tab.candleSeries.setData(candleData);
+function removeChartIndicator(tab, key) {
+    (tab.indicatorSeries[key] || []).forEach(function(series) {
+        tab.chart.removeSeries(series);
+    });
+    delete tab.indicatorSeries[key];
+    if (key === 'signals') refreshSignalMarkers(tab);
+}
 
-    } else if (type === 'line') {
-        tab.lineSeries = tab.chart.addLineSeries({
-            color: '#4a9eff',
-            lineWidth: 2,
-        });
+window.toggleChartIndicator = function(tabId, key, button) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.chart) return;
 
-        const lineData = tab.data.map(function(d) {
-            return { time: d.date.getTime() / 1000, value: d.close };
-        });
-        tab.lineSeries.setData(lineData);
+    const index = tab.chartIndicators.indexOf(key);
+    if (index === -1) {
+        tab.chartIndicators.push(key);
+        drawChartIndicator(tab, key);
+    } else {
+        tab.chartIndicators.splice(index, 1);
+        removeChartIndicator(tab, key);
+    }
+    button.classList.toggle('active', index === -1);
+    scheduleWorkspaceSave();
+}
 
-    } else if (type === 'area') {
-        tab.areaSeries = tab.chart.addAreaSeries({
-            topColor: 'rgba(74, 158, 255, 0.4)',
-            bottomColor: 'rgba(74, 158, 255, 0.0)',
-            lineColor: '#4a9eff',
-            lineWidth: 2,
-        });
+// Indicator panes under the price chart. Lightweight Charts 3.8 has no
+// multi-pane layout, so each pane is its own chart: visible ranges are kept in
+// step through logical indices (every pane carries a point for every bar) and
+// the crosshair is mirrored as a thin line over the other charts.
+const CHART_PANES = [
+    { key: 'volume', label: 'Volume' },
+    { key: 'rsi', label: 'RSI (14)' },
+    { key: 'macd', label: 'MACD (12, 26, 9)' },
+    { key: 'anomaly', label: 'VAE Anomaly Error' }
+];
+
+function createPaneChart(container) {
+    return LightweightCharts.createChart(container, {
+        width: container.clientWidth,
+        height: container.clientHeight || 110,
+        layout: {
+            background: { color: '#1e2746' },
+            textColor: '#b0b3b8',
+        },
+        grid: {
+            vertLines: { color: '#2d3a5a' },
+            horzLines: { color: '#2d3a5a' },
+        },
+        crosshair: {
+            mode: LightweightCharts.CrosshairMode.Normal,
+        },
+        rightPriceScale: {
+            borderColor: '#2d3a5a',
+        },
+        timeScale: {
+            visible: false,
+        },
+    });
+}
 
-        const areaData = tab.data.map(function(d) {
-            return { time: d.date.getTime() / 1000, value: d.close };
+// One entry per bar; bars without a value become whitespace so indices line up
+function paneSeriesData(tab, values, color) {
+    return tab.data.map(function(d, i) {
+        const time = d.date.getTime() / 1000;
+        if (values[i] === null || values[i] === undefined) return { time: time };
+        const point = { time: time, value: values[i] };
+        if (color) point.color = color(values[i], i);
+        return point;
+    });
+}
+
+function drawPaneSeries(tab, key, chart) {
+    const s = tab.indicators.series;
+    const line = { lineWidth: 1, priceLineVisible: false, lastValueVisible: true };
+
+    if (key === 'volume') {
+        chart.addHistogramSeries({ priceFormat: { type: 'volume' }, priceLineVisible: false })
+            .setData(paneSeriesData(tab, tab.data.map(function(d) { return d.volume; }), function(v, i) {
+                return tab.data[i].close >= tab.data[i].open ? 'rgba(0, 210, 106, 0.5)' : 'rgba(255, 71, 87, 0.5)';
+            }));
+    } else if (key === 'rsi') {
+        const rsiSeries = chart.addLineSeries(Object.assign({ color: '#a78bfa' }, line));
+        rsiSeries.setData(paneSeriesData(tab, s.rsi));
+        [tab.rules.thresholds.rsiOversold, tab.rules.thresholds.rsiOverbought].forEach(function(level) {
+            rsiSeries.createPriceLine({
+                price: level,
+                color: '#6b7280',
+                lineWidth: 1,
+                lineStyle: LightweightCharts.LineStyle.Dashed,
+                axisLabelVisible: true,
+            });
+        });
+    } else if (key === 'macd') {
+        chart.addHistogramSeries({ priceLineVisible: false, lastValueVisible: false })
+            .setData(paneSeriesData(tab, s.macdHistogram, function(v) {
+                return v >= 0 ? 'rgba(0, 210, 106, 0.5)' : 'rgba(255, 71, 87, 0.5)';
+            }));
+        chart.addLineSeries(Object.assign({ color: '#4a9eff' }, line)).setData(paneSeriesData(tab, s.macd));
+        chart.addLineSeries(Object.assign({ color: '#ffc107' }, line)).setData(paneSeriesData(tab, s.macdSignal));
+    } else if (key === 'anomaly' && tab.vaeResult) {
+        // Error of the window ending on each bar, red above the calibrated threshold
+        const vr = tab.vaeResult;
+        const errorSeries = chart.addHistogramSeries({ priceLineVisible: false, priceFormat: { type: 'price', precision: 4, minMove: 0.0001 } });
+        errorSeries.setData(paneSeriesData(tab, vr.errors, function(v) {
+            return v > vr.threshold ? 'rgba(255, 71, 87, 0.8)' : 'rgba(168, 85, 247, 0.5)';
+        }));
+        errorSeries.createPriceLine({
+            price: vr.threshold,
+            color: '#ff4757',
+            lineWidth: 1,
+            lineStyle: LightweightCharts.LineStyle.Dashed,
+            axisLabelVisible: true,
+            title: '95th pct',
         });
-        tab.areaSeries.setData(areaData);
     }
 }
 
-function renderHistoryPanel(tab) {
-    const panel = document.getElementById('panel-history');
-
-    if (tab.history.length === 0) {
-        panel.innerHTML = `
-            <div style="text-align: center; padding: 40px; color: var(--text-muted);">
-                <p>No history yet. Analysis history will appear here.</p>
-            </div>
-        `;
-        return;
+// Pane header readout for bar `index` (the last bar when the crosshair is away)
+function paneLegendText(tab, key, index) {
+    const s = tab.indicators.series;
+    const fmt = function(v, digits) { return v === null || v === undefined ? '--' : v.toFixed(digits); };
+    if (key === 'volume') return tab.data[index].volume.toLocaleString();
+    if (key === 'rsi') return fmt(s.rsi[index], 1);
+    if (key === 'anomaly') {
+        const vr = tab.vaeResult;
+        if (!vr) return 'VAE not loaded';
+        const error = vr.errors[index];
+        return 'Error ' + fmt(error, 4) + '  Threshold ' + vr.threshold.toFixed(4) +
+            (error !== null && error > vr.threshold ? '  ANOMALY' : '');
     }
+    return 'MACD ' + fmt(s.macd[index], 3) + '  Signal ' + fmt(s.macdSignal[index], 3) + '  Hist ' + fmt(s.macdHistogram[index], 3);
+}
 
-    let rows = tab.history.map(function(h) {
-        const directionClass = h.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
-                              h.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+function renderChartPaneHTML(tab) {
+    return CHART_PANES.map(function(pane) {
+        const open = tab.chartPanes[pane.key];
         return `
-            <tr>
-                <td>${h.timestamp.toLocaleTimeString()}</td>
-                <td>$${h.price.toFixed(2)}</td>
-                <td><span class="reason-signal ${directionClass}">${h.direction}</span></td>
-                <td>${h.confidence}%</td>
-                <td>${h.score.toFixed(1)}</td>
-            </tr>
+            <div class="chart-pane">
+                <div class="chart-pane-header" onclick="toggleChartPane('${tab.id}', '${pane.key}')">
+                    <span><span id="pane-arrow-${pane.key}-${tab.id}">${open ? '▾' : '▸'}</span> ${pane.label}</span>
+                    <span class="chart-pane-legend" id="pane-legend-${pane.key}-${tab.id}">${paneLegendText(tab, pane.key, tab.data.length - 1)}</span>
+                </div>
+                <div class="chart-pane-body" id="pane-${pane.key}-${tab.id}" style="display: ${open ? 'block' : 'none'};"></div>
+            </div>
         `;
     }).join('');
+}
 
-    panel.innerHTML = `
+function removeChartPanes(tab) {
+    // The price chart outlives its panes; drop its handlers that point at them
+    if (tab.chart && tab.paneSync) {
+        tab.chart.timeScale().unsubscribeVisibleLogicalRangeChange(tab.paneSync.range);
+        tab.chart.unsubscribeCrosshairMove(tab.paneSync.crosshair);
+    }
+    tab.paneSync = null;
+
+    Object.keys(tab.paneCharts).forEach(function(key) {
+        tab.paneCharts[key].remove();
+    });
+    tab.paneCharts = {};
+}
+
+function crosshairLine(container) {
+    let line = container.querySelector('.crosshair-sync-line');
+    if (!line) {
+        line = document.createElement('div');
+        line.className = 'crosshair-sync-line';
+        container.appendChild(line);
+    }
+    return line;
+}
+
+function renderChartPanes(tab) {
+    removeChartPanes(tab);
+    if (!tab.chart) return;
+
+    CHART_PANES.forEach(function(pane) {
+        const container = document.getElementById('pane-' + pane.key + '-' + tab.id);
+        if (!container || !tab.chartPanes[pane.key]) return;
+
+        const chart = createPaneChart(container);
+        drawPaneSeries(tab, pane.key, chart);
+        tab.paneCharts[pane.key] = chart;
+
+        const resizeObserver = new ResizeObserver(function() {
+            if (tab.paneCharts[pane.key] === chart && container.clientWidth > 0) {
+                chart.applyOptions({ width: container.clientWidth, height: container.clientHeight || 110 });
+            }
+        });
+        resizeObserver.observe(container);
+    });
+
+    syncChartPanes(tab);
+}
+
+function syncChartPanes(tab) {
+    const times = tab.data.map(function(d) { return d.date.getTime() / 1000; });
+    const entries = [{ key: 'price', chart: tab.chart, container: document.getElementById('mainChart-' + tab.id) }]
+        .concat(Object.keys(tab.paneCharts).map(function(key) {
+            return { key: key, chart: tab.paneCharts[key], container: document.getElementById('pane-' + key + '-' + tab.id) };
+        }));
+
+    let syncing = false;
+    entries.forEach(function(source) {
+        const onRange = function(range) {
+            if (syncing || !range) return;
+            syncing = true;
+            entries.forEach(function(target) {
+                if (target !== source) target.chart.timeScale().setVisibleLogicalRange(range);
+            });
+            syncing = false;
+        };
+
+        const onCrosshair = function(param) {
+            const index = param.time !== undefined ? times.indexOf(param.time) : -1;
+            entries.forEach(function(target) {
+                if (target.key !== 'price') {
+                    const legend = document.getElementById('pane-legend-' + target.key + '-' + tab.id);
+                    if (legend) legend.textContent = paneLegendText(tab, target.key, index === -1 ? times.length - 1 : index);
+                }
+                if (target === source || !target.container) return;
+
+                const line = crosshairLine(target.container);
+                const x = index === -1 ? null : target.chart.timeScale().timeToCoordinate(param.time);
+                line.style.display = x === null ? 'none' : 'block';
+                if (x !== null) line.style.left = Math.round(x) + 'px';
+            });
+        };
+
+        source.chart.timeScale().subscribeVisibleLogicalRangeChange(onRange);
+        source.chart.subscribeCrosshairMove(onCrosshair);
+        if (source.key === 'price') tab.paneSync = { range: onRange, crosshair: onCrosshair };
+    });
+
+    const range = tab.chart.timeScale().getVisibleLogicalRange();
+    if (range) {
+        entries.forEach(function(target) { target.chart.timeScale().setVisibleLogicalRange(range); });
+    }
+}
+
+window.toggleChartPane = function(tabId, key) {
+    const tab = analysisTabs[tabId];
+    if (!tab) return;
+
+    tab.chartPanes[key] = !tab.chartPanes[key];
+    const body = document.getElementById('pane-' + key + '-' + tabId);
+    const arrow = document.getElementById('pane-arrow-' + key + '-' + tabId);
+    if (body) body.style.display = tab.chartPanes[key] ? 'block' : 'none';
+    if (arrow) arrow.textContent = tab.chartPanes[key] ? '▾' : '▸';
+
+    renderChartPanes(tab);
+    scheduleWorkspaceSave();
+}
+
+// Markers drawn on whichever price series is showing (candles, line or area)
+function buildChartMarkers(tab) {
+    let markers = window.CorporateActions.markers(tab.data, tab.events);
+    const flips = tab.chartIndicators.indexOf('signals') !== -1 ? currentSignalFlips(tab) : null;
+    if (flips) markers = markers.concat(flips.map(signalFlipMarker));
+    return markers.sort(function(a, b) { return a.time - b.time; });
+}
+
+function currentPriceSeries(tab) {
+    return tab.candleSeries || tab.lineSeries || tab.areaSeries || null;
+}
+
+// ==================== SIGNAL FLIP MARKERS ====================
+// Replays predictDirection bar by bar over tab.data (rules only, like the
+// backtest) and marks the bars where the direction changed. Indicators are
+// streamed, so the replay is O(n); it still runs in chunks after the chart is
+// drawn, and is cached until the bars or the rules change. A refresh that only
+// appends bars resumes from the previous run instead of starting over.
+const SIGNAL_WARMUP = 50;
+const SIGNAL_CHUNK = 500;
+
+const SIGNAL_MARKER_STYLES = {
+    'BULLISH':          { position: 'belowBar', color: '#00d26a', shape: 'arrowUp', text: 'BULL' },
+    'SLIGHTLY BULLISH': { position: 'belowBar', color: '#7ee2a8', shape: 'circle', text: 'bull' },
+    'NEUTRAL':          { position: 'aboveBar', color: '#9ca3af', shape: 'circle', text: '' },
+    'SLIGHTLY BEARISH': { position: 'aboveBar', color: '#ff9aa4', shape: 'circle', text: 'bear' },
+    'BEARISH':          { position: 'aboveBar', color: '#ff4757', shape: 'arrowDown', text: 'BEAR' }
+};
+
+function signalFlipsKey(tab) {
+    const first = tab.data[0];
+    const last = tab.data[tab.data.length - 1];
+    return [tab.data.length, first.date.getTime(), last.date.getTime(), last.close, JSON.stringify(tab.rules)].join('|');
+}
+
+/** Flips for the tab's current bars and rules, or null while they are being computed. */
+function currentSignalFlips(tab) {
+    const cache = tab.signalFlips;
+    return cache && cache.flips && cache.key === signalFlipsKey(tab) ? cache.flips : null;
+}
+
+function signalFlipMarker(flip) {
+    const style = SIGNAL_MARKER_STYLES[flip.to];
+    return {
+        time: flip.time,
+        position: style.position,
+        color: style.color,
+        shape: style.shape,
+        text: style.text
+    };
+}
+
+// The previous run can be resumed when the rules match and the bars it had
+// settled (all but its last, which may have been still forming) are unchanged
+function resumableSignalFlips(previous, bars, rulesKey) {
+    const resume = previous && previous.resume;
+    if (!resume || resume.rulesKey !== rulesKey || resume.count >= bars.length) return null;
+    const settled = bars[resume.count - 1];
+    return bars[0].close === resume.firstClose &&
+        settled.date.getTime() === resume.lastTime && settled.close === resume.lastClose ? resume : null;
+}
+
+async function computeSignalFlips(tab) {
+    const key = signalFlipsKey(tab);
+    if (tab.signalFlips && tab.signalFlips.key === key) return;
+
+    const bars = tab.data;
+    const rulesKey = JSON.stringify(tab.rules);
+    const rules = JSON.parse(rulesKey);
+    const resume = resumableSignalFlips(tab.signalFlips, bars, rulesKey);
+
+    const cache = { key: key, flips: null, resume: null };
+    tab.signalFlips = cache;
+
+    const stream = resume ? resume.stream.clone() : createIndicatorStream();
+    const flips = resume ? resume.flips.slice() : [];
+    let previous = resume ? resume.previous : null;
+
+    for (let i = stream.count; i < bars.length; i++) {
+        if (i === bars.length - 1) {
+            cache.resume = {
+                rulesKey: rulesKey,
+                count: i,
+                firstClose: bars[0].close,
+                lastTime: bars[i - 1].date.getTime(),
+                lastClose: bars[i - 1].close,
+                stream: stream.clone(),
+                flips: flips.slice(),
+                previous: previous
+            };
+        }
+
+        stream.push(bars[i]);
+        if (i < SIGNAL_WARMUP - 1) continue;
+
+        const prediction = predictDirection(stream.snapshot(), null, rules);
+        if (previous !== null && prediction.direction !== previous) {
+            flips.push({
+                time: bars[i].date.getTime() / 1000,
+                from: previous,
+                to: prediction.direction,
+                score: prediction.score,
+                confidence: prediction.confidence,
+                reasons: prediction.reasons
+            });
+        }
+        previous = prediction.direction;
+
+        if ((i + 1) % SIGNAL_CHUNK === 0) {
+            await new Promise(function(resolve) { setTimeout(resolve, 0); });
+            // Superseded by newer bars or rules, or the tab was closed
+            if (tab.signalFlips !== cache || !analysisTabs[tab.id]) return;
+        }
+    }
+
+    cache.flips = flips;
+}
+
+// Draw markers now, and again once the flips for the current rules are ready
+function refreshSignalMarkers(tab) {
+    const series = currentPriceSeries(tab);
+    if (series) series.setMarkers(buildChartMarkers(tab));
+    if (tab.chartIndicators.indexOf('signals') === -1 || currentSignalFlips(tab)) return;
+
+    computeSignalFlips(tab).then(function() {
+        const current = currentPriceSeries(tab);
+        if (current && currentSignalFlips(tab)) current.setMarkers(buildChartMarkers(tab));
+    });
+}
+
+// Tooltip with the reasons behind a flip when the crosshair sits on its bar
+function attachSignalTooltip(tab, container) {
+    let tooltip = container.querySelector('.signal-tooltip');
+    if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.className = 'signal-tooltip';
+        container.appendChild(tooltip);
+    }
+
+    tab.chart.subscribeCrosshairMove(function(param) {
+        const flips = tab.chartIndicators.indexOf('signals') !== -1 ? currentSignalFlips(tab) : null;
+        const flip = flips && param.point && param.time !== undefined
+            ? flips.find(function(f) { return f.time === param.time; })
+            : null;
+        if (!flip) {
+            tooltip.style.display = 'none';
+            return;
+        }
+
+        tooltip.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: 4px;">${flip.from} → <span style="color: ${SIGNAL_MARKER_STYLES[flip.to].color};">${flip.to}</span></div>
+            <div style="color: var(--text-muted); margin-bottom: 6px;">Score ${flip.score.toFixed(2)} · Confidence ${flip.confidence}% · rules only</div>
+            ${flip.reasons.map(function(r) {
+                return `<div><strong>${r.indicator}</strong> ${r.signal} — ${r.description}</div>`;
+            }).join('')}
+        `;
+        tooltip.style.display = 'block';
+        const left = param.point.x + 16;
+        tooltip.style.left = Math.max(0, Math.min(left, container.clientWidth - tooltip.offsetWidth - 8)) + 'px';
+        tooltip.style.top = Math.max(0, param.point.y - 20) + 'px';
+    });
+}
+
+window.togglePriceMode = async function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.rawData) return;
+
+    tab.priceMode = tab.priceMode === 'raw' ? 'adjusted' : 'raw';
+    await analyzeTab(tabId, false);
+    setStatus('ready', tab.ticker + ' showing ' + tab.priceMode + ' prices');
+    scheduleWorkspaceSave();
+}
+
+window.changeChartType = function(tabId, type) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.chart) return;
+
+    // Update buttons
+    document.querySelectorAll('.chart-type-btn:not(.indicator-toggle)').forEach(function(btn) {
+        btn.classList.remove('active');
+    });
+    event.target.classList.add('active');
+
+    // Remove existing series
+    if (tab.candleSeries) {
+        tab.chart.removeSeries(tab.candleSeries);
+        tab.candleSeries = null;
+    }
+    if (tab.lineSeries) {
+        tab.chart.removeSeries(tab.lineSeries);
+        tab.lineSeries = null;
+    }
+    if (tab.areaSeries) {
+        tab.chart.removeSeries(tab.areaSeries);
+        tab.areaSeries = null;
+    }
+
+    if (type === 'candlestick') {
+        tab.candleSeries = tab.chart.addCandlestickSeries({
+            upColor: '#00d26a',
+            downColor: '#ff4757',
+            borderVisible: false,
+            wickUpColor: '#00d26a',
+            wickDownColor: '#ff4757',
+        });
+
+        const candleData = tab.data.map(function(d) {
+            return {
+                time: d.date.getTime() / 1000,
+                open: d.open, high: d.high, low: d.low, close: d.close
+            };
+        });
+        tab.candleSeries.setData(candleData);
+        tab.candleSeries.setMarkers(buildChartMarkers(tab));
+
+    } else if (type === 'line') {
+        tab.lineSeries = tab.chart.addLineSeries({
+            color: '#4a9eff',
+            lineWidth: 2,
+        });
+
+        const lineData = tab.data.map(function(d) {
+            return { time: d.date.getTime() / 1000, value: d.close };
+        });
+        tab.lineSeries.setData(lineData);
+        tab.lineSeries.setMarkers(buildChartMarkers(tab));
+
+    } else if (type === 'area') {
+        tab.areaSeries = tab.chart.addAreaSeries({
+            topColor: 'rgba(74, 158, 255, 0.4)',
+            bottomColor: 'rgba(74, 158, 255, 0.0)',
+            lineColor: '#4a9eff',
+            lineWidth: 2,
+        });
+
+        const areaData = tab.data.map(function(d) {
+            return { time: d.date.getTime() / 1000, value: d.close };
+        });
+        tab.areaSeries.setData(areaData);
+        tab.areaSeries.setMarkers(buildChartMarkers(tab));
+    }
+}
+
+function renderHistoryPanel(tab) {
+    const panel = document.getElementById('panel-history');
+
+    if (tab.reliabilityChart) {
+        tab.reliabilityChart.destroy();
+        tab.reliabilityChart = null;
+    }
+
+    if (tab.history.length === 0) {
+        panel.innerHTML = `
+            <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+                <p>No history yet. Analysis history will appear here.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const horizon = window.Accuracy.horizon;
+    let rows = tab.history.map(function(h) {
+        const directionClass = h.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
+                              h.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+        let outcome = '<span style="color: var(--text-muted);">—</span>';
+        if (h.grade) {
+            const ret = (h.grade.realizedReturn >= 0 ? '+' : '') + h.grade.realizedReturn.toFixed(2) + '%';
+            outcome = h.grade.hit === null
+                ? '<span style="color: var(--text-muted);">' + ret + '</span>'
+                : '<span style="color: ' + (h.grade.hit ? 'var(--accent-green)' : 'var(--accent-red)') + ';">' +
+                  (h.grade.hit ? '✓ ' : '✗ ') + ret + '</span>';
+        } else if (h.barTime) {
+            outcome = '<span style="color: var(--text-muted);">pending</span>';
+        }
+        return `
+            <tr>
+                <td>${h.timestamp.toLocaleTimeString()}</td>
+                <td>$${h.price.toFixed(2)}</td>
+                <td><span class="reason-signal ${directionClass}">${h.direction}</span></td>
+                <td>${h.confidence}%</td>
+                <td>${h.score.toFixed(1)}</td>
+                <td>${outcome}</td>
+            </tr>
+        `;
+    }).join('');
+
+    // Confluence tabs have no single bar series to grade against
+    const accuracyHTML = tab.kind === 'confluence' ? '' : renderAccuracySummary(tab);
+
+    panel.innerHTML = `
+        ${accuracyHTML}
         <div style="overflow: auto; flex: 1;">
             <table class="history-table">
                 <thead>
@@ -1147,6 +1872,7 @@ function renderHistoryPanel(tab) {
                         <th>Signal</th>
                         <th>Confidence</th>
                         <th>Score</th>
+                        <th>After ${horizon} Bars</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -1155,8 +1881,210 @@ function renderHistoryPanel(tab) {
             </table>
         </div>
         <div class="disclaimer">
-            History shows all analysis snapshots during this session. Each refresh adds a new entry.
+            History shows all analysis snapshots during this session. Each refresh adds a new entry. A call is graded once ${horizon} more bars have closed: ✓ when price moved the way it pointed, ✗ when it did not. Neutral calls are not counted.
+        </div>
+    `;
+
+    if (tab.kind !== 'confluence') {
+        setTimeout(function() { renderReliabilityChart(tab); }, 50);
+    }
+}
+
+function renderAccuracySummary(tab) {
+    const log = window.Accuracy.records(tab.ticker, tab.interval);
+    const s = window.Accuracy.stats(log);
+    const pct = function(v) { return v === null ? '--' : v.toFixed(1) + '%'; };
+    const signed = function(v) { return v === null ? '--' : (v >= 0 ? '+' : '') + v.toFixed(2) + '%'; };
+
+    const rollupRows = function(groups) {
+        if (groups.length === 0) {
+            return '<tr><td colspan="4" style="color: var(--text-muted);">No graded calls yet</td></tr>';
+        }
+        return groups.slice(0, 8).map(function(g) {
+            return `
+                <tr>
+                    <td>${escapeHTML(g.name)}</td>
+                    <td>${g.calls}</td>
+                    <td>${pct(g.hitRate)}</td>
+                    <td>${signed(g.avgCallReturn)}</td>
+                </tr>
+            `;
+        }).join('');
+    };
+
+    const horizonOptions = [1, 3, 5, 10, 20].map(function(n) {
+        return `<option value="${n}" ${n === window.Accuracy.horizon ? 'selected' : ''}>${n} bars</option>`;
+    }).join('');
+
+    return `
+        <div class="simulator-controls">
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 12px;">
+                <h4 style="margin: 0;">Prediction Accuracy — ${escapeHTML(tab.ticker)} ${escapeHTML(tab.interval)}</h4>
+                <div class="sim-speed-control">
+                    <label>Grade after:</label>
+                    <select onchange="changeAccuracyHorizon('${tab.id}', this.value)">${horizonOptions}</select>
+                </div>
+            </div>
+            <div class="result-metrics">
+                <div class="result-metric">
+                    <div class="value">${s.calls}</div>
+                    <div class="label">Graded Calls (${s.graded - s.calls} neutral)</div>
+                </div>
+                <div class="result-metric">
+                    <div class="value ${s.hitRate === null ? '' : s.hitRate >= 50 ? 'positive' : 'negative'}">${pct(s.hitRate)}</div>
+                    <div class="label">Hit Rate</div>
+                </div>
+                <div class="result-metric">
+                    <div class="value ${s.avgCallReturn === null ? '' : s.avgCallReturn >= 0 ? 'positive' : 'negative'}">${signed(s.avgCallReturn)}</div>
+                    <div class="label">Avg Return With Call</div>
+                </div>
+                <div class="result-metric">
+                    <div class="value">${s.calibrationError === null ? '--' : s.calibrationError.toFixed(1) + ' pts'}</div>
+                    <div class="label">Calibration Error</div>
+                </div>
+            </div>
+            <div style="display: flex; gap: 16px; flex-wrap: wrap;">
+                <div style="flex: 1; min-width: 260px; height: 220px; position: relative;">
+                    <canvas id="reliabilityChart-${tab.id}"></canvas>
+                </div>
+                <div style="flex: 1; min-width: 260px; display: flex; gap: 12px;">
+                    <table class="history-table" style="flex: 1;">
+                        <thead><tr><th>Ticker</th><th>Calls</th><th>Hit</th><th>Avg</th></tr></thead>
+                        <tbody>${rollupRows(window.Accuracy.rollup('ticker'))}</tbody>
+                    </table>
+                    <table class="history-table" style="flex: 1;">
+                        <thead><tr><th>Interval</th><th>Calls</th><th>Hit</th><th>Avg</th></tr></thead>
+                        <tbody>${rollupRows(window.Accuracy.rollup('interval'))}</tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Reliability diagram: stated confidence per bin vs. the hit rate it achieved.
+// A calibrated model sits on the diagonal.
+function renderReliabilityChart(tab) {
+    const canvas = document.getElementById('reliabilityChart-' + tab.id);
+    if (!canvas) return;
+
+    const s = window.Accuracy.stats(window.Accuracy.records(tab.ticker, tab.interval));
+
+    if (tab.reliabilityChart) {
+        tab.reliabilityChart.destroy();
+    }
+
+    tab.reliabilityChart = new Chart(canvas, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'Observed hit rate',
+                    data: s.bins.map(function(b) { return { x: b.confidence, y: b.hitRate, count: b.count }; }),
+                    borderColor: '#4a9eff',
+                    backgroundColor: '#4a9eff',
+                    showLine: true,
+                    pointRadius: s.bins.map(function(b) { return Math.min(10, 3 + Math.sqrt(b.count)); })
+                },
+                {
+                    label: 'Perfect calibration',
+                    data: [{ x: 0, y: 0 }, { x: 100, y: 100 }],
+                    borderColor: 'rgba(176, 179, 184, 0.4)',
+                    borderDash: [4, 4],
+                    showLine: true,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { color: '#b0b3b8' }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(ctx) {
+                            if (ctx.datasetIndex !== 0) return '';
+                            return ctx.raw.x.toFixed(0) + '% confident → ' + ctx.raw.y.toFixed(0) + '% hit (' + ctx.raw.count + ' calls)';
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Confidence (%)', color: '#b0b3b8' },
+                    grid: { color: '#2d3a5a' },
+                    ticks: { color: '#b0b3b8' }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Hit rate (%)', color: '#b0b3b8' },
+                    grid: { color: '#2d3a5a' },
+                    ticks: { color: '#b0b3b8' }
+                }
+            }
+        }
+    });
+}
+
+window.changeAccuracyHorizon = function(tabId, value) {
+    const tab = analysisTabs[tabId];
+    if (!tab) return;
+
+    window.Accuracy.setHorizon(value);
+    if (tab.data) {
+        window.Accuracy.grade(tab.history, tab.data);
+        window.Accuracy.gradeTracked(tab.ticker, tab.interval, tab.data);
+    }
+    renderHistoryPanel(tab);
+    scheduleWorkspaceSave();
+}
+
+// Feature × day grid from VAE.attribute() for the latest window: the darker a
+// cell, the more of the error it carries. Rows end with the feature's share.
+function renderAnomalyHeatmap(attribution) {
+    const days = attribution.byDay.length;
+    const total = attribution.byFeature.reduce(function(a, b) { return a + b; }, 0);
+    if (!(total > 0)) return '';
+    const max = Math.max.apply(null, attribution.cells.map(function(row) { return Math.max.apply(null, row); }));
+
+    const rowsHTML = attribution.features.map(function(name, f) {
+        const cellsHTML = attribution.cells.map(function(row, t) {
+            const ago = days - 1 - t;
+            return `<div title="${name}, ${ago === 0 ? 'latest bar' : ago + ' bars ago'}: ${(row[f] / total * 100).toFixed(1)}% of the error"
+                         style="background: rgba(168, 85, 247, ${(row[f] / max).toFixed(2)}); height: 14px; border-radius: 2px;"></div>`;
+        }).join('');
+        return `
+            <div style="color: var(--text-secondary);">${name}</div>
+            ${cellsHTML}
+            <div style="text-align: right; color: var(--text-primary);">${Math.round(attribution.byFeature[f] / total * 100)}%</div>
+        `;
+    }).join('');
+
+    const axisHTML = attribution.byDay.map(function(v, t) {
+        const ago = days - 1 - t;
+        return `<div style="text-align: center; color: var(--text-muted);">${ago % 5 === 0 ? (ago === 0 ? 'now' : '-' + ago) : ''}</div>`;
+    }).join('');
+
+    const method = attribution.method === 'reconstruction'
+        ? 'Squared reconstruction error per feature and bar'
+        : 'Occlusion: how much the error drops when a cell is replaced by its feature\'s window mean';
+
+    return `
+        <div style="display: grid; grid-template-columns: 90px repeat(${days}, 1fr) 36px; gap: 1px; align-items: center; font-size: 0.72em; margin-top: 10px;">
+            ${rowsHTML}
+            <div style="color: var(--text-muted);">bars ago</div>
+            ${axisHTML}
+            <div></div>
         </div>
+        <div style="font-size: 0.72em; color: var(--text-muted); margin-top: 4px;">${method}</div>
     `;
 }
 
@@ -1201,16 +2129,37 @@ function renderDecisionPanel(tab) {
                     <span style="color: var(--text-secondary);">Status: <strong style="color: ${anomalyColor};">${anomalyLabel}</strong></span>
                     <span style="color: var(--text-secondary);">Windows: <strong style="color: var(--text-primary);">${vr.windowCount}</strong></span>
                 </div>
+                <div style="font-size: 0.8em; color: var(--text-muted); margin-top: 6px;">Model: ${escapeHTML(vaeModelLabel(vr.model))} · threshold ${vr.threshold.toFixed(4)}</div>
+                ${vr.attribution ? renderAnomalyHeatmap(vr.attribution) : ''}
                 ${reliabilityWarning}
             </div>
         `;
     }
 
+    // Data-quality notice — shown when the bars needed repair
+    let dataQualityHTML = '';
+    if (tab.dataQuality && tab.dataQuality.severity !== 'ok') {
+        const dq = tab.dataQuality;
+        const dqColor = dq.severity === 'poor' ? 'var(--accent-red)' : 'var(--accent-yellow)';
+        const issuesHTML = dq.issues.map(function(i) {
+            return `<li>${i.label}: <strong>${i.count}</strong> (${i.action})</li>`;
+        }).join('');
+        dataQualityHTML = `
+            <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); border-left: 3px solid ${dqColor}; border-radius: 0 6px 6px 0; padding: 12px 16px; margin-bottom: 16px;">
+                <div style="font-size: 0.8em; color: ${dqColor}; font-weight: 600; margin-bottom: 8px; letter-spacing: 0.5px; text-transform: uppercase;">Data Quality — ${dq.severity === 'poor' ? 'Unreliable' : 'Repaired'}</div>
+                <div style="font-size: 0.88em; color: var(--text-secondary); margin-bottom: 6px;">
+                    ${dq.keptBars} of ${dq.totalBars} bars used, ${dq.repairedBars} repaired, ${dq.droppedBars} dropped.
+                </div>
+                <ul style="font-size: 0.85em; color: var(--text-secondary); padding-left: 18px;">${issuesHTML}</ul>
+            </div>
+        `;
+    }
+
     panel.innerHTML = `
         <div class="decision-card">
             <div class="decision-header">
                 <div>
-                    <div style="font-size: 0.9em; color: var(--text-muted); margin-bottom: 4px;">${tab.ticker} Analysis</div>
+                    <div style="font-size: 0.9em; color: var(--text-muted); margin-bottom: 4px;">${escapeHTML(tab.ticker)} Analysis</div>
                     <div class="decision-direction ${directionClass}">${p.direction}</div>
                 </div>
                 <div style="text-align: right;">
@@ -1223,7 +2172,9 @@ function renderDecisionPanel(tab) {
                     <span style="font-weight: 600; color: var(--accent-blue);">Recommendation: ${p.action}</span>
                     <span style="color: var(--text-muted); margin-left: 12px;">Score: ${p.score.toFixed(1)} | ${p.confirmations} confirmations</span>
                 </div>
+                ${dataQualityHTML}
                 ${vaeBadgeHTML}
+                ${renderVAETrainingCard(tab)}
                 <h4 style="margin-bottom: 12px; color: var(--text-secondary);">Indicator Analysis</h4>
                 ${reasonsHTML}
             </div>
@@ -1264,12 +2215,134 @@ function renderPredictionsPanel(tab) {
                 <div class="value" style="font-size: 1em;">$${lastPred.lower.toFixed(2)} - $${lastPred.upper.toFixed(2)}</div>
             </div>
         </div>
+        <div class="simulator-controls" style="margin-top: 16px; margin-bottom: 0;">
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 12px;">
+                <h4 style="margin: 0;">Historical Band Accuracy</h4>
+                <button class="toolbar-btn secondary" onclick="runBandReplay('${tab.id}')" ${tab.bandReplay && tab.bandReplay.running ? 'disabled' : ''}>
+                    ${bandReplayIsCurrent(tab) ? 'Re-run' : 'Run'} Replay
+                </button>
+            </div>
+            <div id="band-replay-${tab.id}">${renderBandReplay(tab)}</div>
+        </div>
         <div class="disclaimer">
             Predictions are based on technical indicators and historical patterns. Actual results may vary significantly.
         </div>
     `;
 
-    setTimeout(function() { renderPredictionChartCanvas(tab); }, 50);
+    setTimeout(function() { renderPredictionChartCanvas(tab); }, 50);
+}
+
+// ==================== PREDICTION BAND REPLAY ====================
+// Re-runs generatePricePredictions on every historical prefix of tab.data and
+// checks the bands against what actually happened. The VAE-scaled band uses
+// each origin's own reconstruction error, never a later one.
+function bandReplayKey(tab) {
+    return tab.data.length + ':' + tab.data[tab.data.length - 1].date.getTime() + ':' + tab.priceMode + ':' +
+        (tab.vaeResult ? tab.vaeResult.reconError : 'none');
+}
+
+// What generatePricePredictions would have seen as the VAE result on bar i:
+// the error of the window ending there against the tab's threshold (the
+// confidence VAE.score reports). Null before the first full window.
+function vaeResultAt(vaeResult, i) {
+    const error = vaeResult && vaeResult.threshold ? vaeResult.errors[i] : null;
+    if (error === null || error === undefined) return null;
+    return { reconError: error, confidence: Math.min(1, Math.max(0, 1 - error / vaeResult.threshold)) };
+}
+
+function bandReplayIsCurrent(tab) {
+    return !!(tab.bandReplay && tab.bandReplay.result && tab.bandReplay.key === bandReplayKey(tab));
+}
+
+function renderBandReplay(tab) {
+    const replay = tab.bandReplay;
+    if (replay && replay.running) {
+        return '<p id="band-replay-progress-' + tab.id + '" style="color: var(--text-muted);">Replaying forecasts...</p>';
+    }
+    if (replay && replay.error) {
+        return '<p style="color: var(--accent-red);">' + replay.error + '</p>';
+    }
+    if (!replay || !replay.result) {
+        return '<p style="color: var(--text-muted);">Replays the 10-period forecast from every past bar and measures how often the realized price stayed inside the band.</p>';
+    }
+
+    const r = replay.result;
+    const fmt = function(v, digits, suffix) { return v === null ? '--' : v.toFixed(digits) + (suffix || ''); };
+    // A band meant to hold most outcomes should cover well over half of them
+    const coverageColor = function(v) {
+        return v === null ? '' : v >= 80 ? 'var(--accent-green)' : v >= 50 ? 'var(--accent-yellow)' : 'var(--accent-red)';
+    };
+
+    const rows = r.horizons.map(function(h) {
+        return `
+            <tr>
+                <td>T+${h.period}</td>
+                <td>${h.samples}</td>
+                <td style="color: ${coverageColor(h.coverage)};">${fmt(h.coverage, 1, '%')}</td>
+                <td>${fmt(h.widthPct, 2, '%')}</td>
+                <td>$${fmt(h.mae, 2)}</td>
+                <td>${fmt(h.mape, 2, '%')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        ${replay.key === bandReplayKey(tab) ? '' : '<p style="color: var(--accent-yellow); margin-bottom: 8px;">Data has changed since this replay — re-run to update.</p>'}
+        <div style="overflow: auto;">
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>Horizon</th>
+                        <th>Samples</th>
+                        <th>Inside Band</th>
+                        <th>Band Width</th>
+                        <th>MAE</th>
+                        <th>MAPE</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr style="font-weight: 600;">
+                        <td>All</td>
+                        <td>${r.overall.samples}</td>
+                        <td style="color: ${coverageColor(r.overall.coverage)};">${fmt(r.overall.coverage, 1, '%')}</td>
+                        <td>${fmt(r.overall.widthPct, 2, '%')}</td>
+                        <td>$${fmt(r.overall.mae, 2)}</td>
+                        <td>${fmt(r.overall.mape, 2, '%')}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+        <p style="color: var(--text-muted); font-size: 0.85em; margin-top: 8px;">${r.origins} forecast origins${tab.vaeResult ? ', VAE band width from the reconstruction error on each origin bar' : ''}.</p>
+    `;
+}
+
+window.runBandReplay = async function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.data || (tab.bandReplay && tab.bandReplay.running)) return;
+
+    const vaeResult = tab.vaeResult;
+    const indicatorsAt = replayIndicators(tab.data);
+    tab.bandReplay = { running: true, result: null, error: null, key: bandReplayKey(tab) };
+    renderPredictionsPanel(tab);
+
+    try {
+        tab.bandReplay.result = await window.Accuracy.replayBands(
+            tab.data,
+            function(bars, i) { return generatePricePredictions(indicatorsAt(i), 10, vaeResultAt(vaeResult, i)); },
+            { periods: 10 },
+            function(fraction) {
+                const label = document.getElementById('band-replay-progress-' + tabId);
+                if (label) label.textContent = 'Replaying forecasts... ' + Math.round(fraction * 100) + '%';
+            }
+        );
+    } catch (error) {
+        console.error('Band replay failed:', error);
+        tab.bandReplay.error = error.message;
+    }
+    tab.bandReplay.running = false;
+
+    if (analysisTabs[tabId] && activeTabId === tabId) renderPredictionsPanel(tab);
 }
 
 function renderPredictionChartCanvas(tab) {
@@ -1365,6 +2438,18 @@ function renderPredictionChartCanvas(tab) {
 }
 
 // ==================== LIVE TRADE SIMULATOR ====================
+// Indicators on the simulator's current bar, streamed as playback moves
+// forward instead of recomputed over the visible prefix on every step
+function simulatorIndicators(tab) {
+    const sim = tab.simulatorState;
+    if (sim.currentIndex + 1 < 20) return null;
+    if (!sim.indicatorsAt || sim.indicatorsFor !== tab.data) {
+        sim.indicatorsAt = replayIndicators(tab.data);
+        sim.indicatorsFor = tab.data;
+    }
+    return sim.indicatorsAt(sim.currentIndex);
+}
+
 function renderSimulatorPanel(tab) {
     const panel = document.getElementById('panel-simulator');
     if (!panel) return;
@@ -1372,18 +2457,13 @@ function renderSimulatorPanel(tab) {
     const sim = tab.simulatorState;
     const dataLength = tab.data.length;
 
-    // Get current visible data
-    const visibleData = tab.data.slice(0, sim.currentIndex + 1);
-    const currentCandle = visibleData.length > 0 ? visibleData[visibleData.length - 1] : null;
-    const prevCandle = visibleData.length > 1 ? visibleData[visibleData.length - 2] : null;
+    // Current and previous visible bars
+    const currentCandle = tab.data[sim.currentIndex] || null;
+    const prevCandle = sim.currentIndex > 0 ? tab.data[sim.currentIndex - 1] : null;
 
-    // Calculate current indicators if we have enough data
-    let currentIndicators = null;
-    let currentPrediction = null;
-    if (visibleData.length >= 20) {
-        currentIndicators = calculateIndicators(visibleData);
-        currentPrediction = predictDirection(currentIndicators);
-    }
+    // Current indicators once we have enough data
+    const currentIndicators = simulatorIndicators(tab);
+    const currentPrediction = currentIndicators ? predictDirection(currentIndicators, null, tab.rules) : null;
 
     // Price change display
     let priceChangeHTML = '';
@@ -1580,6 +2660,7 @@ function initSimulatorChart(tab) {
 
     // Add markers series for trades
     sim.markerData = [];
+    sim.drawnIndex = null;
 
     // Update chart with current visible data
     updateSimulatorChartData(tab);
@@ -1593,23 +2674,29 @@ function initSimulatorChart(tab) {
     resizeObserver.observe(container);
 }
 
+function simulatorCandle(d) {
+    return {
+        time: d.date.getTime() / 1000,
+        open: d.open,
+        high: d.high,
+        low: d.low,
+        close: d.close
+    };
+}
+
 function updateSimulatorChartData(tab) {
     const sim = tab.simulatorState;
     if (!sim.simChart || !sim.candleSeries) return;
 
-    const visibleData = tab.data.slice(0, sim.currentIndex + 1);
-
-    const candleData = visibleData.map(function(d) {
-        return {
-            time: d.date.getTime() / 1000,
-            open: d.open,
-            high: d.high,
-            low: d.low,
-            close: d.close
-        };
-    });
-
-    sim.candleSeries.setData(candleData);
+    // Playback adds one bar per step; anything else (reset, restore, new
+    // bars) redraws the visible range
+    if (sim.drawnData === tab.data && sim.drawnIndex === sim.currentIndex - 1) {
+        sim.candleSeries.update(simulatorCandle(tab.data[sim.currentIndex]));
+    } else if (sim.drawnData !== tab.data || sim.drawnIndex !== sim.currentIndex) {
+        sim.candleSeries.setData(tab.data.slice(0, sim.currentIndex + 1).map(simulatorCandle));
+    }
+    sim.drawnData = tab.data;
+    sim.drawnIndex = sim.currentIndex;
 
     // Add trade markers
     if (sim.markerData.length > 0) {
@@ -1761,10 +2848,9 @@ window.openSimPosition = function(tabId, type) {
     const sim = tab.simulatorState;
     const currentCandle = tab.data[sim.currentIndex];
 
-    // Calculate indicators at entry for later feedback
-    const visibleData = tab.data.slice(0, sim.currentIndex + 1);
-    const indicatorsAtEntry = visibleData.length >= 20 ? calculateIndicators(visibleData) : null;
-    const predictionAtEntry = indicatorsAtEntry ? predictDirection(indicatorsAtEntry) : null;
+    // Indicators at entry for later feedback
+    const indicatorsAtEntry = simulatorIndicators(tab);
+    const predictionAtEntry = indicatorsAtEntry ? predictDirection(indicatorsAtEntry, null, tab.rules) : null;
 
     sim.position = {
         type: type,
@@ -1888,6 +2974,8 @@ window.closeSimPosition = function(tabId) {
     if (resultsDiv) {
         resultsDiv.innerHTML = renderFinalResults(tab);
     }
+
+    scheduleWorkspaceSave();
 }
 
 window.resetSimulation = function(tabId) {
@@ -1913,6 +3001,8 @@ window.resetSimulation = function(tabId) {
 
     // Re-render
     renderSimulatorPanel(tab);
+
+    scheduleWorkspaceSave();
 }
 
 window.updateSimSpeed = function(tabId, speed) {
@@ -1985,117 +3075,859 @@ function generateAIFeedback(userAction, aiPrediction, profitLossPercent, isProfi
         feedback.details.push('RSI was neutral at ' + indicators.rsi.toFixed(1) + '.');
     }
 
-    if (indicators.currentPrice > indicators.sma20 && indicators.sma20 > indicators.sma50) {
-        feedback.details.push('Price was in an uptrend (above both moving averages).');
-    } else if (indicators.currentPrice < indicators.sma20 && indicators.sma20 < indicators.sma50) {
-        feedback.details.push('Price was in a downtrend (below both moving averages).');
-    } else {
-        feedback.details.push('Moving averages showed mixed signals with no clear trend.');
+    if (indicators.currentPrice > indicators.sma20 && indicators.sma20 > indicators.sma50) {
+        feedback.details.push('Price was in an uptrend (above both moving averages).');
+    } else if (indicators.currentPrice < indicators.sma20 && indicators.sma20 < indicators.sma50) {
+        feedback.details.push('Price was in a downtrend (below both moving averages).');
+    } else {
+        feedback.details.push('Moving averages showed mixed signals with no clear trend.');
+    }
+
+    if (indicators.macdHistogram > 0) {
+        feedback.details.push('MACD histogram was positive, indicating bullish momentum.');
+    } else {
+        feedback.details.push('MACD histogram was negative, indicating bearish momentum.');
+    }
+
+    // Risk analysis
+    if (maxDrawdown > 5) {
+        feedback.details.push('This trade saw a max drawdown of ' + maxDrawdown.toFixed(1) + '%, which required patience to hold through.');
+    }
+
+    if (maxRunup > Math.abs(profitLossPercent) && isProfit) {
+        feedback.details.push('The position reached +' + maxRunup.toFixed(1) + '% before settling at ' + profitLossPercent.toFixed(2) + '%. Earlier exit could have improved returns.');
+    }
+
+    return feedback;
+}
+
+function renderFinalResults(tab) {
+    const sim = tab.simulatorState;
+    if (sim.trades.length === 0) return '';
+
+    // Calculate total P&L
+    const totalPnL = sim.trades.reduce(function(sum, trade) { return sum + trade.pnl; }, 0);
+    const winningTrades = sim.trades.filter(function(t) { return t.pnl > 0; }).length;
+    const winRate = (winningTrades / sim.trades.length) * 100;
+
+    let tradesHTML = sim.trades.map(function(trade, index) {
+        const pnlClass = trade.pnl >= 0 ? 'profit' : 'loss';
+        const actionClass = trade.type.toLowerCase();
+
+        const aiDirectionClass = trade.predictionAtEntry
+            ? (trade.predictionAtEntry.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
+               trade.predictionAtEntry.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral')
+            : 'neutral';
+
+        let detailsHTML = trade.feedback.details.map(function(detail) {
+            return '<p style="margin-bottom: 6px; font-size: 0.9em;">• ' + detail + '</p>';
+        }).join('');
+
+        return `
+            <div class="sim-trade-item" style="flex-direction: column; align-items: stretch;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                    <div class="sim-trade-info">
+                        <span class="sim-trade-action ${actionClass}">Trade ${index + 1}: ${trade.type}</span>
+                        <span class="sim-trade-prices">$${trade.entryPrice.toFixed(2)} → $${trade.exitPrice.toFixed(2)} (${trade.periodsHeld} periods)</span>
+                    </div>
+                    <span class="sim-trade-result ${pnlClass}">${trade.pnl >= 0 ? '+' : ''}${trade.pnl.toFixed(2)}%</span>
+                </div>
+                <div class="ai-feedback" style="margin: 0;">
+                    <p style="margin-bottom: 8px;">
+                        <span class="feedback-verdict ${trade.feedback.verdictClass}">${trade.feedback.verdict}</span>
+                        ${trade.feedback.summary}
+                    </p>
+                    ${detailsHTML}
+                    ${trade.predictionAtEntry ? `
+                        <div class="ai-recommendation" style="margin-top: 10px;">
+                            <span class="ai-label">AI signal at entry:</span>
+                            <span class="ai-action ${aiDirectionClass}">${trade.predictionAtEntry.action}</span>
+                            <span style="color: var(--text-muted); font-size: 0.85em;">(${trade.predictionAtEntry.confidence}% confidence)</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const totalClass = totalPnL >= 0 ? 'profit' : 'loss';
+
+    return `
+        <div class="sim-final-results">
+            <div class="sim-final-header">
+                <h4>Trading Session Summary</h4>
+                <span class="result-outcome ${totalClass}">${totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(2)}% Total</span>
+            </div>
+            <div class="sim-final-body">
+                <div class="result-metrics" style="margin-bottom: 16px;">
+                    <div class="result-metric">
+                        <div class="value">${sim.trades.length}</div>
+                        <div class="label">Trades</div>
+                    </div>
+                    <div class="result-metric">
+                        <div class="value positive">${winningTrades}</div>
+                        <div class="label">Winners</div>
+                    </div>
+                    <div class="result-metric">
+                        <div class="value negative">${sim.trades.length - winningTrades}</div>
+                        <div class="label">Losers</div>
+                    </div>
+                    <div class="result-metric">
+                        <div class="value">${winRate.toFixed(0)}%</div>
+                        <div class="label">Win Rate</div>
+                    </div>
+                </div>
+                <div class="sim-trades-list">
+                    ${tradesHTML}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ==================== RULES EDITOR ====================
+// Edits tab.rules in place and re-runs predictDirection on the tab's current
+// indicators, so the decision updates without refetching. Profiles live in
+// rules.js; a tab keeps unsaved edits until it is saved or reset.
+function renderRulesPanel(tab) {
+    const panel = document.getElementById('panel-rules');
+    if (!panel) return;
+
+    const profiles = window.RuleProfiles;
+    const modified = !profiles.equal(tab.rules, profiles.get(tab.ruleProfile));
+    const p = tab.prediction;
+    const directionClass = p.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
+                          p.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral';
+
+    const groupTitles = {
+        enabled: 'Indicators',
+        weights: 'Weights',
+        thresholds: 'Thresholds',
+        custom: 'Confirmations'
+    };
+
+    const groupsHTML = Object.keys(groupTitles).map(function(group) {
+        const fieldsHTML = profiles.FIELDS.filter(function(f) { return f.group === group; }).map(function(f) {
+            const value = tab.rules[f.group][f.key];
+            const input = f.type === 'checkbox'
+                ? `<input type="checkbox" ${value ? 'checked' : ''} onchange="updateRule('${tab.id}', '${f.group}', '${f.key}', this.checked)">`
+                : `<input type="number" value="${value}" min="${f.min}" max="${f.max}" step="${f.step}" onchange="updateRule('${tab.id}', '${f.group}', '${f.key}', this.value)">`;
+            return `
+                <div class="simulator-field">
+                    <label>${f.label}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+        return `
+            <div class="simulator-controls">
+                <h4>${groupTitles[group]}</h4>
+                <div class="simulator-row">${fieldsHTML}</div>
+            </div>
+        `;
+    }).join('');
+
+    const profileOptions = profiles.list().map(function(name) {
+        return `<option value="${escapeHTML(name)}" ${name === tab.ruleProfile ? 'selected' : ''}>${escapeHTML(name)}${profiles.isBuiltin(name) ? ' (built-in)' : ''}</option>`;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="simulator-controls" style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">
+            <div class="sim-speed-control" style="margin-left: 0;">
+                <label>Profile:</label>
+                <select onchange="changeRuleProfile('${tab.id}', this.value)">${profileOptions}</select>
+            </div>
+            ${modified ? '<span style="color: var(--accent-yellow); font-size: 0.85em;">● Unsaved changes</span>' : ''}
+            <div class="action-buttons" style="margin-left: auto;">
+                <button class="toolbar-btn secondary" onclick="saveRuleProfile('${tab.id}', false)" ${!modified || profiles.isBuiltin(tab.ruleProfile) ? 'disabled' : ''}>Save</button>
+                <button class="toolbar-btn secondary" onclick="saveRuleProfile('${tab.id}', true)">Save As</button>
+                <button class="toolbar-btn secondary" onclick="resetRuleProfile('${tab.id}')" ${!modified ? 'disabled' : ''}>Reset</button>
+                <button class="toolbar-btn secondary" onclick="deleteRuleProfile('${tab.id}')" ${profiles.isBuiltin(tab.ruleProfile) ? 'disabled' : ''}>Delete</button>
+            </div>
+        </div>
+        <div class="simulator-controls" style="display: flex; align-items: center; gap: 24px;">
+            <div>
+                <div style="font-size: 0.85em; color: var(--text-muted);">Decision with these rules</div>
+                <div class="decision-direction ${directionClass}" style="font-size: 1.4em;">${p.direction}</div>
+            </div>
+            <div style="color: var(--text-secondary);">Score <strong>${p.score.toFixed(2)}</strong></div>
+            <div style="color: var(--text-secondary);">Confidence <strong>${p.confidence}%</strong></div>
+            <div style="color: var(--text-secondary);">Action <strong>${p.action}</strong></div>
+        </div>
+        ${groupsHTML}
+        ${renderCustomRulesEditor(tab)}
+        ${renderOptimizerCard(tab)}
+        <div class="disclaimer">
+            Changes apply to this tab only and take effect immediately. Save them to a profile to reuse them in other tabs or share a workspace with teammates.
+        </div>
+    `;
+}
+
+function renderCustomRulesEditor(tab) {
+    const compiled = window.RuleDSL.compile(tab.rules.customRules);
+    const fired = window.RuleDSL.evaluate(compiled.rules, tab.indicators).map(function(r) { return r.line; });
+
+    const statusHTML = `<div style="color: var(--text-muted); font-size: 0.85em;">${compiled.rules.length} rule${compiled.rules.length === 1 ? '' : 's'}, ${fired.length} firing now${fired.length ? ' (line ' + fired.join(', ') + ')' : ''}</div>` +
+        compiled.errors.map(function(e) {
+            return `<div style="color: var(--accent-red); font-size: 0.85em;">Line ${e.line}, col ${e.column}: ${escapeHTML(e.message)} — line skipped</div>`;
+        }).join('');
+
+    const variablesHTML = window.RuleDSL.variables().map(function(v) {
+        return `<code title="${v.description}" style="margin-right: 8px;">${v.name}</code>`;
+    }).join('');
+
+    return `
+        <div class="simulator-controls">
+            <h4>Custom Rules</h4>
+            <textarea id="custom-rules-${tab.id}" rows="6" spellcheck="false"
+                      placeholder='rsi < 25 and close > sma50 => +1.5 "Oversold in uptrend"'
+                      onchange="updateCustomRules('${tab.id}', this.value)"
+                      style="width: 100%; font-family: monospace; font-size: 0.9em; background: var(--bg-secondary); color: var(--text-primary); border: 1px solid var(--border-color); border-radius: 4px; padding: 8px; margin-bottom: 8px;">${escapeHTML(tab.rules.customRules)}</textarea>
+            ${statusHTML}
+            <div style="color: var(--text-muted); font-size: 0.8em; margin-top: 8px; line-height: 1.8;">
+                One rule per line: <code>condition =&gt; weight "label"</code>. Combine comparisons with <code>and</code>, <code>or</code>, <code>not</code> and parentheses; use <code>abs()</code>, <code>min()</code>, <code>max()</code> and + - * /. <code>#</code> starts a comment.<br>
+                Variables: ${variablesHTML}
+            </div>
+        </div>
+    `;
+}
+
+window.updateCustomRules = function(tabId, text) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.indicators) return;
+
+    tab.rules.customRules = text;
+    applyTabRules(tab);
+}
+
+// Re-score the tab with its current rules and refresh everything that shows the decision
+function applyTabRules(tab) {
+    tab.prediction = predictDirection(tab.indicators, tab.vaeResult, tab.rules);
+    updateTabSignal(tab.id, tab.prediction.direction);
+    scheduleWorkspaceSave();
+
+    if (activeTabId !== tab.id) return;
+    renderChartPanel(tab);
+    renderDecisionPanel(tab);
+    renderRulesPanel(tab);
+}
+
+window.updateRule = function(tabId, group, key, value) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.indicators) return;
+
+    if (typeof value === 'boolean') {
+        tab.rules[group][key] = value;
+    } else {
+        const number = parseFloat(value);
+        if (isNaN(number)) return;
+        tab.rules[group][key] = number;
+    }
+    applyTabRules(tab);
+}
+
+window.changeRuleProfile = function(tabId, name) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.indicators) return;
+
+    if (!window.RuleProfiles.equal(tab.rules, window.RuleProfiles.get(tab.ruleProfile)) &&
+        !confirm('Discard unsaved rule changes?')) {
+        renderRulesPanel(tab);
+        return;
+    }
+    tab.ruleProfile = name;
+    tab.rules = window.RuleProfiles.get(name);
+    applyTabRules(tab);
+}
+
+window.saveRuleProfile = function(tabId, asNew) {
+    const tab = analysisTabs[tabId];
+    if (!tab) return;
+
+    let name = tab.ruleProfile;
+    if (asNew || window.RuleProfiles.isBuiltin(name)) {
+        name = prompt('Save rules as profile:', window.RuleProfiles.isBuiltin(name) ? '' : name);
+        if (name === null) return;
+        name = name.trim();
+        if (!name) return;
+        if (window.RuleProfiles.isBuiltin(name)) {
+            setStatus('error', '"' + name + '" is a built-in profile — choose another name');
+            return;
+        }
+    }
+
+    if (!window.RuleProfiles.save(name, tab.rules)) {
+        setStatus('error', 'Could not save rule profile "' + name + '"');
+        return;
+    }
+    tab.ruleProfile = name;
+    scheduleWorkspaceSave();
+    setStatus('ready', 'Saved rule profile "' + name + '"');
+    renderRulesPanel(tab);
+}
+
+window.resetRuleProfile = function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.indicators) return;
+
+    tab.rules = window.RuleProfiles.get(tab.ruleProfile);
+    applyTabRules(tab);
+}
+
+window.deleteRuleProfile = function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || window.RuleProfiles.isBuiltin(tab.ruleProfile)) return;
+    if (!confirm('Delete rule profile "' + tab.ruleProfile + '"? Tabs using it keep their current rules.')) return;
+
+    window.RuleProfiles.remove(tab.ruleProfile);
+    // Keep the rules, now as unsaved edits on top of Default
+    tab.ruleProfile = window.RuleProfiles.DEFAULT_NAME;
+    scheduleWorkspaceSave();
+    renderRulesPanel(tab);
+}
+
+// ==================== RULE OPTIMIZER ====================
+// Searches weights/thresholds over tab.data with optimizer.js (in a Web Worker
+// when the page allows it). Results are only suggestions: applying one turns
+// it into unsaved edits of the tab's rules, like editing the fields by hand.
+const OPTIMIZER_GROUPS = [
+    { key: 'weights', label: 'Indicator weights' },
+    { key: 'thresholds', label: 'RSI / volume / momentum thresholds' },
+    { key: 'cutoffs', label: 'Score cutoff & confirmations' }
+];
+
+function formatOptimizerScore(objective, value) {
+    return objective === 'sharpe' ? value.toFixed(2) : value.toFixed(1) + '%';
+}
+
+function renderOptimizerCard(tab) {
+    const opt = tab.optimizer;
+    const o = opt.options;
+
+    const groupsHTML = OPTIMIZER_GROUPS.map(function(g) {
+        return `
+            <label style="display: flex; align-items: center; gap: 6px; color: var(--text-secondary); font-size: 0.85em;">
+                <input type="checkbox" id="opt-group-${g.key}-${tab.id}" ${o.groups.indexOf(g.key) !== -1 ? 'checked' : ''}>
+                ${g.label}
+            </label>
+        `;
+    }).join('');
+
+    let resultHTML = '';
+    if (opt.running) {
+        resultHTML = `
+            <div style="display: flex; align-items: center; gap: 12px; padding: 12px 0; color: var(--text-muted);">
+                <div class="spinner"></div>
+                <span id="opt-progress-${tab.id}">Optimizing... ${Math.round(opt.progress * 100)}%</span>
+            </div>
+        `;
+    } else if (opt.error) {
+        resultHTML = `<p style="color: var(--accent-red); padding: 12px 0;">${escapeHTML(opt.error)}</p>`;
+    } else if (opt.result) {
+        resultHTML = renderOptimizerResults(tab);
+    }
+
+    return `
+        <div class="simulator-controls">
+            <h4>Optimize</h4>
+            <div class="simulator-row">
+                <div class="simulator-field">
+                    <label for="opt-method-${tab.id}">Method</label>
+                    <select id="opt-method-${tab.id}">
+                        <option value="random" ${o.method === 'random' ? 'selected' : ''}>Random search</option>
+                        <option value="genetic" ${o.method === 'genetic' ? 'selected' : ''}>Genetic algorithm</option>
+                        <option value="grid" ${o.method === 'grid' ? 'selected' : ''}>Grid search</option>
+                    </select>
+                </div>
+                <div class="simulator-field">
+                    <label for="opt-objective-${tab.id}">Objective</label>
+                    <select id="opt-objective-${tab.id}">
+                        <option value="accuracy" ${o.objective === 'accuracy' ? 'selected' : ''}>Directional accuracy</option>
+                        <option value="sharpe" ${o.objective === 'sharpe' ? 'selected' : ''}>Sharpe (next-bar strategy)</option>
+                    </select>
+                </div>
+                <div class="simulator-field">
+                    <label for="opt-budget-${tab.id}">Evaluations</label>
+                    <input type="number" id="opt-budget-${tab.id}" value="${o.budget}" min="10" max="5000" step="50">
+                </div>
+                <div class="simulator-field">
+                    <label for="opt-trainFraction-${tab.id}">Train Split (%)</label>
+                    <input type="number" id="opt-trainFraction-${tab.id}" value="${Math.round(o.trainFraction * 100)}" min="30" max="90" step="5">
+                </div>
+                <div class="simulator-field">
+                    <label for="opt-horizon-${tab.id}">Horizon (bars)</label>
+                    <input type="number" id="opt-horizon-${tab.id}" value="${o.horizon}" min="1" max="50" step="1">
+                </div>
+            </div>
+            <div class="simulator-row" style="gap: 16px;">
+                ${groupsHTML}
+            </div>
+            <div class="action-buttons">
+                <button class="toolbar-btn" onclick="runOptimizer('${tab.id}')" ${opt.running ? 'disabled' : ''}>Run Optimizer</button>
+                ${opt.running ? `<button class="toolbar-btn secondary" onclick="cancelOptimizer('${tab.id}')">Cancel</button>` : ''}
+            </div>
+            ${resultHTML}
+        </div>
+    `;
+}
+
+function renderOptimizerResults(tab) {
+    const r = tab.optimizer.result;
+    const fmt = function(v) { return formatOptimizerScore(r.objective, v); };
+    const best = r.top[0];
+
+    // Overfitting shows up as a train score that does not carry over to the held-out bars
+    const gapLimit = r.objective === 'sharpe' ? 1 : 10;
+    let warning = '';
+    if (best.test <= r.baseline.test) {
+        warning = 'The best candidate does not beat the current rules on the test bars — the improvement is most likely overfit.';
+    } else if (best.train - best.test > gapLimit) {
+        warning = 'Large gap between train and test scores — expect live results closer to the test column.';
     }
 
-    if (indicators.macdHistogram > 0) {
-        feedback.details.push('MACD histogram was positive, indicating bullish momentum.');
-    } else {
-        feedback.details.push('MACD histogram was negative, indicating bearish momentum.');
-    }
+    const changes = function(candidate) {
+        const diffs = candidate.params.filter(function(p) {
+            return tab.rules[p.group][p.key] !== p.value;
+        }).map(function(p) {
+            return `${p.key} ${tab.rules[p.group][p.key]}→<strong>${p.value}</strong>`;
+        });
+        return diffs.length ? diffs.join(', ') : '<span style="color: var(--text-muted);">same as current</span>';
+    };
 
-    // Risk analysis
-    if (maxDrawdown > 5) {
-        feedback.details.push('This trade saw a max drawdown of ' + maxDrawdown.toFixed(1) + '%, which required patience to hold through.');
-    }
+    const rowsHTML = r.top.map(function(c, index) {
+        return `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${fmt(c.train)}</td>
+                <td style="color: ${c.test > r.baseline.test ? 'var(--accent-green)' : 'var(--accent-red)'};">${fmt(c.test)}</td>
+                <td style="font-size: 0.85em;">${changes(c)}</td>
+                <td style="white-space: nowrap;">
+                    <button class="toolbar-btn secondary" onclick="applyOptimizerResult('${tab.id}', ${index}, false)">Apply</button>
+                    <button class="toolbar-btn secondary" onclick="applyOptimizerResult('${tab.id}', ${index}, true)">Apply &amp; Save As</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
 
-    if (maxRunup > Math.abs(profitLossPercent) && isProfit) {
-        feedback.details.push('The position reached +' + maxRunup.toFixed(1) + '% before settling at ' + profitLossPercent.toFixed(2) + '%. Earlier exit could have improved returns.');
+    return `
+        <div style="color: var(--text-muted); font-size: 0.85em; margin: 12px 0 8px;">
+            ${r.evaluations} rule sets scored on ${r.trainBars} training bars, best ${r.top.length} re-scored on ${r.testBars} held-out bars.
+            Rules at start: train ${fmt(r.baseline.train)}, test ${fmt(r.baseline.test)}.
+        </div>
+        ${warning ? `<div style="color: var(--accent-yellow); font-size: 0.85em; margin-bottom: 8px;">⚠ ${warning}</div>` : ''}
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Train</th>
+                    <th>Test</th>
+                    <th>Changes vs. current rules</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHTML}
+            </tbody>
+        </table>
+    `;
+}
+
+function readOptimizerOptions(tab) {
+    const o = Object.assign({}, tab.optimizer.options);
+    o.method = document.getElementById('opt-method-' + tab.id).value;
+    o.objective = document.getElementById('opt-objective-' + tab.id).value;
+    o.groups = OPTIMIZER_GROUPS.filter(function(g) {
+        return document.getElementById('opt-group-' + g.key + '-' + tab.id).checked;
+    }).map(function(g) { return g.key; });
+
+    const budget = parseInt(document.getElementById('opt-budget-' + tab.id).value, 10);
+    if (budget >= 10) o.budget = budget;
+    const split = parseFloat(document.getElementById('opt-trainFraction-' + tab.id).value);
+    if (split >= 30 && split <= 90) o.trainFraction = split / 100;
+    const horizon = parseInt(document.getElementById('opt-horizon-' + tab.id).value, 10);
+    if (horizon >= 1) o.horizon = horizon;
+
+    o.periodsPerYear = window.Backtest.periodsPerYear(tab.interval);
+    return o;
+}
+
+window.runOptimizer = async function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.data || tab.optimizer.running) return;
+
+    const opt = tab.optimizer;
+    opt.options = readOptimizerOptions(tab);
+    opt.running = true;
+    opt.progress = 0;
+    opt.error = null;
+    renderRulesPanel(tab);
+    scheduleWorkspaceSave();
+    setStatus('loading', 'Optimizing rules for ' + tab.ticker + ' over ' + tab.data.length + ' bars...');
+
+    opt.job = window.Optimizer.start(tab.data, tab.rules, opt.options, function(fraction) {
+        opt.progress = fraction;
+        const label = document.getElementById('opt-progress-' + tabId);
+        if (label) label.textContent = 'Optimizing... ' + Math.round(fraction * 100) + '%';
+    });
+
+    try {
+        opt.result = await opt.job.promise;
+        setStatus('ready', 'Optimizer ' + tab.ticker + ': best test score ' +
+            formatOptimizerScore(opt.result.objective, opt.result.top[0].test) +
+            ' vs. ' + formatOptimizerScore(opt.result.objective, opt.result.baseline.test) + ' for the current rules');
+    } catch (error) {
+        if (error.cancelled) {
+            setStatus('ready', 'Optimizer cancelled');
+        } else {
+            console.error('Optimizer failed:', error);
+            opt.result = null;
+            opt.error = error.message;
+            setStatus('error', 'Optimizer failed: ' + error.message);
+        }
     }
+    opt.running = false;
+    opt.job = null;
 
-    return feedback;
+    if (analysisTabs[tabId] && activeTabId === tabId) renderRulesPanel(tab);
 }
 
-function renderFinalResults(tab) {
-    const sim = tab.simulatorState;
-    if (sim.trades.length === 0) return '';
+window.cancelOptimizer = function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (tab && tab.optimizer.job) tab.optimizer.job.cancel();
+}
 
-    // Calculate total P&L
-    const totalPnL = sim.trades.reduce(function(sum, trade) { return sum + trade.pnl; }, 0);
-    const winningTrades = sim.trades.filter(function(t) { return t.pnl > 0; }).length;
-    const winRate = (winningTrades / sim.trades.length) * 100;
+// Copies only the searched parameters, so edits made since the run are kept
+window.applyOptimizerResult = function(tabId, index, saveAs) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.indicators || !tab.optimizer.result) return;
 
-    let tradesHTML = sim.trades.map(function(trade, index) {
-        const pnlClass = trade.pnl >= 0 ? 'profit' : 'loss';
-        const actionClass = trade.type.toLowerCase();
+    tab.optimizer.result.top[index].params.forEach(function(p) {
+        tab.rules[p.group][p.key] = p.value;
+    });
+    applyTabRules(tab);
+    if (saveAs) saveRuleProfile(tabId, true);
+}
 
-        const aiDirectionClass = trade.predictionAtEntry
-            ? (trade.predictionAtEntry.direction.indexOf('BULLISH') !== -1 ? 'bullish' :
-               trade.predictionAtEntry.direction.indexOf('BEARISH') !== -1 ? 'bearish' : 'neutral')
-            : 'neutral';
+// ==================== BACKTEST ====================
+// Walk-forward replay of the rule engine over tab.data (backtest.js). The VAE
+// is left out: recalibrating it on every prefix would take minutes.
+const BACKTEST_FIELDS = [
+    { key: 'initialCapital', label: 'Capital ($)', step: 1000 },
+    { key: 'sizeValue', label: 'Size', step: 1 },
+    { key: 'commissionPct', label: 'Commission (%)', step: 0.01 },
+    { key: 'commissionFixed', label: 'Commission ($/trade)', step: 0.5 },
+    { key: 'slippagePct', label: 'Slippage (%)', step: 0.01 },
+    { key: 'stopLossPct', label: 'Stop Loss (%)', step: 0.5 },
+    { key: 'takeProfitPct', label: 'Take Profit (%)', step: 0.5 },
+    { key: 'maxBars', label: 'Max Bars Held', step: 1 }
+];
+
+function renderBacktestPanel(tab) {
+    const panel = document.getElementById('panel-backtest');
+    if (!panel) return;
 
-        let detailsHTML = trade.feedback.details.map(function(detail) {
-            return '<p style="margin-bottom: 6px; font-size: 0.9em;">• ' + detail + '</p>';
-        }).join('');
+    removeBacktestCharts(tab);
+
+    const bt = tab.backtest;
+    const o = bt.options;
 
+    const fieldsHTML = BACKTEST_FIELDS.map(function(f) {
         return `
-            <div class="sim-trade-item" style="flex-direction: column; align-items: stretch;">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
-                    <div class="sim-trade-info">
-                        <span class="sim-trade-action ${actionClass}">Trade ${index + 1}: ${trade.type}</span>
-                        <span class="sim-trade-prices">$${trade.entryPrice.toFixed(2)} → $${trade.exitPrice.toFixed(2)} (${trade.periodsHeld} periods)</span>
-                    </div>
-                    <span class="sim-trade-result ${pnlClass}">${trade.pnl >= 0 ? '+' : ''}${trade.pnl.toFixed(2)}%</span>
-                </div>
-                <div class="ai-feedback" style="margin: 0;">
-                    <p style="margin-bottom: 8px;">
-                        <span class="feedback-verdict ${trade.feedback.verdictClass}">${trade.feedback.verdict}</span>
-                        ${trade.feedback.summary}
-                    </p>
-                    ${detailsHTML}
-                    ${trade.predictionAtEntry ? `
-                        <div class="ai-recommendation" style="margin-top: 10px;">
-                            <span class="ai-label">AI signal at entry:</span>
-                            <span class="ai-action ${aiDirectionClass}">${trade.predictionAtEntry.action}</span>
-                            <span style="color: var(--text-muted); font-size: 0.85em;">(${trade.predictionAtEntry.confidence}% confidence)</span>
-                        </div>
-                    ` : ''}
-                </div>
+            <div class="simulator-field">
+                <label for="bt-${f.key}-${tab.id}">${f.label}</label>
+                <input type="number" id="bt-${f.key}-${tab.id}" value="${o[f.key]}" min="0" step="${f.step}">
             </div>
         `;
     }).join('');
 
-    const totalClass = totalPnL >= 0 ? 'profit' : 'loss';
-
-    return `
-        <div class="sim-final-results">
-            <div class="sim-final-header">
-                <h4>Trading Session Summary</h4>
-                <span class="result-outcome ${totalClass}">${totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(2)}% Total</span>
+    let resultHTML = '';
+    if (bt.running) {
+        resultHTML = `
+            <div style="text-align: center; padding: 40px; color: var(--text-muted);">
+                <div class="spinner" style="margin: 0 auto 12px;"></div>
+                <p id="bt-progress-${tab.id}">Running backtest...</p>
             </div>
-            <div class="sim-final-body">
-                <div class="result-metrics" style="margin-bottom: 16px;">
-                    <div class="result-metric">
-                        <div class="value">${sim.trades.length}</div>
-                        <div class="label">Trades</div>
-                    </div>
-                    <div class="result-metric">
-                        <div class="value positive">${winningTrades}</div>
-                        <div class="label">Winners</div>
-                    </div>
-                    <div class="result-metric">
-                        <div class="value negative">${sim.trades.length - winningTrades}</div>
-                        <div class="label">Losers</div>
-                    </div>
-                    <div class="result-metric">
-                        <div class="value">${winRate.toFixed(0)}%</div>
-                        <div class="label">Win Rate</div>
-                    </div>
+        `;
+    } else if (bt.error) {
+        resultHTML = `<p style="color: var(--accent-red); padding: 16px 0;">${bt.error}</p>`;
+    } else if (bt.result) {
+        resultHTML = renderBacktestResults(tab);
+    }
+
+    panel.innerHTML = `
+        <div class="simulator-controls">
+            <h4>Walk-Forward Backtest</h4>
+            <div class="simulator-row">
+                <div class="simulator-field">
+                    <label for="bt-entry-${tab.id}">Enter On</label>
+                    <select id="bt-entry-${tab.id}">
+                        <option value="buy" ${o.entry === 'buy' ? 'selected' : ''}>BUY or STRONG BUY</option>
+                        <option value="strong" ${o.entry === 'strong' ? 'selected' : ''}>STRONG BUY only</option>
+                    </select>
                 </div>
-                <div class="sim-trades-list">
-                    ${tradesHTML}
+                <div class="simulator-field">
+                    <label for="bt-exit-${tab.id}">Exit On</label>
+                    <select id="bt-exit-${tab.id}">
+                        <option value="neutral" ${o.exit === 'neutral' ? 'selected' : ''}>Signal fades (HOLD)</option>
+                        <option value="opposite" ${o.exit === 'opposite' ? 'selected' : ''}>Opposite signal only</option>
+                    </select>
+                </div>
+                <div class="simulator-field">
+                    <label for="bt-sizing-${tab.id}">Sizing</label>
+                    <select id="bt-sizing-${tab.id}">
+                        <option value="percent" ${o.sizing === 'percent' ? 'selected' : ''}>% of equity</option>
+                        <option value="fixed" ${o.sizing === 'fixed' ? 'selected' : ''}>Fixed $ amount</option>
+                    </select>
+                </div>
+                <div class="simulator-field">
+                    <label for="bt-allowShort-${tab.id}">Shorts</label>
+                    <select id="bt-allowShort-${tab.id}">
+                        <option value="false" ${!o.allowShort ? 'selected' : ''}>Long only</option>
+                        <option value="true" ${o.allowShort ? 'selected' : ''}>Long and short</option>
+                    </select>
                 </div>
             </div>
+            <div class="simulator-row">
+                ${fieldsHTML}
+            </div>
+            <div class="action-buttons">
+                <button class="toolbar-btn" onclick="runBacktest('${tab.id}')" ${bt.running ? 'disabled' : ''}>Run Backtest</button>
+            </div>
+        </div>
+        ${resultHTML}
+        <div class="disclaimer">
+            Signals are read on each bar's close using only the bars up to it and filled at the next open. Stops and targets fill intrabar. Rule signals only — the VAE is not recalibrated per bar. Past performance does not predict future results.
+        </div>
+    `;
+
+    if (bt.result && !bt.running) {
+        setTimeout(function() { renderBacktestCharts(tab); }, 50);
+    }
+}
+
+function renderBacktestResults(tab) {
+    const r = tab.backtest.result;
+    const s = r.stats;
+    const pct = function(v) { return v === null ? '--' : (v >= 0 ? '+' : '') + v.toFixed(2) + '%'; };
+    const cls = function(v) { return v === null || v === 0 ? '' : v > 0 ? 'positive' : 'negative'; };
+    const pf = s.profitFactor === Infinity ? '∞' : s.profitFactor.toFixed(2);
+
+    const tradesHTML = r.trades.length === 0
+        ? '<tr><td colspan="8" style="text-align: center; color: var(--text-muted);">No trades — the rules never gave an entry signal.</td></tr>'
+        : r.trades.map(function(t, index) {
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td><span class="reason-signal ${t.side === 'LONG' ? 'bullish' : 'bearish'}">${t.side}</span></td>
+                    <td>${t.entryDate.toLocaleString()}</td>
+                    <td>$${t.entryPrice.toFixed(2)}</td>
+                    <td>${t.exitDate.toLocaleString()}</td>
+                    <td>$${t.exitPrice.toFixed(2)}</td>
+                    <td style="color: ${t.pnl >= 0 ? 'var(--accent-green)' : 'var(--accent-red)'};">${t.pnl >= 0 ? '+' : ''}$${t.pnl.toFixed(2)} (${pct(t.returnPct)})</td>
+                    <td>${t.exitReason}</td>
+                </tr>
+            `;
+        }).join('');
+
+    return `
+        <div class="result-metrics">
+            <div class="result-metric">
+                <div class="value ${cls(s.totalReturn)}">${pct(s.totalReturn)}</div>
+                <div class="label">Total Return (B&amp;H ${pct(s.benchmarkReturn)})</div>
+            </div>
+            <div class="result-metric">
+                <div class="value ${cls(s.cagr)}">${pct(s.cagr)}</div>
+                <div class="label">CAGR</div>
+            </div>
+            <div class="result-metric">
+                <div class="value">${s.sharpe.toFixed(2)}</div>
+                <div class="label">Sharpe</div>
+            </div>
+            <div class="result-metric">
+                <div class="value">${s.sortino.toFixed(2)}</div>
+                <div class="label">Sortino</div>
+            </div>
+            <div class="result-metric">
+                <div class="value negative">${s.maxDrawdown.toFixed(2)}%</div>
+                <div class="label">Max Drawdown</div>
+            </div>
+            <div class="result-metric">
+                <div class="value">${s.winRate.toFixed(0)}%</div>
+                <div class="label">Win Rate (${s.trades} trades)</div>
+            </div>
+            <div class="result-metric">
+                <div class="value">${pf}</div>
+                <div class="label">Profit Factor</div>
+            </div>
+            <div class="result-metric">
+                <div class="value ${cls(s.avgTrade)}">${pct(s.avgTrade)}</div>
+                <div class="label">Avg Trade</div>
+            </div>
+            <div class="result-metric">
+                <div class="value">${s.exposure.toFixed(0)}%</div>
+                <div class="label">Time in Market</div>
+            </div>
+        </div>
+        <h4 style="margin-bottom: 8px; color: var(--text-secondary);">Equity Curve <span style="font-weight: 400; font-size: 0.85em; color: var(--text-muted);">(blue: strategy, grey: buy &amp; hold)</span></h4>
+        <div class="sim-chart-container" id="bt-equity-${tab.id}" style="height: 260px; margin-bottom: 16px;"></div>
+        <h4 style="margin-bottom: 8px; color: var(--text-secondary);">Drawdown</h4>
+        <div class="sim-chart-container" id="bt-drawdown-${tab.id}" style="height: 140px; margin-bottom: 16px;"></div>
+        <h4 style="margin-bottom: 8px; color: var(--text-secondary);">Trades</h4>
+        <div style="overflow: auto; max-height: 320px; margin-bottom: 16px;">
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Side</th>
+                        <th>Entry</th>
+                        <th>Entry Price</th>
+                        <th>Exit</th>
+                        <th>Exit Price</th>
+                        <th>P&amp;L</th>
+                        <th>Exit Reason</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tradesHTML}
+                </tbody>
+            </table>
         </div>
     `;
 }
 
+function createBacktestChart(container) {
+    return LightweightCharts.createChart(container, {
+        width: container.clientWidth,
+        height: container.clientHeight,
+        layout: {
+            background: { color: '#1e2746' },
+            textColor: '#b0b3b8',
+        },
+        grid: {
+            vertLines: { color: '#2d3a5a' },
+            horzLines: { color: '#2d3a5a' },
+        },
+        rightPriceScale: {
+            borderColor: '#2d3a5a',
+        },
+        timeScale: {
+            borderColor: '#2d3a5a',
+            timeVisible: true,
+            secondsVisible: false,
+        },
+    });
+}
+
+function removeBacktestCharts(tab) {
+    const bt = tab.backtest;
+    if (bt.equityChart) {
+        bt.equityChart.remove();
+        bt.equityChart = null;
+    }
+    if (bt.drawdownChart) {
+        bt.drawdownChart.remove();
+        bt.drawdownChart = null;
+    }
+}
+
+function renderBacktestCharts(tab) {
+    const bt = tab.backtest;
+    const equityContainer = document.getElementById('bt-equity-' + tab.id);
+    const drawdownContainer = document.getElementById('bt-drawdown-' + tab.id);
+    if (!bt.result || !equityContainer || !drawdownContainer || equityContainer.clientWidth === 0) return;
+
+    removeBacktestCharts(tab);
+
+    bt.equityChart = createBacktestChart(equityContainer);
+    const benchmarkSeries = bt.equityChart.addLineSeries({ color: '#6b7280', lineWidth: 1 });
+    benchmarkSeries.setData(bt.result.equity.map(function(e) {
+        return { time: e.date.getTime() / 1000, value: e.benchmark };
+    }));
+    const equitySeries = bt.equityChart.addLineSeries({ color: '#4a9eff', lineWidth: 2 });
+    equitySeries.setData(bt.result.equity.map(function(e) {
+        return { time: e.date.getTime() / 1000, value: e.equity };
+    }));
+    equitySeries.setMarkers(bt.result.trades.map(function(t) {
+        return {
+            time: t.exitDate.getTime() / 1000,
+            position: 'aboveBar',
+            color: t.pnl >= 0 ? '#00d26a' : '#ff4757',
+            shape: 'circle',
+            text: (t.returnPct >= 0 ? '+' : '') + t.returnPct.toFixed(1) + '%'
+        };
+    }));
+    bt.equityChart.timeScale().fitContent();
+
+    bt.drawdownChart = createBacktestChart(drawdownContainer);
+    const drawdownSeries = bt.drawdownChart.addAreaSeries({
+        lineColor: '#ff4757',
+        topColor: 'rgba(255, 71, 87, 0.05)',
+        bottomColor: 'rgba(255, 71, 87, 0.4)',
+        lineWidth: 1
+    });
+    drawdownSeries.setData(bt.result.drawdown.map(function(d) {
+        return { time: d.date.getTime() / 1000, value: d.pct };
+    }));
+    bt.drawdownChart.timeScale().fitContent();
+}
+
+function readBacktestOptions(tab) {
+    const o = Object.assign({}, tab.backtest.options);
+    o.entry = document.getElementById('bt-entry-' + tab.id).value;
+    o.exit = document.getElementById('bt-exit-' + tab.id).value;
+    o.sizing = document.getElementById('bt-sizing-' + tab.id).value;
+    o.allowShort = document.getElementById('bt-allowShort-' + tab.id).value === 'true';
+    BACKTEST_FIELDS.forEach(function(f) {
+        const value = parseFloat(document.getElementById('bt-' + f.key + '-' + tab.id).value);
+        if (!isNaN(value) && value >= 0) o[f.key] = value;
+    });
+    o.periodsPerYear = window.Backtest.periodsPerYear(tab.interval);
+    return o;
+}
+
+window.runBacktest = async function(tabId) {
+    const tab = analysisTabs[tabId];
+    if (!tab || !tab.data || tab.backtest.running) return;
+
+    const bt = tab.backtest;
+    bt.options = readBacktestOptions(tab);
+    bt.running = true;
+    bt.error = null;
+    renderBacktestPanel(tab);
+    scheduleWorkspaceSave();
+    setStatus('loading', 'Backtesting ' + tab.ticker + ' over ' + tab.data.length + ' bars...');
+
+    try {
+        bt.result = await window.Analytics.backtest(
+            tab.data,
+            tab.rules,
+            bt.options,
+            function(fraction) {
+                const label = document.getElementById('bt-progress-' + tabId);
+                if (label) label.textContent = 'Running backtest... ' + Math.round(fraction * 100) + '%';
+            }
+        );
+        setStatus('ready', 'Backtest ' + tab.ticker + ': ' + bt.result.stats.trades + ' trades, ' +
+            bt.result.stats.totalReturn.toFixed(2) + '% return');
+    } catch (error) {
+        console.error('Backtest failed:', error);
+        bt.result = null;
+        bt.error = error.message;
+        setStatus('error', 'Backtest failed: ' + error.message);
+    }
+    bt.running = false;
+
+    // The tab may have been closed while the backtest was running
+    if (analysisTabs[tabId] && activeTabId === tabId) renderBacktestPanel(tab);
+}
+
 // ==================== EXPORT VAE JSON ====================
+// Daily exports keep the plain YYYY-MM-DD date; intraday bars need the full
+// timestamp or they collapse onto one date when the file is opened again.
+function formatExportDate(date, interval) {
+    return /^\d+(m|h)$/.test(interval) ? date.toISOString() : date.toISOString().split('T')[0];
+}
+
 window.downloadCSV = function(tabId) {
     const tab = analysisTabs[tabId];
     if (!tab || !tab.data) return;
@@ -2103,7 +3935,7 @@ window.downloadCSV = function(tabId) {
     const header = 'Date,Open,High,Low,Close,Volume';
     const rows = tab.data.map(function(d) {
         return [
-            d.date.toISOString().split('T')[0],
+            formatExportDate(d.date, tab.interval),
             d.open, d.high, d.low, d.close, d.volume
         ].join(',');
     });
@@ -2136,7 +3968,7 @@ window.downloadVAEJson = function(tabId) {
         data_points: tab.data.length,
         data: tab.data.map(function(d) {
             return {
-                date: d.date.toISOString().split('T')[0],
+                date: formatExportDate(d.date, tab.interval),
                 open: d.open,
                 high: d.high,
                 low: d.low,
@@ -2156,6 +3988,205 @@ window.downloadVAEJson = function(tabId) {
     URL.revokeObjectURL(url);
 };
 
+// ==================== WORKSPACE PERSISTENCE ====================
+// Snapshots hold what cannot be re-derived: which tabs are open, their
+// history and completed simulator trades. Bars and analysis are re-fetched
+// (from the bar cache) and re-run on restore; file tabs carry their bars.
+let workspaceSaveTimer = null;
+let restoringWorkspace = false;
+let workspaceGeneration = 0;
+
+function serializeWorkspace() {
+    return {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        tabCounter: tabCounter,
+        activeTabId: activeTabId,
+        tabs: Object.keys(analysisTabs).map(function(tabId) {
+            const tab = analysisTabs[tabId];
+            if (tab.kind === 'confluence') {
+                return {
+                    id: tab.id,
+                    kind: 'confluence',
+                    ticker: tab.ticker,
+                    provider: tab.provider,
+                    frames: tab.frames.map(function(f) { return { range: f.range, interval: f.interval }; }),
+                    currentSubTab: tab.currentSubTab,
+                    history: tab.history
+                };
+            }
+
+            const sim = tab.simulatorState;
+            return {
+                id: tab.id,
+                ticker: tab.ticker,
+                range: tab.range,
+                interval: tab.interval,
+                provider: tab.provider,
+                fileName: tab.fileName || null,
+                fileData: tab.provider === 'file' ? tab.fileData : null,
+                currentSubTab: tab.currentSubTab,
+                priceMode: tab.priceMode,
+                ruleProfile: tab.ruleProfile,
+                rules: tab.rules,
+                history: tab.history,
+                backtestOptions: tab.backtest.options,
+                optimizerOptions: tab.optimizer.options,
+                chartIndicators: tab.chartIndicators,
+                chartPanes: tab.chartPanes,
+                // Tabs still waiting for their restore keep the snapshot they came from
+                simulator: tab.savedSimulator || {
+                    currentIndex: sim.currentIndex,
+                    isComplete: sim.isComplete,
+                    // Indicators at entry are only needed to build the feedback
+                    trades: sim.trades.map(function(t) {
+                        return Object.assign({}, t, { indicatorsAtEntry: null });
+                    })
+                }
+            };
+        })
+    };
+}
+
+function reviveDates(items, fields) {
+    return (items || []).map(function(item) {
+        const copy = Object.assign({}, item);
+        fields.forEach(function(f) {
+            if (copy[f]) copy[f] = new Date(copy[f]);
+        });
+        return copy;
+    });
+}
+
+function saveWorkspaceNow() {
+    if (restoringWorkspace) return;
+    if (workspaceSaveTimer) {
+        clearTimeout(workspaceSaveTimer);
+        workspaceSaveTimer = null;
+    }
+    if (!window.Workspace.save(window.Workspace.currentName, serializeWorkspace())) {
+        setStatus('error', 'Workspace too large to save — close file tabs or long intraday tabs');
+    }
+}
+
+function scheduleWorkspaceSave() {
+    if (restoringWorkspace) return;
+    if (workspaceSaveTimer) clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(saveWorkspaceNow, 500);
+}
+
+async function restoreWorkspace(name) {
+    const snapshot = window.Workspace.load(name);
+    const generation = ++workspaceGeneration;
+
+    restoringWorkspace = true;
+    Object.keys(analysisTabs).forEach(function(tabId) { closeTab(tabId); });
+    window.Workspace.setCurrent(name);
+    renderWorkspaceSelect();
+
+    if (!snapshot || !snapshot.tabs || snapshot.tabs.length === 0) {
+        restoringWorkspace = false;
+        return;
+    }
+
+    tabCounter = snapshot.tabCounter || snapshot.tabs.length;
+
+    snapshot.tabs.forEach(function(saved) {
+        if (saved.kind === 'confluence') {
+            const confluenceTab = createConfluenceTabState(saved.id, saved.ticker, saved.frames, saved.provider);
+            confluenceTab.currentSubTab = saved.currentSubTab || 'confluence';
+            confluenceTab.history = reviveDates(saved.history, ['timestamp']);
+            analysisTabs[saved.id] = confluenceTab;
+            createTabElement(saved.id, saved.ticker + ' ⧉');
+            return;
+        }
+
+        const tab = createTabState(saved.id, saved.ticker, saved.range, saved.interval, saved.provider);
+        tab.currentSubTab = saved.currentSubTab || 'chart';
+        tab.priceMode = saved.priceMode || 'adjusted';
+        if (window.RuleProfiles.list().indexOf(saved.ruleProfile) !== -1) tab.ruleProfile = saved.ruleProfile;
+        tab.rules = saved.rules ? window.RuleProfiles.normalize(saved.rules) : window.RuleProfiles.get(tab.ruleProfile);
+        if (saved.backtestOptions) Object.assign(tab.backtest.options, saved.backtestOptions);
+        if (saved.optimizerOptions) Object.assign(tab.optimizer.options, saved.optimizerOptions);
+        if (saved.chartPanes) Object.assign(tab.chartPanes, saved.chartPanes);
+        if (Array.isArray(saved.chartIndicators)) {
+            tab.chartIndicators = saved.chartIndicators.filter(function(key) {
+                return CHART_INDICATORS.some(function(ind) { return ind.key === key; });
+            });
+        }
+        tab.history = reviveDates(saved.history, ['timestamp']);
+        if (saved.provider === 'file') {
+            tab.fileName = saved.fileName;
+            tab.fileData = reviveDates(saved.fileData, ['date']);
+        }
+        tab.savedSimulator = saved.simulator;
+
+        analysisTabs[saved.id] = tab;
+        createTabElement(saved.id, saved.provider === 'file' ? saved.ticker + ' 📄' : saved.ticker);
+    });
+
+    const firstTabId = analysisTabs[snapshot.activeTabId] ? snapshot.activeTabId : snapshot.tabs[0].id;
+    switchToTab(firstTabId);
+    restoringWorkspace = false;
+
+    // Re-run the analysis one tab at a time to keep the proxy chain calm
+    for (const saved of snapshot.tabs) {
+        // Stop if the user switched workspaces while we were loading
+        if (generation !== workspaceGeneration) return;
+
+        const tab = analysisTabs[saved.id];
+        if (!tab) continue;
+
+        await refreshTabData(saved.id);
+        if (generation !== workspaceGeneration) return;
+
+        if (tab.data && tab.savedSimulator) {
+            const sim = tab.simulatorState;
+            sim.trades = reviveDates(tab.savedSimulator.trades, ['entryDate', 'exitDate']);
+            sim.isComplete = !!tab.savedSimulator.isComplete;
+            sim.currentIndex = Math.min(tab.savedSimulator.currentIndex || sim.startIndex, tab.data.length - 1);
+            delete tab.savedSimulator;
+
+            if (activeTabId === saved.id) renderSimulatorPanel(tab);
+        }
+    }
+}
+
+function renderWorkspaceSelect() {
+    const select = document.getElementById('workspaceSelect');
+    if (!select) return;
+
+    select.innerHTML = window.Workspace.list().map(function(name) {
+        return '<option value="' + escapeHTML(name) + '"' + (name === window.Workspace.currentName ? ' selected' : '') + '>' + escapeHTML(name) + '</option>';
+    }).join('');
+}
+
+window.switchWorkspace = async function(name) {
+    if (name === window.Workspace.currentName) return;
+    saveWorkspaceNow();
+    await restoreWorkspace(name);
+}
+
+window.saveWorkspaceAs = function() {
+    const name = prompt('Save workspace as:', window.Workspace.currentName);
+    if (!name || !name.trim()) return;
+
+    window.Workspace.setCurrent(name.trim());
+    saveWorkspaceNow();
+    renderWorkspaceSelect();
+    setStatus('ready', 'Saved workspace "' + name.trim() + '"');
+}
+
+window.deleteWorkspace = async function() {
+    const name = window.Workspace.currentName;
+    if (!confirm('Delete workspace "' + name + '"? Its tabs will be closed.')) return;
+
+    window.Workspace.remove(name);
+    await restoreWorkspace(window.Workspace.currentName);
+}
+
+window.addEventListener('beforeunload', saveWorkspaceNow);
+
 // ==================== AUTO-REFRESH ====================
 let autoRefreshEnabled = false;
 let autoRefreshInterval = 60;
@@ -2217,4 +4248,8 @@ window.updateRefreshInterval = function() {
     if (autoRefreshEnabled) startAutoRefresh();
 }
 
+initDataSourceSelect();
+restoreWorkspace(window.Workspace.currentName);
+checkVAEStatus();
+
 console.log('Trading Assistant ready');
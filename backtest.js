@@ -0,0 +1,287 @@
+/**
+ * backtest.js — Walk-Forward Backtesting Engine
+ *
+ * Replays a bar series one bar at a time, asks a signal function for a
+ * prediction on every bar's close (no look-ahead) and trades its `action` under
+ * configurable entry/exit rules, sizing and costs. Exposes window.Backtest:
+ *
+ *   Backtest.DEFAULTS                          — default options (see below)
+ *   Backtest.run(bars, signalFn, opts, onProgress) — Promise<result>
+ *   Backtest.periodsPerYear(interval)          — annualisation factor for a Yahoo interval
+ *   Backtest.computeStats(equity, trades, bars, opts)
+ *
+ * signalFn(bars, i) must return a predictDirection()-style object
+ * ({ action, direction, score, confidence }) using bars[0…i] only. It is
+ * called with increasing i, so it can stream indicators (see
+ * replayIndicators in analysis.js) instead of recomputing every prefix.
+ *
+ * Execution model:
+ *   - The signal is read on the close of bar i and filled on the open of
+ *     bar i + 1, moved against the trade by slippagePct.
+ *   - Stop-loss / take-profit are checked against each bar's high/low and
+ *     fill at the level (or at the open if the bar gaps through it). When
+ *     both are hit inside one bar the stop is assumed to come first.
+ *   - Commission is commissionPct of the notional plus commissionFixed, on
+ *     both entry and exit. Share quantities are fractional.
+ *   - A position still open on the last bar is closed at its close.
+ *
+ * result = {
+ *   equity:   [{ date, equity, benchmark }],   benchmark = buy & hold from the first traded bar
+ *   drawdown: [{ date, pct }],                 pct ≤ 0, from the running equity peak
+ *   trades:   [{ side, entryDate, exitDate, entryPrice, exitPrice, qty,
+ *                pnl, returnPct, barsHeld, entryAction, exitReason }],
+ *   stats:    { totalReturn, cagr, sharpe, sortino, maxDrawdown, winRate,
+ *               profitFactor, trades, avgTrade, exposure, benchmarkReturn }
+ * }
+ * Percentages in stats are in percent (12.5 = 12.5%); cagr is null when the
+ * series spans no time, profitFactor is Infinity when there were no losers.
+ */
+window.Backtest = (function () {
+    'use strict';
+
+    const DEFAULTS = {
+        initialCapital:  10000,
+        warmup:          50,         // bars before the first signal (SMA50 needs 50)
+        entry:           'buy',      // 'buy' — BUY or STRONG BUY; 'strong' — STRONG BUY only
+        allowShort:      false,      // mirror the entry rule on SELL signals
+        exit:            'neutral',  // 'neutral' — leave once the signal stops backing the side; 'opposite' — only on an opposite signal
+        stopLossPct:     0,          // 0 = off
+        takeProfitPct:   0,          // 0 = off
+        maxBars:         0,          // 0 = off
+        sizing:          'percent',  // 'percent' of equity | 'fixed' cash amount
+        sizeValue:       100,
+        commissionPct:   0.1,
+        commissionFixed: 0,
+        slippagePct:     0.05,
+        periodsPerYear:  252
+    };
+
+    const CHUNK = 25;   // bars between yields to the UI thread
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function periodsPerYear(interval) {
+        const match = /^(\d+)(m|h|d|wk|mo)$/.exec(interval || '');
+        if (!match) return 252;
+        const n = parseInt(match[1], 10);
+        switch (match[2]) {
+            case 'm':  return 252 * 390 / n;
+            case 'h':  return 252 * 6.5 / n;
+            case 'd':  return 252 / n;
+            case 'wk': return 52 / n;
+            default:   return 12 / n;
+        }
+    }
+
+    function _wantsSide(action, entry) {
+        if (action === 'STRONG BUY' || (entry === 'buy' && action === 'BUY')) return 1;
+        if (action === 'STRONG SELL' || (entry === 'buy' && action === 'SELL')) return -1;
+        return 0;
+    }
+
+    function _shouldExit(side, action, exit) {
+        const bearish = action === 'SELL' || action === 'STRONG SELL';
+        const bullish = action === 'BUY' || action === 'STRONG BUY';
+        if (exit === 'opposite') return side > 0 ? bearish : bullish;
+        return side > 0 ? !bullish : !bearish;
+    }
+
+    function _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // ── Simulation ─────────────────────────────────────────────────────────────
+
+    /**
+     * @param {Array} bars          — ascending OHLCV bars (not mutated)
+     * @param {Function} signalFn   — (bars, i) → prediction on bar i's close
+     * @param {Object} [opts]       — overrides for DEFAULTS
+     * @param {Function} [onProgress] — called with 0…1 while running
+     */
+    async function run(bars, signalFn, opts, onProgress) {
+        const o = Object.assign({}, DEFAULTS, opts || {});
+        const n = bars.length;
+        const start = Math.max(1, o.warmup - 1);
+        if (n < start + 2) {
+            throw new Error('Backtest needs at least ' + (start + 2) + ' bars, got ' + n);
+        }
+
+        const slip = o.slippagePct / 100;
+        const commission = notional => notional * o.commissionPct / 100 + o.commissionFixed;
+
+        let cash = o.initialCapital;
+        let position = null;
+        let pending = null;           // { exit: reason|null, enter: side|0, action }
+        const trades = [];
+        const equity = [];
+
+        const equityAt = close => position
+            ? cash + position.side * position.qty * close
+            : cash;
+
+        function openPosition(side, i, action) {
+            const fill = bars[i].open * (1 + side * slip);
+            const available = equityAt(bars[i].open);
+            const notional = o.sizing === 'fixed' ? Math.min(o.sizeValue, available) : available * o.sizeValue / 100;
+            const qty = (notional - o.commissionFixed) / (fill * (1 + o.commissionPct / 100));
+            if (!(qty > 0)) return;
+
+            const fee = commission(qty * fill);
+            cash -= side * qty * fill + fee;
+            position = { side: side, qty: qty, entryPrice: fill, entryIndex: i, entryFee: fee, entryAction: action };
+        }
+
+        function closePosition(i, price, reason) {
+            const fill = price * (1 - position.side * slip);
+            const fee = commission(position.qty * fill);
+            cash += position.side * position.qty * fill - fee;
+
+            const pnl = position.side * position.qty * (fill - position.entryPrice) - position.entryFee - fee;
+            trades.push({
+                side:        position.side > 0 ? 'LONG' : 'SHORT',
+                entryDate:   bars[position.entryIndex].date,
+                exitDate:    bars[i].date,
+                entryPrice:  position.entryPrice,
+                exitPrice:   fill,
+                qty:         position.qty,
+                pnl:         pnl,
+                returnPct:   pnl / (position.qty * position.entryPrice) * 100,
+                barsHeld:    i - position.entryIndex,
+                entryAction: position.entryAction,
+                exitReason:  reason
+            });
+            position = null;
+        }
+
+        for (let i = start; i < n; i++) {
+            const bar = bars[i];
+
+            // 1. Orders decided on the previous close fill at this open
+            if (pending) {
+                if (pending.exit && position) closePosition(i, bar.open, pending.exit);
+                if (pending.enter && !position) openPosition(pending.enter, i, pending.action);
+                pending = null;
+            }
+
+            // 2. Protective exits inside the bar
+            if (position && (o.stopLossPct > 0 || o.takeProfitPct > 0)) {
+                const s = position.side;
+                const stop = o.stopLossPct > 0 ? position.entryPrice * (1 - s * o.stopLossPct / 100) : null;
+                const target = o.takeProfitPct > 0 ? position.entryPrice * (1 + s * o.takeProfitPct / 100) : null;
+                const adverse = s > 0 ? bar.low : bar.high;
+                const favourable = s > 0 ? bar.high : bar.low;
+
+                if (stop !== null && s * (adverse - stop) <= 0) {
+                    closePosition(i, s * (bar.open - stop) <= 0 ? bar.open : stop, 'stop loss');
+                } else if (target !== null && s * (favourable - target) >= 0) {
+                    closePosition(i, s * (bar.open - target) >= 0 ? bar.open : target, 'take profit');
+                }
+            }
+
+            equity.push({ date: bar.date, equity: equityAt(bar.close) });
+
+            // 3. Read the signal on this close for the next bar
+            if (i < n - 1) {
+                const prediction = signalFn(bars, i);
+                const action = prediction.action;
+                const want = _wantsSide(action, o.entry);
+                const side = want < 0 && !o.allowShort ? 0 : want;
+
+                if (position) {
+                    let reason = null;
+                    if (_shouldExit(position.side, action, o.exit)) reason = 'signal ' + action;
+                    else if (o.maxBars > 0 && i - position.entryIndex + 1 >= o.maxBars) reason = 'max bars';
+                    if (reason) pending = { exit: reason, enter: side !== 0 && side !== position.side ? side : 0, action: action };
+                } else if (side !== 0) {
+                    pending = { exit: null, enter: side, action: action };
+                }
+            }
+
+            if ((i - start) % CHUNK === CHUNK - 1) {
+                if (onProgress) onProgress((i - start + 1) / (n - start));
+                await _yield();
+            }
+        }
+
+        if (position) {
+            closePosition(n - 1, bars[n - 1].close, 'end of data');
+            equity[equity.length - 1].equity = cash;
+        }
+
+        const firstClose = bars[start].close;
+        equity.forEach((e, k) => {
+            e.benchmark = o.initialCapital * bars[start + k].close / firstClose;
+        });
+
+        let peak = -Infinity;
+        const drawdown = equity.map(e => {
+            peak = Math.max(peak, e.equity);
+            return { date: e.date, pct: (e.equity / peak - 1) * 100 };
+        });
+
+        if (onProgress) onProgress(1);
+
+        return {
+            equity:   equity,
+            drawdown: drawdown,
+            trades:   trades,
+            stats:    computeStats(equity, trades, bars.slice(start), o)
+        };
+    }
+
+    // ── Statistics ─────────────────────────────────────────────────────────────
+
+    /**
+     * Summary statistics for an equity curve and its closed trades.
+     * `bars` are the traded bars (for the buy & hold comparison).
+     */
+    function computeStats(equity, trades, bars, opts) {
+        const o = Object.assign({}, DEFAULTS, opts || {});
+        const last  = equity[equity.length - 1].equity;
+
+        const years = (equity[equity.length - 1].date - equity[0].date) / (365.25 * 24 * 60 * 60 * 1000);
+        const cagr  = years > 0 && last > 0 ? (Math.pow(last / o.initialCapital, 1 / years) - 1) * 100 : null;
+
+        const returns = [];
+        for (let k = 1; k < equity.length; k++) {
+            returns.push(equity[k].equity / equity[k - 1].equity - 1);
+        }
+        const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+        const variance = returns.reduce((a, r) => a + (r - mean) * (r - mean), 0) / (returns.length || 1);
+        const downside = Math.sqrt(returns.reduce((a, r) => a + Math.min(r, 0) * Math.min(r, 0), 0) / (returns.length || 1));
+        const annual = Math.sqrt(o.periodsPerYear);
+
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        equity.forEach(e => {
+            peak = Math.max(peak, e.equity);
+            maxDrawdown = Math.min(maxDrawdown, (e.equity / peak - 1) * 100);
+        });
+
+        const winners = trades.filter(t => t.pnl > 0);
+        const grossProfit = winners.reduce((a, t) => a + t.pnl, 0);
+        const grossLoss = trades.filter(t => t.pnl < 0).reduce((a, t) => a - t.pnl, 0);
+
+        return {
+            totalReturn:     (last / o.initialCapital - 1) * 100,
+            cagr:            cagr,
+            sharpe:          variance > 0 ? mean / Math.sqrt(variance) * annual : 0,
+            sortino:         downside > 0 ? mean / downside * annual : 0,
+            maxDrawdown:     maxDrawdown,
+            winRate:         trades.length ? winners.length / trades.length * 100 : 0,
+            profitFactor:    grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+            trades:          trades.length,
+            avgTrade:        trades.length ? trades.reduce((a, t) => a + t.returnPct, 0) / trades.length : 0,
+            exposure:        trades.reduce((a, t) => a + t.barsHeld, 0) / equity.length * 100,
+            benchmarkReturn: bars.length ? (bars[bars.length - 1].close / bars[0].close - 1) * 100 : 0
+        };
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        DEFAULTS,
+        run,
+        periodsPerYear,
+        computeStats
+    };
+})();
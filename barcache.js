@@ -0,0 +1,222 @@
+/**
+ * barcache.js — IndexedDB OHLCV Bar Cache
+ *
+ * Keeps every fetched series in IndexedDB, keyed by provider + ticker +
+ * interval, so a tab can render from cache immediately and only the
+ * missing tail has to go through the (slow, flaky) proxy chain.
+ * Exposes window.BarCache:
+ *
+ *   BarCache.key(provider, ticker, interval)  — cache key string
+ *   BarCache.get(key, interval)               — cached entry or null if absent/expired
+ *   BarCache.put(key, bars, [events])         — store bars (+ split/dividend events) with a fetchedAt stamp
+ *   BarCache.remove(key) / BarCache.clear()
+ *   BarCache.merge(oldBars, newBars)          — dedupe by timestamp, sort ascending
+ *   BarCache.trimToRange(bars, range)         — keep only what `range` covers
+ *   BarCache.covers(bars, range)              — true if bars reach back far enough for `range`
+ *
+ * Expiry:
+ *   - Intraday intervals (…m, …h) expire INTRADAY_MAX_AGE_MS after the last
+ *     fetch; Yahoo only serves a limited intraday look-back, so topping up an
+ *     old intraday series would leave a hole in the middle.
+ *   - Daily and longer intervals expire after DAILY_MAX_AGE_MS.
+ *   - Stored intraday series are capped at INTRADAY_RETENTION_DAYS (Yahoo's
+ *     own 60-day limit) so a tab that is topped up all day never grows unbounded.
+ *
+ * All methods degrade to "no cache" when IndexedDB is unavailable (private
+ * browsing, file:// in some browsers) — callers never need to check.
+ */
+window.BarCache = (function () {
+    'use strict';
+
+    const DB_NAME    = 'tradingAssistant';
+    const DB_VERSION = 1;
+    const STORE      = 'bars';
+
+    const INTRADAY_MAX_AGE_MS = 12 * 60 * 60 * 1000;       // 12 hours
+    const DAILY_MAX_AGE_MS    = 14 * 24 * 60 * 60 * 1000;  // 14 days
+    const INTRADAY_RETENTION_DAYS = 60;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    let _dbPromise = null;
+
+    // ── IndexedDB plumbing ─────────────────────────────────────────────────────
+
+    function _open() {
+        if (_dbPromise) return _dbPromise;
+        _dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror   = () => reject(request.error);
+        });
+        // Don't cache a failed open forever — the next call retries.
+        _dbPromise.catch(() => { _dbPromise = null; });
+        return _dbPromise;
+    }
+
+    async function _request(mode, fn) {
+        const db = await _open();
+        return new Promise((resolve, reject) => {
+            const tx      = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error);
+        });
+    }
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function isIntraday(interval) {
+        return /^\d+(m|h)$/.test(interval);
+    }
+
+    function _isExpired(entry, interval) {
+        const maxAge = isIntraday(interval) ? INTRADAY_MAX_AGE_MS : DAILY_MAX_AGE_MS;
+        return !entry.fetchedAt || (Date.now() - entry.fetchedAt) > maxAge;
+    }
+
+    function _sessionDay(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function key(provider, ticker, interval) {
+        return provider + ':' + ticker.toUpperCase() + ':' + interval;
+    }
+
+    /**
+     * Read a cached entry. Resolves to null when absent, expired or when
+     * IndexedDB cannot be used.
+     * @returns {Promise<{bars: Array, events: Object, fetchedAt: number}|null>}
+     */
+    async function get(cacheKey, interval) {
+        try {
+            const entry = await _request('readonly', store => store.get(cacheKey));
+            if (!entry || !entry.bars || entry.bars.length === 0) return null;
+            if (_isExpired(entry, interval)) return null;
+            if (!entry.events) entry.events = { splits: [], dividends: [] };
+            return entry;
+        } catch (err) {
+            console.warn('[BarCache] Read failed:', err && err.message);
+            return null;
+        }
+    }
+
+    async function put(cacheKey, bars, events) {
+        const interval = cacheKey.split(':').pop();
+        if (isIntraday(interval) && bars.length > 0) {
+            const cutoff = bars[bars.length - 1].date.getTime() - INTRADAY_RETENTION_DAYS * DAY_MS;
+            bars = bars.filter(d => d.date.getTime() >= cutoff);
+        }
+        try {
+            await _request('readwrite', store => store.put({ bars: bars, events: events || null, fetchedAt: Date.now() }, cacheKey));
+        } catch (err) {
+            console.warn('[BarCache] Write failed:', err && err.message);
+        }
+    }
+
+    async function remove(cacheKey) {
+        try {
+            await _request('readwrite', store => store.delete(cacheKey));
+        } catch (err) {
+            console.warn('[BarCache] Delete failed:', err && err.message);
+        }
+    }
+
+    async function clear() {
+        try {
+            await _request('readwrite', store => store.clear());
+        } catch (err) {
+            console.warn('[BarCache] Clear failed:', err && err.message);
+        }
+    }
+
+    /**
+     * Merge two bar series. Bars are deduplicated by timestamp with the newer
+     * series winning (the last cached candle is usually still forming), and
+     * the result is sorted ascending.
+     */
+    function merge(oldBars, newBars) {
+        const byTime = new Map();
+        oldBars.forEach(d => byTime.set(d.date.getTime(), d));
+        newBars.forEach(d => byTime.set(d.date.getTime(), d));
+        return Array.from(byTime.values()).sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Drop bars older than `range` measured back from the last bar, so a
+     * merged series never grows beyond what a full fetch would return.
+     * Day ranges (1d, 5d) count trading sessions; mo/y ranges count calendar days.
+     */
+    function trimToRange(bars, range) {
+        if (bars.length === 0) return bars;
+        const match = /^(\d+)(d|mo|y)$/.exec(range);
+        if (!match) return bars;
+
+        const n    = parseInt(match[1], 10);
+        const unit = match[2];
+
+        if (unit === 'd') {
+            const days = [];
+            for (let i = bars.length - 1; i >= 0; i--) {
+                const day = _sessionDay(bars[i].date);
+                if (days.indexOf(day) === -1) {
+                    if (days.length === n) return bars.slice(i + 1);
+                    days.push(day);
+                }
+            }
+            return bars;
+        }
+
+        const spanDays = unit === 'mo' ? n * 31 : n * 366;
+        const cutoff   = bars[bars.length - 1].date.getTime() - spanDays * DAY_MS;
+        return bars.filter(d => d.date.getTime() >= cutoff);
+    }
+
+    /**
+     * Whether a cached series reaches back far enough to serve `range` after
+     * a tail top-up. Day ranges need that many sessions; mo/y ranges allow a
+     * week of slack for holidays and the exact start Yahoo picks.
+     */
+    function covers(bars, range) {
+        if (bars.length === 0) return false;
+        const match = /^(\d+)(d|mo|y)$/.exec(range);
+        if (!match) return false;
+
+        const n    = parseInt(match[1], 10);
+        const unit = match[2];
+
+        if (unit === 'd') {
+            const days = new Set(bars.map(d => _sessionDay(d.date)));
+            return days.size >= n;
+        }
+
+        const spanDays = unit === 'mo' ? n * 30 : n * 365;
+        const needed   = Date.now() - (spanDays - 7) * DAY_MS;
+        return bars[0].date.getTime() <= needed;
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        key,
+        get,
+        put,
+        remove,
+        clear,
+        merge,
+        trimToRange,
+        covers,
+        isIntraday
+    };
+})();
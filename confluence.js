@@ -0,0 +1,136 @@
+/**
+ * confluence.js — Multi-Timeframe Confluence
+ *
+ * Combines predictDirection() results from several intervals of one ticker
+ * into a single signal. Exposes window.Confluence:
+ *
+ *   Confluence.DEFAULT_FRAMES          — [{ range, interval }] used for new tabs
+ *   Confluence.parseFrames(text)       — "5d|5m, 1mo|15m, 1y|1d" → frames
+ *   Confluence.formatFrames(frames)    — inverse of parseFrames
+ *   Confluence.sortFrames(frames)      — lowest interval first
+ *   Confluence.intervalSeconds(iv)     — bar length of a Yahoo interval label
+ *   Confluence.combine(frames)         — combined signal (see below)
+ *
+ * combine() takes frames ordered lowest → highest timeframe, each carrying
+ * a `prediction` from predictDirection() (frames that failed to load carry
+ * none and are skipped), and returns:
+ *
+ *   { direction, strength, score, agreement, higherAgree, reasons }
+ *
+ *   - score       : weighted mean of frame scores; frame k (0 = lowest) has
+ *                   weight k + 1, so higher timeframes count more.
+ *   - higherAgree : every frame above the lowest points the same way as the
+ *                   combined score (neutral frames never agree).
+ *   - strength    : 'STRONG'   — higherAgree and |score| ≥ STRONG_SCORE
+ *                   'MODERATE' — higherAgree
+ *                   'WEAK'     — the higher timeframes disagree
+ *   - direction   : 'STRONG BULLISH' | 'BULLISH' | 'SLIGHTLY BULLISH' |
+ *                   'NEUTRAL' | (bearish mirror), following strength.
+ */
+window.Confluence = (function () {
+    'use strict';
+
+    const STRONG_SCORE = 3;
+
+    const DEFAULT_FRAMES = [
+        { range: '5d',  interval: '5m' },
+        { range: '1mo', interval: '15m' },
+        { range: '1y',  interval: '1d' }
+    ];
+
+    const UNIT_SECONDS = { m: 60, h: 3600, d: 86400, wk: 604800, mo: 2592000 };
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function intervalSeconds(interval) {
+        const match = /^(\d+)(m|h|d|wk|mo)$/.exec(interval);
+        return match ? parseInt(match[1], 10) * UNIT_SECONDS[match[2]] : 0;
+    }
+
+    function sortFrames(frames) {
+        return frames.slice().sort((a, b) => intervalSeconds(a.interval) - intervalSeconds(b.interval));
+    }
+
+    function parseFrames(text) {
+        const frames = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const pieces = part.split('|').map(p => p.trim());
+            if (pieces.length !== 2 || !intervalSeconds(pieces[1])) {
+                throw new Error('Invalid timeframe "' + part + '" — use range|interval, e.g. 1y|1d');
+            }
+            return { range: pieces[0], interval: pieces[1] };
+        });
+        if (frames.length < 2) throw new Error('Confluence needs at least two timeframes');
+        return sortFrames(frames);
+    }
+
+    function formatFrames(frames) {
+        return frames.map(f => f.range + '|' + f.interval).join(', ');
+    }
+
+    function _sign(direction) {
+        if (direction.indexOf('BULLISH') !== -1) return 1;
+        if (direction.indexOf('BEARISH') !== -1) return -1;
+        return 0;
+    }
+
+    // ── Combination ────────────────────────────────────────────────────────────
+
+    function combine(frames) {
+        const usable = frames.filter(f => f.prediction);
+        if (usable.length === 0) {
+            return { direction: 'NEUTRAL', strength: 'WEAK', score: 0, agreement: 0, higherAgree: false, reasons: [] };
+        }
+
+        let weighted = 0;
+        let totalWeight = 0;
+        usable.forEach((f, k) => {
+            weighted    += (k + 1) * f.prediction.score;
+            totalWeight += (k + 1);
+        });
+        const score = weighted / totalWeight;
+        const sign  = score > 0 ? 1 : score < 0 ? -1 : 0;
+
+        const signs       = usable.map(f => _sign(f.prediction.direction));
+        const agreeing    = signs.filter(s => s !== 0 && s === sign).length;
+        const higherAgree = sign !== 0 && usable.length > 1 && signs.slice(1).every(s => s === sign);
+
+        let strength;
+        if (higherAgree && Math.abs(score) >= STRONG_SCORE) strength = 'STRONG';
+        else if (higherAgree) strength = 'MODERATE';
+        else strength = 'WEAK';
+
+        const side = sign > 0 ? 'BULLISH' : 'BEARISH';
+        let direction;
+        if (sign === 0) direction = 'NEUTRAL';
+        else if (strength === 'STRONG') direction = 'STRONG ' + side;
+        else if (strength === 'MODERATE') direction = side;
+        else direction = 'SLIGHTLY ' + side;
+
+        const reasons = usable.map((f, k) => ({
+            indicator: f.range + ' / ' + f.interval,
+            signal:    f.prediction.direction,
+            weight:    k + 1,
+            description: 'Score ' + f.prediction.score.toFixed(1) + ' at ' + f.prediction.confidence + '% confidence' +
+                (k > 0 && signs[k] !== sign ? ' — disagrees with the combined signal' : '')
+        }));
+
+        return {
+            direction:   direction,
+            strength:    strength,
+            score:       score,
+            agreement:   agreeing / usable.length,
+            higherAgree: higherAgree,
+            reasons:     reasons
+        };
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        DEFAULT_FRAMES,
+        parseFrames,
+        formatFrames,
+        sortFrames,
+        intervalSeconds,
+        combine
+    };
+})();
@@ -0,0 +1,218 @@
+/**
+ * corpactions.js — Split & Dividend Handling
+ *
+ * Parses corporate-action events from provider payloads and back-adjusts
+ * bar history so SMA50, RSI and the VAE features do not see price cliffs
+ * on split and ex-dividend days. Exposes window.CorporateActions:
+ *
+ *   CorporateActions.empty()                    — { splits: [], dividends: [] }
+ *   CorporateActions.parseYahooEvents(result)   — events from a Yahoo chart result
+ *   CorporateActions.normalizeEvents(events)    — events from any { splits, dividends } payload
+ *   CorporateActions.mergeEvents(a, b)          — union, deduplicated by date
+ *   CorporateActions.adjust(bars, events)       — { bars, applied } back-adjusted copy
+ *   CorporateActions.markers(bars, events)      — Lightweight Charts markers
+ *
+ * Event shapes:
+ *   split    : { date: Date, numerator, denominator, ratio }   ratio = numerator/denominator
+ *   dividend : { date: Date, amount }
+ *
+ * Adjustment conventions (CRSP-style back-adjustment):
+ *   - Split with ratio r on day t: prices before t are divided by r, volumes
+ *     multiplied by r. Yahoo usually delivers split-adjusted quotes already,
+ *     so a split is only applied when the close before t and the open on t
+ *     actually differ by roughly r (SPLIT_TOLERANCE); otherwise it is
+ *     reported as "already adjusted".
+ *   - Dividend d with ex-date t: prices before t are multiplied by
+ *     (1 − d / close[t−1]). Volumes are unchanged.
+ */
+window.CorporateActions = (function () {
+    'use strict';
+
+    const SPLIT_TOLERANCE = 0.25;   // relative error allowed between observed gap and split ratio
+
+    // ── Parsing ────────────────────────────────────────────────────────────────
+
+    function empty() {
+        return { splits: [], dividends: [] };
+    }
+
+    function _toDate(value) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'number') return new Date(value < 1e11 ? value * 1000 : value);
+        return new Date(value);
+    }
+
+    /**
+     * Read result.events.{splits,dividends} from a Yahoo v8 chart result.
+     * Yahoo keys both maps by epoch seconds and repeats the date inside.
+     */
+    function parseYahooEvents(result) {
+        const events = empty();
+        const raw = result && result.events;
+        if (!raw) return events;
+
+        Object.keys(raw.splits || {}).forEach(key => {
+            const s = raw.splits[key];
+            if (!s.numerator || !s.denominator) return;
+            events.splits.push({
+                date:        _toDate(s.date || Number(key)),
+                numerator:   s.numerator,
+                denominator: s.denominator,
+                ratio:       s.numerator / s.denominator
+            });
+        });
+
+        Object.keys(raw.dividends || {}).forEach(key => {
+            const d = raw.dividends[key];
+            if (!d.amount) return;
+            events.dividends.push({ date: _toDate(d.date || Number(key)), amount: d.amount });
+        });
+
+        events.splits.sort((a, b) => a.date - b.date);
+        events.dividends.sort((a, b) => a.date - b.date);
+        return events;
+    }
+
+    /** Accept { splits, dividends } with date strings/epochs (e.g. from JSON or IndexedDB). */
+    function normalizeEvents(events) {
+        if (!events) return empty();
+        return {
+            splits: (events.splits || []).map(s => {
+                const numerator   = s.numerator || s.ratio || 1;
+                const denominator = s.denominator || 1;
+                return { date: _toDate(s.date), numerator, denominator, ratio: numerator / denominator };
+            }).sort((a, b) => a.date - b.date),
+            dividends: (events.dividends || []).map(d => ({ date: _toDate(d.date), amount: d.amount }))
+                .sort((a, b) => a.date - b.date)
+        };
+    }
+
+    function mergeEvents(a, b) {
+        const merge = (x, y) => {
+            const byTime = new Map();
+            x.concat(y).forEach(e => byTime.set(e.date.getTime(), e));
+            return Array.from(byTime.values()).sort((p, q) => p.date - q.date);
+        };
+        a = a || empty();
+        b = b || empty();
+        return { splits: merge(a.splits, b.splits), dividends: merge(a.dividends, b.dividends) };
+    }
+
+    // ── Adjustment ─────────────────────────────────────────────────────────────
+
+    /** Index of the first bar on or after `date`, or -1. */
+    function _barIndexAtOrAfter(bars, date) {
+        const t = date.getTime();
+        for (let i = 0; i < bars.length; i++) {
+            if (bars[i].date.getTime() >= t) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Back-adjust a bar series for splits and dividends.
+     * @param {Array} bars    — validated, ascending bars (not mutated)
+     * @param {Object} events — { splits, dividends }
+     * @returns {{ bars: Array, applied: Array<{type, date, detail, status}> }}
+     */
+    function adjust(bars, events) {
+        events = events || empty();
+        const n = bars.length;
+        const priceFactor  = new Array(n).fill(1);
+        const volumeFactor = new Array(n).fill(1);
+        const applied = [];
+
+        events.splits.forEach(split => {
+            const idx = _barIndexAtOrAfter(bars, split.date);
+            if (idx <= 0) return;   // split before (or at) the first bar: nothing to adjust
+
+            const observed = bars[idx - 1].close / bars[idx].open;
+            const detail   = split.numerator + ':' + split.denominator;
+            if (Math.abs(observed / split.ratio - 1) > SPLIT_TOLERANCE) {
+                applied.push({ type: 'split', date: split.date, detail: detail, status: 'already adjusted' });
+                return;
+            }
+
+            for (let i = 0; i < idx; i++) {
+                priceFactor[i]  /= split.ratio;
+                volumeFactor[i] *= split.ratio;
+            }
+            applied.push({ type: 'split', date: split.date, detail: detail, status: 'applied' });
+        });
+
+        events.dividends.forEach(div => {
+            const idx = _barIndexAtOrAfter(bars, div.date);
+            if (idx <= 0) return;
+
+            // Use the already split-adjusted previous close so both adjustments compose
+            const prevClose = bars[idx - 1].close * priceFactor[idx - 1];
+            if (!(prevClose > div.amount)) return;
+
+            const factor = 1 - div.amount / prevClose;
+            for (let i = 0; i < idx; i++) priceFactor[i] *= factor;
+            applied.push({ type: 'dividend', date: div.date, detail: '$' + div.amount.toFixed(2), status: 'applied' });
+        });
+
+        const adjusted = bars.map((d, i) => {
+            if (priceFactor[i] === 1 && volumeFactor[i] === 1) return d;
+            return Object.assign({}, d, {
+                open:   d.open * priceFactor[i],
+                high:   d.high * priceFactor[i],
+                low:    d.low * priceFactor[i],
+                close:  d.close * priceFactor[i],
+                volume: d.volume * volumeFactor[i]
+            });
+        });
+
+        return { bars: adjusted, applied: applied };
+    }
+
+    // ── Chart markers ──────────────────────────────────────────────────────────
+
+    /**
+     * Lightweight Charts markers for events that fall inside the bar range,
+     * pinned to the first bar on/after each event date. Events on or before the
+     * first bar are skipped, as in adjust(): cached events can predate a trimmed
+     * range and would otherwise all land on bar 0.
+     */
+    function markers(bars, events) {
+        events = events || empty();
+        const result = [];
+
+        events.splits.forEach(s => {
+            const idx = _barIndexAtOrAfter(bars, s.date);
+            if (idx <= 0) return;
+            result.push({
+                time:     bars[idx].date.getTime() / 1000,
+                position: 'aboveBar',
+                color:    '#4a9eff',
+                shape:    'square',
+                text:     'S ' + s.numerator + ':' + s.denominator
+            });
+        });
+
+        events.dividends.forEach(d => {
+            const idx = _barIndexAtOrAfter(bars, d.date);
+            if (idx <= 0) return;
+            result.push({
+                time:     bars[idx].date.getTime() / 1000,
+                position: 'belowBar',
+                color:    '#ffc107',
+                shape:    'circle',
+                text:     'D $' + d.amount.toFixed(2)
+            });
+        });
+
+        return result;
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        empty,
+        parseYahooEvents,
+        normalizeEvents,
+        mergeEvents,
+        adjust,
+        markers
+    };
+})();
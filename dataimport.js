@@ -0,0 +1,251 @@
+/**
+ * dataimport.js — Offline OHLCV File Import
+ *
+ * Reads back the files written by "Download CSV" and "Export VAE JSON"
+ * (plus generic OHLCV CSV/JSON) so a tab can be analysed without network
+ * access. Exposes window.DataImport:
+ *
+ *   DataImport.parseCSV(text)            — bars from CSV text
+ *   DataImport.parseJSON(text)           — bars + metadata from JSON text
+ *   DataImport.parseFile(name, text)     — { ticker, range, interval, bars }
+ *   DataImport.readFile(file)            — same, from a File object
+ *
+ * CSV handling:
+ *   - Delimiter is detected from the first line (comma, semicolon or tab).
+ *   - A header row is detected when the first line contains no numeric cells
+ *     besides the date; columns are then matched by name (Date/Datetime/Time/
+ *     Timestamp, Open, High, Low, Close or Adj Close, Volume).
+ *   - Without a header the app's own column order is assumed:
+ *     Date,Open,High,Low,Close,Volume.
+ *
+ * Bars are returned sorted by date, ascending. Ticker and interval are taken
+ * from the JSON metadata when present, else inferred from the file name
+ * (AAPL_1y_1d.csv, AAPL_VAE_2y_1d.json) and finally from the bar spacing.
+ * Metadata and file-name parts that are not a valid ticker (A-Z, 0-9 and
+ * . ^ = -), range (5d, 1y, ytd) or interval (5m, 1h, 1d, 1wk) are ignored;
+ * the ticker then falls back to FILE.
+ */
+window.DataImport = (function () {
+    'use strict';
+
+    const DEFAULT_COLUMNS = ['date', 'open', 'high', 'low', 'close', 'volume'];
+
+    const COLUMN_ALIASES = {
+        date:   ['date', 'datetime', 'time', 'timestamp'],
+        open:   ['open'],
+        high:   ['high'],
+        low:    ['low'],
+        close:  ['close', 'adj close', 'adj_close', 'adjclose', 'price'],
+        volume: ['volume', 'vol']
+    };
+
+    // Bar spacing (seconds) → Yahoo-style interval label
+    const INTERVALS = [
+        [60, '1m'], [120, '2m'], [300, '5m'], [900, '15m'], [1800, '30m'],
+        [3600, '1h'], [86400, '1d'], [604800, '1wk'], [2592000, '1mo']
+    ];
+
+    // Tickers, ranges and intervals as the providers spell them. Values from
+    // a file that look like anything else are ignored: they end up in the
+    // tab HTML, cache keys and the VAE registry.
+    const TICKER_PATTERN   = /^[A-Z0-9.^=-]{1,15}$/;
+    const RANGE_PATTERN    = /^(\d+(d|wk|mo|y)|ytd|max)$/;
+    const INTERVAL_PATTERN = /^\d+(m|h|d|wk|mo)$/;
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function _detectDelimiter(line) {
+        const counts = [',', ';', '\t'].map(d => [d, line.split(d).length]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][0];
+    }
+
+    function _splitLine(line, delimiter) {
+        return line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    }
+
+    function _isNumeric(cell) {
+        return cell !== '' && !isNaN(Number(cell));
+    }
+
+    function _parseDate(cell) {
+        if (_isNumeric(cell)) {
+            const n = Number(cell);
+            return new Date(n < 1e11 ? n * 1000 : n);
+        }
+        return new Date(cell);
+    }
+
+    function _parseNumber(cell) {
+        if (cell === undefined || cell === '' || cell.toLowerCase() === 'null' || cell.toLowerCase() === 'nan') {
+            return null;
+        }
+        const n = Number(cell);
+        return isNaN(n) ? null : n;
+    }
+
+    /** Map header names to column indices. Throws if date or close are missing. */
+    function _mapHeader(cells) {
+        const lower   = cells.map(c => c.toLowerCase());
+        const mapping = {};
+        Object.keys(COLUMN_ALIASES).forEach(field => {
+            const idx = lower.findIndex(c => COLUMN_ALIASES[field].indexOf(c) !== -1);
+            if (idx !== -1) mapping[field] = idx;
+        });
+        if (mapping.date === undefined)  throw new Error('CSV header has no Date column');
+        if (mapping.close === undefined) throw new Error('CSV header has no Close column');
+        return mapping;
+    }
+
+    function _sortBars(bars) {
+        return bars
+            .filter(d => !isNaN(d.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /** Infer an interval label from the median spacing between bars. */
+    function inferInterval(bars) {
+        if (bars.length < 2) return '1d';
+        const gaps = [];
+        for (let i = 1; i < bars.length; i++) {
+            gaps.push((bars[i].date - bars[i - 1].date) / 1000);
+        }
+        gaps.sort((a, b) => a - b);
+        const median = gaps[Math.floor(gaps.length / 2)];
+
+        // Daily bars often span weekends, so pick the nearest label rather than the next one up
+        let best = INTERVALS[0];
+        for (const entry of INTERVALS) {
+            if (Math.abs(Math.log(median / entry[0])) < Math.abs(Math.log(median / best[0]))) best = entry;
+        }
+        return best[1];
+    }
+
+    /** `value` when it is a string matching `pattern`, else undefined. */
+    function _valid(value, pattern) {
+        return typeof value === 'string' && pattern.test(value) ? value : undefined;
+    }
+
+    /**
+     * Pull ticker/range/interval from names like AAPL_1y_1d.csv or
+     * AAPL_VAE_2y_1d.json, or just the ticker from AAPL.csv. Returns {} for
+     * anything else (my_intraday_export.csv is not ticker MY, interval export).
+     */
+    function _parseFileName(name) {
+        // "AAPL_1y_1d (1).csv" is the browser's name for a second download
+        const base  = name.replace(/\.[^.]+$/, '').replace(/ \(\d+\)$/, '');
+        const parts = base.split('_').filter(p => p !== 'VAE');
+        const ticker = _valid(parts[0].toUpperCase(), TICKER_PATTERN);
+        if (parts.length === 3 && ticker && _valid(parts[1], RANGE_PATTERN) && _valid(parts[2], INTERVAL_PATTERN)) {
+            return { ticker: ticker, range: parts[1], interval: parts[2] };
+        }
+        return parts.length === 1 && ticker ? { ticker: ticker } : {};
+    }
+
+    // ── Parsers ────────────────────────────────────────────────────────────────
+
+    /**
+     * Parse OHLCV CSV text.
+     * @param {string} text
+     * @returns {Array<{date,open,high,low,close,volume}>}
+     */
+    function parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+        if (lines.length === 0) throw new Error('File is empty');
+
+        const delimiter = _detectDelimiter(lines[0]);
+        const first     = _splitLine(lines[0], delimiter);
+        const hasHeader = first.slice(1).every(cell => !_isNumeric(cell));
+
+        let mapping;
+        if (hasHeader) {
+            mapping = _mapHeader(first);
+            lines.shift();
+        } else {
+            mapping = {};
+            DEFAULT_COLUMNS.forEach((field, i) => { mapping[field] = i; });
+        }
+
+        const bars = lines.map(line => {
+            const cells = _splitLine(line, delimiter);
+            return {
+                date:   _parseDate(cells[mapping.date]),
+                open:   _parseNumber(cells[mapping.open]),
+                high:   _parseNumber(cells[mapping.high]),
+                low:    _parseNumber(cells[mapping.low]),
+                close:  _parseNumber(cells[mapping.close]),
+                volume: _parseNumber(cells[mapping.volume])
+            };
+        });
+        return _sortBars(bars);
+    }
+
+    /**
+     * Parse JSON text — the "Export VAE JSON" format, a bare bar array or a
+     * Yahoo chart payload.
+     * @returns {{ bars: Array, ticker?: string, range?: string, interval?: string }}
+     */
+    function parseJSON(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (err) {
+            throw new Error('Invalid JSON: ' + err.message);
+        }
+        return {
+            bars:     _sortBars(window.DataProviders.normalizeBars(json)),
+            ticker:   json.ticker,
+            range:    json.range,
+            interval: json.interval
+        };
+    }
+
+    /**
+     * Parse a file's contents, dispatching on extension (falls back to
+     * sniffing the first character).
+     * @returns {{ ticker: string, range: string, interval: string, bars: Array }}
+     */
+    function parseFile(name, text) {
+        const fromName = _parseFileName(name);
+        const isJson   = /\.json$/i.test(name) || /^\s*[[{]/.test(text);
+        const parsed   = isJson ? parseJSON(text) : { bars: parseCSV(text) };
+
+        const bars = parsed.bars.filter(d => d.close !== null);
+        if (bars.length < 20) {
+            throw new Error('Not enough data points in ' + name + ' (' + bars.length + ')');
+        }
+
+        const ticker = typeof parsed.ticker === 'string' ? parsed.ticker.toUpperCase() : undefined;
+        return {
+            ticker:   _valid(ticker, TICKER_PATTERN) || fromName.ticker || 'FILE',
+            range:    _valid(parsed.range, RANGE_PATTERN) || fromName.range || 'file',
+            interval: _valid(parsed.interval, INTERVAL_PATTERN) || fromName.interval || inferInterval(bars),
+            bars:     bars
+        };
+    }
+
+    /** Read and parse a File selected through an <input type="file">. */
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    resolve(parseFile(file.name, reader.result));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            reader.onerror = () => reject(new Error('Could not read ' + file.name));
+            reader.readAsText(file);
+        });
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        parseCSV,
+        parseJSON,
+        parseFile,
+        readFile,
+        inferInterval
+    };
+})();
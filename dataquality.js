@@ -0,0 +1,174 @@
+/**
+ * dataquality.js — OHLCV Validation & Repair
+ *
+ * Runs over fetched/imported bars before they reach calculateIndicators, the
+ * VAE or the chart, and reports what it found. Exposes window.DataQuality:
+ *
+ *   DataQuality.validate(bars, interval)  → { bars, report }
+ *
+ * Checks, in the order they are applied:
+ *   - unparseable   : invalid date, or close missing / non-positive → dropped
+ *   - out_of_order  : bars not in ascending time order             → sorted
+ *   - duplicate     : several bars with one timestamp              → last one kept
+ *   - missing_ohl   : open/high/low null                           → open from previous
+ *                     close (else close), high/low from the candle body
+ *   - missing_volume: volume null                                  → forward-filled
+ *                     (0 before the first known volume)
+ *   - high_low      : high < low                                   → swapped
+ *   - wick_range    : open/close outside [low, high]               → high/low widened
+ *   - zero_volume   : volume == 0 (flagged only, not repaired); bars whose
+ *                     volume was just filled as missing_volume are not counted again
+ *
+ * report = {
+ *   totalBars, keptBars, droppedBars, repairedBars,
+ *   issues: [{ type, label, count, action }],
+ *   severity: 'ok' | 'warning' | 'poor'
+ * }
+ * Severity is 'poor' once more than POOR_FRACTION of bars had to be dropped
+ * or repaired, 'warning' for any other issue. Zero-volume prints are normal on
+ * intraday bars, so there they are listed but do not raise the severity.
+ */
+window.DataQuality = (function () {
+    'use strict';
+
+    const POOR_FRACTION = 0.05;
+
+    const LABELS = {
+        unparseable:    ['Missing/invalid close', 'dropped'],
+        out_of_order:   ['Out-of-order bars', 'sorted'],
+        duplicate:      ['Duplicate timestamps', 'deduplicated'],
+        missing_ohl:    ['Missing open/high/low', 'filled from close'],
+        missing_volume: ['Missing volume', 'forward-filled'],
+        high_low:       ['High below low', 'swapped'],
+        wick_range:     ['Open/close outside high-low', 'range widened'],
+        zero_volume:    ['Zero-volume bars', 'flagged']
+    };
+
+    function _isNum(v) {
+        return v !== null && v !== undefined && !isNaN(v);
+    }
+
+    /**
+     * Validate and repair a bar series. The input array and its bars are not
+     * mutated; repaired bars are copies.
+     * @param {Array<{date,open,high,low,close,volume}>} input
+     * @param {string} [interval] — e.g. '1d', '5m'; intraday intervals tolerate zero volume
+     * @returns {{ bars: Array, report: Object }}
+     */
+    function validate(input, interval) {
+        const counts   = {};
+        const repaired = new Set();
+        const flag = (type, time) => {
+            counts[type] = (counts[type] || 0) + 1;
+            if (time !== undefined && type !== 'zero_volume') repaired.add(time);
+        };
+
+        // 1. Drop bars that cannot be repaired
+        let bars = input.filter(d => {
+            const ok = d.date instanceof Date && !isNaN(d.date.getTime()) && _isNum(d.close) && d.close > 0;
+            if (!ok) flag('unparseable');
+            return ok;
+        });
+
+        // 2. Order
+        for (let i = 1; i < bars.length; i++) {
+            if (bars[i].date < bars[i - 1].date) flag('out_of_order');
+        }
+        if (counts.out_of_order) {
+            bars = bars.slice().sort((a, b) => a.date - b.date);
+        }
+
+        // 3. Duplicates — keep the last occurrence (freshest print)
+        const deduped = [];
+        for (let i = 0; i < bars.length; i++) {
+            const prev = deduped[deduped.length - 1];
+            if (prev && prev.date.getTime() === bars[i].date.getTime()) {
+                flag('duplicate');
+                deduped[deduped.length - 1] = bars[i];
+            } else {
+                deduped.push(bars[i]);
+            }
+        }
+
+        // 4. Per-bar field repairs
+        let lastVolume = null;
+        const result = deduped.map((d, i) => {
+            const bar  = Object.assign({}, d);
+            const time = bar.date.getTime();
+
+            if (!_isNum(bar.open) || !_isNum(bar.high) || !_isNum(bar.low)) {
+                flag('missing_ohl', time);
+                if (!_isNum(bar.open)) bar.open = i > 0 ? deduped[i - 1].close : bar.close;
+                if (!_isNum(bar.high)) bar.high = Math.max(bar.open, bar.close);
+                if (!_isNum(bar.low))  bar.low  = Math.min(bar.open, bar.close);
+            }
+
+            const volumeMissing = !_isNum(bar.volume);
+            if (volumeMissing) {
+                flag('missing_volume', time);
+                bar.volume = lastVolume !== null ? lastVolume : 0;
+            }
+            lastVolume = bar.volume;
+
+            if (bar.high < bar.low) {
+                flag('high_low', time);
+                const h = bar.high;
+                bar.high = bar.low;
+                bar.low  = h;
+            }
+
+            const top    = Math.max(bar.open, bar.close);
+            const bottom = Math.min(bar.open, bar.close);
+            if (bar.high < top || bar.low > bottom) {
+                flag('wick_range', time);
+                bar.high = Math.max(bar.high, top);
+                bar.low  = Math.min(bar.low, bottom);
+            }
+
+            if (bar.volume === 0 && !volumeMissing) flag('zero_volume');
+
+            return bar;
+        });
+
+        const issues = Object.keys(LABELS)
+            .filter(type => counts[type])
+            .map(type => ({
+                type:   type,
+                label:  LABELS[type][0],
+                count:  counts[type],
+                action: LABELS[type][1]
+            }));
+
+        const droppedBars  = input.length - result.length;
+        const touched      = droppedBars + repaired.size;
+        const intraday     = interval !== undefined && window.BarCache.isIntraday(interval);
+        let severity = 'ok';
+        if (issues.some(issue => !(intraday && issue.type === 'zero_volume'))) {
+            severity = touched > input.length * POOR_FRACTION ? 'poor' : 'warning';
+        }
+
+        return {
+            bars: result,
+            report: {
+                totalBars:    input.length,
+                keptBars:     result.length,
+                droppedBars:  droppedBars,
+                repairedBars: repaired.size,
+                issues:       issues,
+                severity:     severity
+            }
+        };
+    }
+
+    /** One-line summary for status text and tooltips. */
+    function summarize(report) {
+        if (!report || report.issues.length === 0) return 'No data issues found';
+        return report.issues.map(i => i.label + ': ' + i.count + ' (' + i.action + ')').join('; ');
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        validate,
+        summarize
+    };
+})();
@@ -0,0 +1,421 @@
+/**
+ * indicators.js — Shared Indicator Math
+ *
+ * The one implementation of every technical indicator series, used by the
+ * rule engine (analysis.js, also inside Web Workers) and by the VAE feature
+ * pipeline (vae.js), so the RSI on screen is the RSI the anomaly model sees.
+ * Pure functions over plain arrays; every result is aligned to its input with
+ * null where there is not enough history yet; indicatorstream.js computes the
+ * same values bar by bar for replays. Exposes window.Indicators:
+ *
+ *   Indicators.CONVENTIONS                      — default smoothing choices (below)
+ *   Indicators.sma(data, period)
+ *   Indicators.ema(data, period, seed)          — seed: 'first' | 'sma'
+ *   Indicators.wilder(values, period, start)    — Wilder's smoothed average from `start`
+ *   Indicators.rsi(closes, period, smoothing)   — smoothing: 'wilder' | 'simple'
+ *   Indicators.macd(closes, fast, slow, signal, seed) — { macd, signal, histogram }
+ *   Indicators.bollinger(closes, period, mult)  — { upper, middle, lower }, population std-dev
+ *   Indicators.momentum(closes, lookback)       — % change over `lookback` bars
+ *   Indicators.stochastic(highs, lows, closes, kPeriod, dPeriod) — { k, d }
+ *   Indicators.trueRange(highs, lows, closes)
+ *   Indicators.atr(highs, lows, closes, period)
+ *   Indicators.adx(highs, lows, closes, period) — { adx, plusDI, minusDI }
+ *   Indicators.vwap(bars, period)
+ *   Indicators.obv(closes, volumes)
+ *   Indicators.ichimoku(highs, lows, closes, conversion, base, spanPeriod, displacement)
+ *   Indicators.fibonacci(highs, lows, lookback)
+ *
+ * Smoothing conventions (CONVENTIONS holds the defaults):
+ *   - EMA seed 'first' : seeded with the first value, α = 2/(period+1) —
+ *                        pandas ewm(span=period, adjust=False). Default; the
+ *                        VAE was trained on these features.
+ *     EMA seed 'sma'   : seeded with the SMA of the first `period` values —
+ *                        TA-Lib. Differs from 'first' only during the warm-up
+ *                        (the gap decays by (1 − α) per bar).
+ *   - RSI 'wilder'     : Wilder's smoothing, SMA seed then α = 1/period —
+ *                        TA-Lib RSI and pandas_ta rsi(). Default.
+ *     RSI 'simple'     : rolling mean of gains/losses (Cutler's RSI).
+ *   - ATR and ADX always use Wilder's smoothing, seeded as TA-Lib seeds them.
+ *
+ * Reference tests: `node indicators.test.js` checks these series against
+ * TA-Lib output for a fixed bar series, and the streams against them.
+ */
+window.Indicators = (function () {
+    'use strict';
+
+    const CONVENTIONS = {
+        emaSeed:      'first',
+        rsiSmoothing: 'wilder'
+    };
+
+    const FIBONACCI_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function _isValue(v) {
+        return v !== null && v !== undefined && !isNaN(v);
+    }
+
+    // Window extremes over [end − period + 1, end]; null until the window is full
+    function _periodHigh(highs, end, period) {
+        if (end < period - 1) return null;
+        let max = highs[end];
+        for (let j = end - period + 1; j < end; j++) {
+            if (highs[j] > max) max = highs[j];
+        }
+        return max;
+    }
+
+    function _periodLow(lows, end, period) {
+        if (end < period - 1) return null;
+        let min = lows[end];
+        for (let j = end - period + 1; j < end; j++) {
+            if (lows[j] < min) min = lows[j];
+        }
+        return min;
+    }
+
+    // Run `fn` over the non-null values only and put the results back in place
+    function _overValues(data, fn) {
+        const compact = data.filter(_isValue);
+        const computed = fn(compact);
+        const result = new Array(data.length).fill(null);
+        let k = 0;
+        for (let i = 0; i < data.length; i++) {
+            if (_isValue(data[i])) result[i] = computed[k++];
+        }
+        return result;
+    }
+
+    // ── Averages ───────────────────────────────────────────────────────────────
+
+    function sma(data, period) {
+        const result = new Array(data.length).fill(null);
+        for (let i = period - 1; i < data.length; i++) {
+            let sum = 0;
+            for (let j = i - period + 1; j <= i; j++) sum += data[j];
+            result[i] = sum / period;
+        }
+        return result;
+    }
+
+    /** Null inputs give null outputs and leave the running average untouched. */
+    function ema(data, period, seed) {
+        seed = seed || CONVENTIONS.emaSeed;
+        const alpha = 2 / (period + 1);
+        const result = new Array(data.length).fill(null);
+        let value = null;
+        let seen = 0;
+        let seedSum = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            const v = data[i];
+            if (!_isValue(v)) continue;
+
+            if (value === null) {
+                if (seed === 'sma') {
+                    seen++;
+                    seedSum += v;
+                    if (seen < period) continue;
+                    value = seedSum / period;
+                } else {
+                    value = v;
+                }
+            } else {
+                value = v * alpha + value * (1 - alpha);
+            }
+            result[i] = value;
+        }
+        return result;
+    }
+
+    /** Wilder's smoothing: seeded with the mean of values[start … start+period−1]. */
+    function wilder(values, period, start) {
+        start = start || 0;
+        const result = new Array(values.length).fill(null);
+        if (values.length < start + period) return result;
+
+        let avg = 0;
+        for (let i = start; i < start + period; i++) avg += values[i];
+        avg /= period;
+        result[start + period - 1] = avg;
+
+        for (let i = start + period; i < values.length; i++) {
+            avg = (avg * (period - 1) + values[i]) / period;
+            result[i] = avg;
+        }
+        return result;
+    }
+
+    // ── Oscillators ────────────────────────────────────────────────────────────
+
+    function rsi(closes, period, smoothing) {
+        period = period || 14;
+        smoothing = smoothing || CONVENTIONS.rsiSmoothing;
+        const n = closes.length;
+        const result = new Array(n).fill(null);
+        if (n < period + 1) return result;
+
+        // gains[k] / losses[k] belong to the move into closes[k + 1]
+        const gains = [];
+        const losses = [];
+        for (let i = 1; i < n; i++) {
+            const change = closes[i] - closes[i - 1];
+            gains.push(change > 0 ? change : 0);
+            losses.push(change < 0 ? -change : 0);
+        }
+
+        const avgGain = smoothing === 'simple' ? sma(gains, period) : wilder(gains, period, 0);
+        const avgLoss = smoothing === 'simple' ? sma(losses, period) : wilder(losses, period, 0);
+
+        for (let k = period - 1; k < gains.length; k++) {
+            result[k + 1] = avgLoss[k] === 0 ? 100 : 100 - 100 / (1 + avgGain[k] / avgLoss[k]);
+        }
+        return result;
+    }
+
+    /** The signal line is an EMA of the MACD values only (leading nulls skipped). */
+    function macd(closes, fastPeriod, slowPeriod, signalPeriod, seed) {
+        fastPeriod = fastPeriod || 12;
+        slowPeriod = slowPeriod || 26;
+        signalPeriod = signalPeriod || 9;
+
+        const fast = ema(closes, fastPeriod, seed);
+        const slow = ema(closes, slowPeriod, seed);
+        const line = fast.map((f, i) => f !== null && slow[i] !== null ? f - slow[i] : null);
+        const signal = _overValues(line, values => ema(values, signalPeriod, seed));
+        const histogram = line.map((m, i) => m !== null && signal[i] !== null ? m - signal[i] : null);
+
+        return { macd: line, signal: signal, histogram: histogram };
+    }
+
+    function bollinger(closes, period, multiplier) {
+        period = period || 20;
+        multiplier = multiplier || 2;
+        const middle = sma(closes, period);
+        const upper = new Array(closes.length).fill(null);
+        const lower = new Array(closes.length).fill(null);
+
+        for (let i = period - 1; i < closes.length; i++) {
+            let variance = 0;
+            for (let j = i - period + 1; j <= i; j++) variance += (closes[j] - middle[i]) * (closes[j] - middle[i]);
+            const sd = Math.sqrt(variance / period);
+            upper[i] = middle[i] + multiplier * sd;
+            lower[i] = middle[i] - multiplier * sd;
+        }
+        return { upper: upper, middle: middle, lower: lower };
+    }
+
+    function momentum(closes, lookback) {
+        return closes.map((c, i) => i >= lookback && closes[i - lookback] > 0
+            ? (c - closes[i - lookback]) / closes[i - lookback] * 100
+            : null);
+    }
+
+    /** %K = position of the close inside the period's high-low range; %D = SMA of %K. */
+    function stochastic(highs, lows, closes, kPeriod, dPeriod) {
+        kPeriod = kPeriod || 14;
+        dPeriod = dPeriod || 3;
+
+        const k = closes.map((close, i) => {
+            const hh = _periodHigh(highs, i, kPeriod);
+            const ll = _periodLow(lows, i, kPeriod);
+            if (hh === null) return null;
+            return hh === ll ? 50 : (close - ll) / (hh - ll) * 100;
+        });
+        return { k: k, d: _overValues(k, values => sma(values, dPeriod)) };
+    }
+
+    // ── Volatility & trend ─────────────────────────────────────────────────────
+
+    function trueRange(highs, lows, closes) {
+        return closes.map((close, i) => i === 0
+            ? highs[0] - lows[0]
+            : Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1])));
+    }
+
+    // As TA-Lib: the first bar has no previous close, so the first ATR is the
+    // mean true range of bars 1 … period
+    function atr(highs, lows, closes, period) {
+        return wilder(trueRange(highs, lows, closes), period || 14, 1);
+    }
+
+    function adx(highs, lows, closes, period) {
+        period = period || 14;
+        const n = closes.length;
+        const tr = trueRange(highs, lows, closes);
+        const plusDM = [0];
+        const minusDM = [0];
+
+        for (let i = 1; i < n; i++) {
+            const up = highs[i] - highs[i - 1];
+            const down = lows[i - 1] - lows[i];
+            plusDM.push(up > down && up > 0 ? up : 0);
+            minusDM.push(down > up && down > 0 ? down : 0);
+        }
+
+        // Directional movement starts on the second bar. TA-Lib seeds the
+        // smoothed TR and DMs with the sum of bars 1 … period − 1 and reports
+        // the DIs from bar `period`: Wilder averages with bar 0 counted as zero.
+        tr[0] = 0;
+        const smTR = wilder(tr, period, 0);
+        const smPlus = wilder(plusDM, period, 0);
+        const smMinus = wilder(minusDM, period, 0);
+
+        const plusDI = smTR.map((t, i) => i >= period && t ? smPlus[i] / t * 100 : null);
+        const minusDI = smTR.map((t, i) => i >= period && t ? smMinus[i] / t * 100 : null);
+        const dx = plusDI.map((p, i) => {
+            if (p === null) return null;
+            const sum = p + minusDI[i];
+            return sum === 0 ? 0 : Math.abs(p - minusDI[i]) / sum * 100;
+        });
+
+        const firstDX = dx.findIndex(v => v !== null);
+        return {
+            adx: firstDX === -1 ? new Array(n).fill(null) : wilder(dx, period, firstDX),
+            plusDI: plusDI,
+            minusDI: minusDI
+        };
+    }
+
+    // ── Volume ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Intraday bars: cumulative VWAP that restarts each session (a gap longer
+     * than twice the usual bar spacing, or a new UTC day). Daily and longer
+     * bars have no session to anchor to, so they get a rolling VWAP over
+     * `period` bars instead.
+     */
+    function vwap(bars, period) {
+        period = period || 20;
+        const n = bars.length;
+        const result = new Array(n).fill(null);
+        if (n === 0) return result;
+
+        const typical = bars.map(d =>
+            ((d.high != null ? d.high : d.close) + (d.low != null ? d.low : d.close) + d.close) / 3);
+
+        const gaps = [];
+        for (let i = 1; i < n; i++) gaps.push(bars[i].date - bars[i - 1].date);
+        const spacing = gaps.length ? gaps.slice().sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 0;
+        const intraday = spacing > 0 && spacing < 20 * 60 * 60 * 1000;
+
+        if (intraday) {
+            let pv = 0;
+            let vol = 0;
+            for (let i = 0; i < n; i++) {
+                const newSession = i === 0 || gaps[i - 1] > 2 * spacing ||
+                    bars[i].date.toISOString().slice(0, 10) !== bars[i - 1].date.toISOString().slice(0, 10);
+                if (newSession) {
+                    pv = 0;
+                    vol = 0;
+                }
+                pv += typical[i] * bars[i].volume;
+                vol += bars[i].volume;
+                result[i] = vol > 0 ? pv / vol : null;
+            }
+            return result;
+        }
+
+        for (let i = period - 1; i < n; i++) {
+            let pv = 0;
+            let vol = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                pv += typical[j] * bars[j].volume;
+                vol += bars[j].volume;
+            }
+            result[i] = vol > 0 ? pv / vol : null;
+        }
+        return result;
+    }
+
+    function obv(closes, volumes) {
+        const result = [0];
+        for (let i = 1; i < closes.length; i++) {
+            const sign = closes[i] > closes[i - 1] ? 1 : closes[i] < closes[i - 1] ? -1 : 0;
+            result.push(result[i - 1] + sign * volumes[i]);
+        }
+        return result;
+    }
+
+    // ── Price structure ────────────────────────────────────────────────────────
+
+    /**
+     * spanA/spanB at bar i are the values plotted there, i.e. computed
+     * `displacement` bars earlier; chikou at bar i is the close `displacement`
+     * bars later (null for the most recent bars).
+     */
+    function ichimoku(highs, lows, closes, conversion, base, spanPeriod, displacement) {
+        conversion = conversion || 9;
+        base = base || 26;
+        spanPeriod = spanPeriod || 52;
+        displacement = displacement || 26;
+
+        const midpoint = (i, period) => {
+            const hh = _periodHigh(highs, i, period);
+            return hh === null ? null : (hh + _periodLow(lows, i, period)) / 2;
+        };
+
+        const tenkan = closes.map((c, i) => midpoint(i, conversion));
+        const kijun = closes.map((c, i) => midpoint(i, base));
+        const spanA = closes.map((c, i) => {
+            const j = i - displacement;
+            return j >= 0 && tenkan[j] !== null && kijun[j] !== null ? (tenkan[j] + kijun[j]) / 2 : null;
+        });
+        const spanB = closes.map((c, i) => i - displacement >= 0 ? midpoint(i - displacement, spanPeriod) : null);
+        const chikou = closes.map((c, i) => i + displacement < closes.length ? closes[i + displacement] : null);
+
+        return { tenkan: tenkan, kijun: kijun, spanA: spanA, spanB: spanB, chikou: chikou };
+    }
+
+    /**
+     * Retracement levels of the largest swing in the last `lookback` bars. In
+     * an up-swing (low before high) levels are measured down from the high.
+     */
+    function fibonacci(highs, lows, lookback) {
+        lookback = lookback || 100;
+        const start = Math.max(0, highs.length - lookback);
+        let highIndex = start;
+        let lowIndex = start;
+        for (let i = start; i < highs.length; i++) {
+            if (highs[i] > highs[highIndex]) highIndex = i;
+            if (lows[i] < lows[lowIndex]) lowIndex = i;
+        }
+
+        const high = highs[highIndex];
+        const low = lows[lowIndex];
+        const trend = lowIndex <= highIndex ? 'up' : 'down';
+
+        return {
+            high: high,
+            low: low,
+            highIndex: highIndex,
+            lowIndex: lowIndex,
+            trend: trend,
+            levels: FIBONACCI_RATIOS.map(ratio => ({
+                ratio: ratio,
+                price: trend === 'up' ? high - (high - low) * ratio : low + (high - low) * ratio
+            }))
+        };
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        CONVENTIONS,
+        sma,
+        ema,
+        wilder,
+        rsi,
+        macd,
+        bollinger,
+        momentum,
+        stochastic,
+        trueRange,
+        atr,
+        adx,
+        vwap,
+        obv,
+        ichimoku,
+        fibonacci
+    };
+})();
@@ -0,0 +1,423 @@
+/**
+ * indicators.test.js — Reference Tests for indicators.js and indicatorstream.js
+ *
+ * Run with `node indicators.test.js` (Node only, no packages). Loads both
+ * modules as the page does, onto `window` (with analysis.js and the rule
+ * modules it needs), and checks:
+ *   - the batch series against TA-Lib 0.4 output for the fixed 60-bar series
+ *     below: RSI (Wilder), EMA (SMA seed), Bollinger Bands, ATR, ADX, +DI, −DI
+ *   - the pandas conventions, also exported from TA-Lib: ewm(span,
+ *     adjust=False) is TA-Lib's EMA once the input is left-padded with copies
+ *     of its first close (the SMA seed is then that close), so the EMA and
+ *     MACD with seed 'first' come from EMA/MACD on the padded series; Cutler's
+ *     RSI comes from TA-Lib SMAs of the gains and losses
+ *   - IndicatorStream snapshots against the batch series after every bar, on
+ *     daily and 5-minute bars and under both smoothing conventions (VWAP
+ *     against the batch over the bars pushed so far, see indicatorstream.js)
+ *   - extendIndicators(), the auto-refresh fast path in analysis.js, against
+ *     calculateIndicators() after a revised last bar and appended bars
+ *
+ * REFERENCE values are rounded to 8 decimals; each entry starts at bar
+ * `from`, TA-Lib's first output, and the bar before it must be null.
+ * Exits with code 1 when any check fails.
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = {};
+context.window = context;
+vm.createContext(context);
+['indicators.js', 'indicatorstream.js', 'ruledsl.js', 'rules.js', 'analysis.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+});
+const Indicators = context.Indicators;
+const IndicatorStream = context.IndicatorStream;
+
+const TOLERANCE = 1e-7;
+
+// ── Fixture ────────────────────────────────────────────────────────────────
+// TA-Lib reference values for these bars; see the header for how each was exported
+const BARS = {
+    open: [
+        99.72, 101.66, 101.4, 102.5, 101.24, 99.93, 99.04, 98.71,
+        99.57, 97.41, 98.08, 96.4, 96.46, 98.63, 100.08, 99.95,
+        99.74, 98.56, 98.22, 96.77, 95.29, 96.87, 96.86, 97.54,
+        97.33, 99.06, 98.56, 97.24, 98.36, 96.05, 95.03, 93.81,
+        94.57, 93.91, 93.91, 94.47, 94.37, 93.22, 94.58, 92.17,
+        91.33, 90.29, 89.05, 87.72, 88.91, 91.24, 90.04, 91.24,
+        89.1, 88.92, 87.72, 89.87, 90.57, 89.87, 89.59, 90.69,
+        92.62, 92.18, 93.37, 92.23
+    ],
+    high: [
+        103.36, 102.14, 103.24, 103.58, 101.48, 100.91, 99.66, 100.9,
+        100.82, 99.24, 98.75, 97.61, 99, 101.56, 101.17, 100.56,
+        100.02, 99.65, 99.25, 97.1, 98.17, 97.41, 97.24, 97.78,
+        99.65, 100.49, 99.44, 98.16, 98.7, 96.8, 95.83, 95.13,
+        95.4, 94.57, 94.59, 94.81, 95.78, 95.67, 94.63, 93.62,
+        91.65, 90.49, 89.09, 89.48, 91.3, 92.08, 91.9, 92.3,
+        89.63, 89.33, 90.07, 91.64, 91.99, 89.93, 91.92, 93.05,
+        92.66, 94.09, 94.36, 93.47
+    ],
+    low: [
+        98.23, 101.17, 100.27, 101.22, 98.91, 99.17, 97.75, 98.7,
+        97.24, 96.03, 95.34, 95.07, 96.26, 97.53, 99.81, 98.52,
+        97.56, 97.81, 94.9, 93.55, 94.7, 95.47, 96.26, 96.88,
+        97.19, 97.93, 96.45, 96.9, 95.27, 93.79, 92.42, 93.14,
+        93.1, 92.25, 92.94, 93.9, 92.51, 91.92, 91.66, 89.98,
+        89.53, 88.57, 87.06, 86.71, 88.47, 90.32, 89.71, 88.33,
+        88.29, 88.03, 87.5, 88.55, 88.67, 88.58, 89.54, 89.49,
+        91.81, 91.95, 91.36, 89.8
+    ],
+    close: [
+        102.03, 101.27, 102.87, 101.22, 99.92, 99.28, 98.77, 99.57,
+        97.74, 98.06, 96.68, 96.84, 98.78, 100.48, 100.19, 99.31,
+        98.96, 97.85, 96.28, 95.03, 96.85, 97.17, 97.22, 97.66,
+        99.02, 98.18, 97.05, 97.92, 96.32, 95.26, 93.58, 94.08,
+        93.85, 93.66, 94.52, 94.71, 93.2, 94.33, 92.55, 91.13,
+        89.85, 89.52, 88.08, 89.23, 90.95, 90.43, 90.93, 89.52,
+        88.86, 88.12, 89.63, 91.05, 90.11, 89.54, 90.99, 92.79,
+        92.62, 93.38, 91.9, 90.4
+    ],
+    volume: [
+        511677, 947137, 735820, 1335154, 892152, 1034939, 1084370, 686762,
+        1239104, 809428, 802380, 832842, 1364010, 1188255, 762078, 1107092,
+        1161559, 587139, 938632, 1165126, 768385, 913490, 569081, 916158,
+        1193925, 1266645, 1070113, 836492, 1066098, 1393120, 1343618, 1018454,
+        883785, 1479152, 1496383, 1149703, 852703, 676891, 1308099, 1210660,
+        1161025, 747265, 1227362, 1498528, 762832, 1472640, 608625, 822429,
+        978156, 1406701, 1344664, 1030376, 648286, 696159, 970752, 1326070,
+        766919, 1004627, 1422437, 1333623
+    ]
+};
+
+const REFERENCE = {
+    rsiWilder: { from: 14, values: [
+        43.8172043, 41.19362364, 40.16358785, 37.00346257, 33.04327107, 30.26596705, 38.38613315, 39.71533297,
+        39.93337976, 41.9240819, 47.69430949, 44.73768974, 41.05100079, 44.82117067, 39.78202635, 36.82795002,
+        32.68532419, 35.02777932, 34.43417948, 33.92275358, 38.38361495, 39.35766779, 34.6672291, 40.39220117,
+        35.16489581, 31.64639525, 28.84470159, 28.15270309, 25.30037607, 31.2877124, 39.1442653, 37.73934537,
+        39.97035055, 36.04754826, 34.34823892, 32.49841109, 39.64163423, 45.48414023, 42.54807434, 40.82705578,
+        46.72996932, 52.99822481, 52.37143873, 54.93725202, 49.36063139, 44.43722866
+    ] },
+    rsiSimple: { from: 14, values: [
+        43.8172043, 43.46666667, 35.78181818, 37.24451173, 36.49851632, 34.91838183, 43.76623377, 41.95710456,
+        48.02130898, 48.49170437, 58.83685801, 54.81321839, 43.40198322, 39.57654723, 35.7615894, 35.29411765,
+        32.18543046, 36.9910283, 40.76045627, 44.33416046, 39.53279425, 38.81818182, 33.86837881, 37.33840304,
+        26.16064849, 25.08833922, 24.82517483, 19.47674419, 19.70588235, 27.97662527, 40.42243263, 36.72727273,
+        39.58630528, 36.41732283, 31.18351064, 28.86465683, 38.55035279, 39.67254408, 41.88829787, 44.397463,
+        53.96935933, 60.32849021, 65.59065934, 64.64361327, 53.40990668, 49.89939638
+    ] },
+    emaSma: { from: 9, values: [
+        100.073, 99.45609091, 98.98043802, 98.94399474, 99.22326842, 99.3990378, 99.38284911, 99.30596745,
+        99.0412461, 98.53920135, 97.90116474, 97.71004388, 97.61185408, 97.54060789, 97.56231554, 97.82734908,
+        97.89146743, 97.73847335, 97.7714782, 97.50757307, 97.09892342, 96.45911916, 96.02655204, 95.63081531,
+        95.27248525, 95.13566975, 95.05827525, 94.72040702, 94.64942393, 94.26771049, 93.69721767, 92.99772355,
+        92.36541018, 91.58624469, 91.15783656, 91.1200481, 90.99458481, 90.98284212, 90.71687082, 90.37925794,
+        89.96848377, 89.90694127, 90.11477013, 90.11390283, 90.00955686, 90.18781925, 90.66094302, 91.0171352,
+        91.44674698, 91.52915662, 91.32385542
+    ] },
+    emaFirst: { from: 0, values: [
+        102.03, 101.89181818, 102.06966942, 101.91518407, 101.55242333, 101.13925545, 100.70848173, 100.50148506,
+        99.99939686, 99.64677925, 99.10736484, 98.69511669, 98.71055002, 99.0322682, 99.24276489, 99.25498945,
+        99.20135501, 98.9556541, 98.46917153, 97.84386762, 97.66316442, 97.57349816, 97.50922577, 97.53663926,
+        97.80634122, 97.87427918, 97.72441023, 97.75997201, 97.49815892, 97.09122093, 96.45281713, 96.02139583,
+        95.62659659, 95.26903357, 95.13284565, 95.05596462, 94.71851651, 94.64787714, 94.26644494, 93.69618222,
+        92.99687636, 92.36471702, 91.58567756, 91.15737255, 91.11966845, 90.99427419, 90.98258797, 90.71666289,
+        90.37908782, 89.96834458, 89.90682738, 90.11467695, 90.11382659, 90.00949449, 90.18776822, 90.66090127,
+        91.01710104, 91.44671903, 91.52913375, 91.32383671
+    ] },
+    macd: { from: 0, values: [
+        0, -0.06062678, 0.02019984, -0.0483286, -0.20517191, -0.37677084, -0.54760453, -0.61139041,
+        -0.8003806, -0.91380162, -1.10233602, -1.22472239, -1.15189437, -0.94609583, -0.79720985, -0.74167571,
+        -0.71763413, -0.77916699, -0.94373925, -1.16163788, -1.17393295, -1.14466062, -1.10469329, -1.02569104,
+        -0.84361588, -0.75835909, -0.77306264, -0.70637097, -0.77370519, -0.90220116, -1.12661025, -1.24970443,
+        -1.35025167, -1.42879721, -1.40544916, -1.35598332, -1.42223107, -1.36778437, -1.45153371, -1.61388395,
+        -1.82479786, -1.99557316, -2.2215017, -2.28145708, -2.16522319, -2.09096332, -1.96906783, -1.96360478,
+        -1.98959692, -2.046319, -1.94698367, -1.73369264, -1.62181285, -1.56114564, -1.380154, -1.07903343,
+        -0.84437734, -0.59028066, -0.5025379, -0.54772476
+    ] },
+    macdSignal: { from: 0, values: [
+        0, -0.01212536, -0.00566032, -0.01419397, -0.05238956, -0.11726582, -0.20333356, -0.28494493,
+        -0.38803206, -0.49318597, -0.61501598, -0.73695727, -0.81994469, -0.84517492, -0.8355819, -0.81680066,
+        -0.79696736, -0.79340728, -0.82347368, -0.89110652, -0.9476718, -0.98706957, -1.01059431, -1.01361366,
+        -0.9796141, -0.9353631, -0.90290301, -0.8635966, -0.84561832, -0.85693489, -0.91086996, -0.97863685,
+        -1.05295982, -1.1281273, -1.18359167, -1.21807, -1.25890221, -1.28067864, -1.31484966, -1.37465652,
+        -1.46468478, -1.57086246, -1.70099031, -1.81708366, -1.88671157, -1.92756192, -1.9358631, -1.94141144,
+        -1.95104853, -1.97010263, -1.96547884, -1.9191216, -1.85965985, -1.799957, -1.7159964, -1.58860381,
+        -1.43975851, -1.26986294, -1.11639793, -1.0026633
+    ] },
+    macdHistogram: { from: 0, values: [
+        0, -0.04850142, 0.02586015, -0.03413462, -0.15278235, -0.25950503, -0.34427097, -0.32644548,
+        -0.41234853, -0.42061565, -0.48732004, -0.48776513, -0.33194968, -0.10092092, 0.03837205, 0.07512496,
+        0.07933322, 0.0142403, -0.12026558, -0.27053136, -0.22626114, -0.15759105, -0.09409898, -0.01207738,
+        0.13599822, 0.17700401, 0.12984037, 0.15722563, 0.07191313, -0.04526628, -0.21574029, -0.27106758,
+        -0.29729185, -0.30066992, -0.22185749, -0.13791332, -0.16332886, -0.08710572, -0.13668405, -0.23922743,
+        -0.36011307, -0.4247107, -0.52051139, -0.46437342, -0.27851162, -0.1634014, -0.03320473, -0.02219334,
+        -0.03854839, -0.07621638, 0.01849517, 0.18542896, 0.237847, 0.23881137, 0.33584241, 0.50957038,
+        0.59538118, 0.67958228, 0.61386004, 0.45493854
+    ] },
+    bbUpper: { from: 19, values: [
+        102.96114992, 102.56357953, 102.24248014, 101.42776843, 100.9577077, 100.82467127, 100.71524878, 100.63935776,
+        100.45186068, 100.46698593, 100.54090354, 100.87013621, 101.04024707, 101.03277091, 100.64714955, 100.14541824,
+        99.75162052, 99.47497985, 99.25704516, 99.33738386, 99.62012301, 99.85740132, 99.93960059, 100.07552965,
+        99.81537709, 99.0279521, 98.32889018, 97.7556257, 96.91023729, 96.37587545, 96.03276953, 95.80894864,
+        95.47918336, 95.13753323, 94.7923321, 94.23766245, 93.78708883, 93.67176122, 93.41488055, 93.30301719,
+        93.2485767
+    ] },
+    bbMiddle: { from: 19, values: [
+        99.0565, 98.7975, 98.5925, 98.31, 98.132, 98.087, 98.032, 97.946,
+        97.8635, 97.7925, 97.6525, 97.4975, 97.3595, 97.113, 96.772, 96.4885,
+        96.2585, 95.9705, 95.7945, 95.608, 95.413, 95.063, 94.6805, 94.2235,
+        93.802, 93.3985, 93.011, 92.705, 92.285, 91.912, 91.555, 91.3575,
+        91.206, 91.019, 90.813, 90.6365, 90.5405, 90.5115, 90.464, 90.4315,
+        90.395
+    ] },
+    bbLower: { from: 19, values: [
+        95.15185008, 95.03142047, 94.94251986, 95.19223157, 95.3062923, 95.34932873, 95.34875122, 95.25264224,
+        95.27513932, 95.11801407, 94.76409646, 94.12486379, 93.67875293, 93.19322909, 92.89685045, 92.83158176,
+        92.76537948, 92.46602015, 92.33195484, 91.87861614, 91.20587699, 90.26859868, 89.42139941, 88.37147035,
+        87.78862291, 87.7690479, 87.69310982, 87.6543743, 87.65976271, 87.44812455, 87.07723047, 86.90605136,
+        86.93281664, 86.90046677, 86.8336679, 87.03533755, 87.29391117, 87.35123878, 87.51311945, 87.55998281,
+        87.5414233
+    ] },
+    atr: { from: 14, values: [
+        2.54214286, 2.50627551, 2.50297012, 2.45561511, 2.59092831, 2.65943344, 2.71733105, 2.6618074,
+        2.5416783, 2.42441556, 2.42695731, 2.43646036, 2.47599891, 2.38914184, 2.46348885, 2.50252536,
+        2.56734498, 2.52610605, 2.50995562, 2.49638736, 2.43593112, 2.32693604, 2.39429775, 2.49113363,
+        2.52533837, 2.60495706, 2.57031727, 2.52386603, 2.51930417, 2.53721102, 2.55812452, 2.50111562,
+        2.47889308, 2.58540072, 2.49644352, 2.41098327, 2.42234161, 2.47003149, 2.53074353, 2.45926185,
+        2.45360029, 2.53262884, 2.42172678, 2.40160344, 2.44434605, 2.53189276
+    ] },
+    adx: { from: 27, values: [
+        21.19940582, 21.31752785, 22.00898851, 23.12039465, 24.15241463, 24.9014028, 25.91135017, 26.83223704,
+        27.49119331, 28.64496994, 29.92341764, 31.20154721, 32.91858951, 34.63900347, 36.49154362, 38.55901601,
+        40.08695188, 39.87369833, 39.06995959, 38.57607329, 38.63911569, 38.712137, 38.87866232, 38.37239023,
+        36.67521686, 34.8508526, 33.2096948, 31.31248491, 30.16385266, 29.09726558, 28.82676423, 28.12645802,
+        26.41333311
+    ] },
+    plusDI: { from: 14, values: [
+        18.57423011, 17.41961963, 16.11843987, 15.20366481, 13.28418964, 11.95742013, 13.75337001, 13.00828152,
+        12.6358785, 13.94000078, 18.59400085, 19.69606342, 17.94643218, 17.25098365, 15.49112391, 14.12895405,
+        12.76004922, 12.02768254, 12.0084431, 11.19742387, 10.70630919, 11.08861496, 9.99120747, 8.90303686,
+        8.14629301, 7.32457504, 6.88874041, 6.51088193, 6.05277933, 6.68377781, 11.2713799, 12.94416241,
+        12.12192406, 10.78453908, 10.36871577, 9.96719908, 11.40110096, 14.93859097, 14.52491681, 13.87689543,
+        18.72646774, 20.03756611, 19.45651621, 22.48034341, 20.50416852, 18.37601363
+    ] },
+    minusDI: { from: 14, values: [
+        20.61935651, 23.26844656, 24.44535601, 23.05800077, 28.59265383, 29.53503377, 26.72527871, 25.27743737,
+        24.55379112, 23.87772779, 22.08755956, 20.37557348, 22.96259199, 22.07276048, 24.66895193, 26.8233353,
+        28.11702363, 26.503239, 24.73611447, 25.53993242, 24.28378264, 23.59453508, 25.46630977, 24.40626384,
+        23.07586426, 25.40374423, 25.15518036, 26.51795864, 28.97098426, 26.69348831, 24.56846482, 23.32484378,
+        23.61253704, 24.84248971, 23.99972558, 23.84484077, 22.02872915, 20.05130103, 18.16460668, 17.6166405,
+        16.39155592, 14.74032516, 14.3128848, 13.39915408, 13.95011101, 16.91404895
+    ] }
+};
+
+// ── Runner ─────────────────────────────────────────────────────────────────
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log('  ok    ' + name);
+    } catch (err) {
+        failures++;
+        console.log('  FAIL  ' + name + '\n        ' + err.message);
+    }
+}
+
+function assertClose(actual, expected, label) {
+    if (expected === null) {
+        assert.strictEqual(actual, null, label + ': expected null, got ' + actual);
+        return;
+    }
+    assert.ok(actual !== null && Math.abs(actual - expected) <= TOLERANCE,
+        label + ': expected ' + expected + ', got ' + actual);
+}
+
+function assertReference(series, key) {
+    const ref = REFERENCE[key];
+    assert.strictEqual(series.length, BARS.close.length, key + ': length');
+    if (ref.from > 0) assertClose(series[ref.from - 1], null, key + '[' + (ref.from - 1) + ']');
+    ref.values.forEach((expected, j) => assertClose(series[ref.from + j], expected, key + '[' + (ref.from + j) + ']'));
+}
+
+// ── Batch series against TA-Lib ────────────────────────────────────────────
+
+console.log('indicators.js');
+const { high, low, close } = BARS;
+
+check('RSI(14), Wilder', () => assertReference(Indicators.rsi(close, 14, 'wilder'), 'rsiWilder'));
+check('RSI(14), simple', () => assertReference(Indicators.rsi(close, 14, 'simple'), 'rsiSimple'));
+check('EMA(10), SMA seed', () => assertReference(Indicators.ema(close, 10, 'sma'), 'emaSma'));
+check('EMA(10), first-value seed', () => assertReference(Indicators.ema(close, 10, 'first'), 'emaFirst'));
+check('MACD(12, 26, 9), first-value seed', () => {
+    const macd = Indicators.macd(close, 12, 26, 9, 'first');
+    assertReference(macd.macd, 'macd');
+    assertReference(macd.signal, 'macdSignal');
+    assertReference(macd.histogram, 'macdHistogram');
+});
+check('Bollinger Bands(20, 2)', () => {
+    const bb = Indicators.bollinger(close, 20, 2);
+    assertReference(bb.upper, 'bbUpper');
+    assertReference(bb.middle, 'bbMiddle');
+    assertReference(bb.lower, 'bbLower');
+});
+check('ATR(14)', () => assertReference(Indicators.atr(high, low, close, 14), 'atr'));
+check('ADX(14), +DI, −DI', () => {
+    const adx = Indicators.adx(high, low, close, 14);
+    assertReference(adx.adx, 'adx');
+    assertReference(adx.plusDI, 'plusDI');
+    assertReference(adx.minusDI, 'minusDI');
+});
+check("Wilder's worked RSI example", () => {
+    const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42,
+        45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00];
+    const rsi = Indicators.rsi(closes, 14, 'wilder');
+    assertClose(rsi[14], 70.46413502, 'rsi[14]');
+    assertClose(rsi[15], 66.24961855, 'rsi[15]');
+});
+check('EMA seeds on short series', () => {
+    assert.deepStrictEqual(Array.from(Indicators.ema([1, 2, 3], 3, 'first')), [1, 1.5, 2.25]);
+    assert.deepStrictEqual(Array.from(Indicators.ema([1, 2, 3, 4, 5, 6], 3, 'sma')), [null, null, 2, 3, 4, 5]);
+});
+
+// ── Streams against the batch series ───────────────────────────────────────
+
+// Deterministic random walk; 5-minute bars get a new session every 78 bars
+function syntheticBars(count, spacingMs) {
+    let seed = 17;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const bars = [];
+    let time = Date.UTC(2026, 0, 5, 14, 30);
+    let price = 100;
+    for (let i = 0; i < count; i++) {
+        if (spacingMs < 86400000 && i > 0 && i % 78 === 0) time += 86400000 - 78 * spacingMs;
+        const open = price;
+        price = price * (1 + (random() - 0.5) * 0.03);
+        bars.push({
+            date: new Date(time),
+            open: open,
+            high: Math.max(open, price) * (1 + random() * 0.01),
+            low: Math.min(open, price) * (1 - random() * 0.01),
+            close: price,
+            volume: Math.round(1e5 + random() * 1e6)
+        });
+        time += spacingMs;
+    }
+    return bars;
+}
+
+function batchSeries(bars, opts) {
+    const closes = bars.map(b => b.close);
+    const highs = bars.map(b => b.high);
+    const lows = bars.map(b => b.low);
+    const d = IndicatorStream.DEFAULTS;
+    const macd = Indicators.macd(closes, d.macdFast, d.macdSlow, d.macdSignal, opts.emaSeed);
+    const bb = Indicators.bollinger(closes, d.bbPeriod, d.bbMultiplier);
+    const stoch = Indicators.stochastic(highs, lows, closes, d.stochK, d.stochD);
+    const adx = Indicators.adx(highs, lows, closes, d.adx);
+    const obv = Indicators.obv(closes, bars.map(b => b.volume));
+    const ichimoku = Indicators.ichimoku(highs, lows, closes, ...d.ichimoku);
+    return {
+        sma20: Indicators.sma(closes, d.smaFast),
+        sma50: Indicators.sma(closes, d.smaSlow),
+        rsi: Indicators.rsi(closes, d.rsi, opts.rsiSmoothing),
+        macd: macd.macd,
+        macdSignal: macd.signal,
+        macdHistogram: macd.histogram,
+        bbUpper: bb.upper,
+        bbMiddle: bb.middle,
+        bbLower: bb.lower,
+        momentum: Indicators.momentum(closes, d.momentum),
+        stochK: stoch.k,
+        stochD: stoch.d,
+        atr: Indicators.atr(highs, lows, closes, d.atr),
+        adx: adx.adx,
+        plusDI: adx.plusDI,
+        minusDI: adx.minusDI,
+        obv: obv,
+        obvSma: Indicators.sma(obv, d.obvSma),
+        ichimokuTenkan: ichimoku.tenkan,
+        ichimokuKijun: ichimoku.kijun,
+        ichimokuSpanA: ichimoku.spanA,
+        ichimokuSpanB: ichimoku.spanB
+    };
+}
+
+function assertStreamMatchesBatch(bars, opts) {
+    const series = batchSeries(bars, opts);
+    const stream = IndicatorStream.create(opts);
+    bars.forEach((bar, i) => {
+        const snapshot = stream.push(bar).snapshot();
+        Object.keys(series).forEach(key => {
+            const expected = series[key][i] === undefined ? null : series[key][i];
+            assertClose(snapshot[key], expected, key + ' on bar ' + i);
+        });
+        // The stream picks session or rolling VWAP from the bars seen so far
+        const seen = bars.slice(0, i + 1);
+        assertClose(snapshot.vwap, Indicators.vwap(seen, IndicatorStream.DEFAULTS.vwap)[i], 'vwap on bar ' + i);
+    });
+}
+
+console.log('indicatorstream.js');
+const conventions = [
+    { label: 'Wilder RSI, first-value EMA', opts: { rsiSmoothing: 'wilder', emaSeed: 'first' } },
+    { label: 'simple RSI, SMA-seeded EMA', opts: { rsiSmoothing: 'simple', emaSeed: 'sma' } }
+];
+[['daily', 86400000], ['5-minute', 5 * 60000]].forEach(([interval, spacing]) => {
+    const bars = syntheticBars(240, spacing);
+    conventions.forEach(c => {
+        check('snapshots equal the batch series, ' + interval + ' bars, ' + c.label,
+            () => assertStreamMatchesBatch(bars, c.opts));
+    });
+});
+
+// ── Auto-refresh against a full recompute ──────────────────────────────────
+
+function assertSameIndicators(actual, expected, label) {
+    if (typeof expected === 'number') {
+        assertClose(actual, expected, label);
+    } else if (expected === null || typeof expected !== 'object') {
+        assert.strictEqual(actual, expected, label);
+    } else {
+        assert.deepStrictEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), label + ': keys');
+        Object.keys(expected).forEach(key => assertSameIndicators(actual[key], expected[key], label + '.' + key));
+    }
+}
+
+console.log('analysis.js');
+[['daily', 86400000], ['5-minute', 5 * 60000]].forEach(([interval, spacing]) => {
+    check('extendIndicators equals calculateIndicators, ' + interval + ' bars', () => {
+        const bars = syntheticBars(240, spacing);
+        let data = bars.slice(0, 200);
+        let indicators = context.calculateIndicators(data);
+        let stream = context.createIndicatorStream();
+        data.slice(0, -1).forEach(bar => stream.push(bar));
+        [1, 0, 15].forEach(added => {
+            // The last bar was still forming: its close moves, then bars follow
+            const last = Object.assign({}, data[data.length - 1], { close: data[data.length - 1].close * 1.002 });
+            data = data.slice(0, -1).concat([last], bars.slice(data.length, data.length + added));
+            const extended = context.extendIndicators(indicators, stream, data);
+            assertSameIndicators(extended.indicators, context.calculateIndicators(data), data.length + ' bars');
+            assert.strictEqual(extended.stream.count, data.length - 1, 'stream stops before the last bar');
+            indicators = extended.indicators;
+            stream = extended.stream;
+        });
+    });
+});
+
+if (failures > 0) {
+    console.log(failures + ' check(s) failed');
+    process.exitCode = 1;
+} else {
+    console.log('All checks passed');
+}
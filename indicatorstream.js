@@ -0,0 +1,407 @@
+/**
+ * indicatorstream.js — Streaming Indicators
+ *
+ * Bar-by-bar counterpart of indicators.js for anything that walks forward
+ * through a history: the trade simulator, backtests, the forecast band
+ * replay, signal markers, the optimizer, and auto-refresh when only new bars
+ * arrived (extendIndicators() in analysis.js). A stream keeps only the rolling
+ * windows and running averages the indicators need, so each new bar costs the
+ * same however long the history already is — replaying n bars is O(n) instead
+ * of recomputing every series over every prefix. Exposes window.IndicatorStream:
+ *
+ *   IndicatorStream.DEFAULTS        — periods, the same ones calculateIndicators() uses
+ *   IndicatorStream.create(opts)    — empty stream; opts override DEFAULTS
+ *
+ *   stream.count                    — bars pushed so far
+ *   stream.push(bar)                — add the next bar (ascending dates); returns the stream
+ *   stream.snapshot()               — latest values under the scalar keys of
+ *                                     calculateIndicators() (no full series);
+ *                                     null while a window is still filling
+ *   stream.clone()                  — independent copy, e.g. to resume from later
+ *
+ * Values are identical to the batch functions on the same bars, with one
+ * exception: VWAP decides between session and rolling mode from the median
+ * spacing of the first SPACING_SAMPLE gaps, not of the whole series.
+ */
+window.IndicatorStream = (function () {
+    'use strict';
+
+    const DEFAULTS = {
+        smaFast:      20,
+        smaSlow:      50,
+        rsi:          14,
+        rsiSmoothing: null,   // null = Indicators.CONVENTIONS
+        emaSeed:      null,   // null = Indicators.CONVENTIONS
+        macdFast:     12,
+        macdSlow:     26,
+        macdSignal:   9,
+        bbPeriod:     20,
+        bbMultiplier: 2,
+        volume:       20,     // bars in the volume-ratio average
+        momentum:     5,
+        stochK:       14,
+        stochD:       3,
+        atr:          14,
+        adx:          14,
+        vwap:         20,     // rolling VWAP period for daily and longer bars
+        obvSma:       20,
+        ichimoku:     [9, 26, 52, 26],   // conversion, base, span B, displacement
+        fibonacci:    100
+    };
+
+    const SPACING_SAMPLE = 50;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function _isValue(v) {
+        return v !== null && v !== undefined && !isNaN(v);
+    }
+
+    function _copy(value) {
+        if (Array.isArray(value)) return value.map(_copy);
+        if (value && typeof value === 'object') {
+            const out = {};
+            Object.keys(value).forEach(k => { out[k] = _copy(value[k]); });
+            return out;
+        }
+        return value;
+    }
+
+    function _append(values, v, size) {
+        values.push(v);
+        if (values.length > size) values.shift();
+    }
+
+    /** Mean of the last `period` values, summed oldest first like Indicators.sma. */
+    function _mean(values, period) {
+        if (values.length < period) return null;
+        let sum = 0;
+        for (let j = values.length - period; j < values.length; j++) sum += values[j];
+        return sum / period;
+    }
+
+    /** Midpoint of the high-low range over `period` bars ending `offset` bars back. */
+    function _midpoint(highs, lows, period, offset) {
+        const end = highs.length - 1 - offset;
+        if (end - period + 1 < 0) return null;
+        let max = highs[end];
+        let min = lows[end];
+        for (let j = end - period + 1; j < end; j++) {
+            if (highs[j] > max) max = highs[j];
+            if (lows[j] < min) min = lows[j];
+        }
+        return { high: max, low: min, mid: (max + min) / 2 };
+    }
+
+    // Running averages, as plain objects so a stream can be copied
+
+    function _emaState(period, seed) {
+        return { period: period, alpha: 2 / (period + 1), seed: seed, value: null, seen: 0, seedSum: 0 };
+    }
+
+    function _emaNext(s, v) {
+        if (!_isValue(v)) return null;
+        if (s.value === null) {
+            if (s.seed === 'sma') {
+                s.seen++;
+                s.seedSum += v;
+                if (s.seen < s.period) return null;
+                s.value = s.seedSum / s.period;
+            } else {
+                s.value = v;
+            }
+        } else {
+            s.value = v * s.alpha + s.value * (1 - s.alpha);
+        }
+        return s.value;
+    }
+
+    function _wilderState(period) {
+        return { period: period, seen: 0, sum: 0, value: null };
+    }
+
+    function _wilderNext(s, v) {
+        if (s.value === null) {
+            s.seen++;
+            s.sum += v;
+            if (s.seen === s.period) s.value = s.sum / s.period;
+        } else {
+            s.value = (s.value * (s.period - 1) + v) / s.period;
+        }
+        return s.value;
+    }
+
+    // ── Stream state ───────────────────────────────────────────────────────────
+
+    function _initialState(opts) {
+        const conventions = window.Indicators.CONVENTIONS;
+        const o = Object.assign({}, DEFAULTS, opts || {});
+        o.rsiSmoothing = o.rsiSmoothing || conventions.rsiSmoothing;
+        o.emaSeed = o.emaSeed || conventions.emaSeed;
+        const ichi = o.ichimoku;
+
+        return {
+            o: o,
+            count: 0,
+            closeSize: Math.max(o.smaSlow, o.bbPeriod, o.momentum + 1, 2),
+            rangeSize: Math.max(o.stochK, ichi[0], ichi[1], ichi[2] + ichi[3], o.fibonacci),
+            closes: [],
+            volumes: [],
+            highs: [],
+            lows: [],
+            rsi: {
+                gain: _wilderState(o.rsi), loss: _wilderState(o.rsi),
+                gains: [], losses: []      // 'simple' smoothing only
+            },
+            macd: {
+                fast: _emaState(o.macdFast, o.emaSeed),
+                slow: _emaState(o.macdSlow, o.emaSeed),
+                signal: _emaState(o.macdSignal, o.emaSeed)
+            },
+            stochK: [],
+            atr: _wilderState(o.atr),
+            adx: {
+                tr: _wilderState(o.adx), plus: _wilderState(o.adx), minus: _wilderState(o.adx),
+                dx: _wilderState(o.adx), started: false
+            },
+            vwap: { prevTime: null, gaps: [], spacing: 0, pv: 0, vol: 0, pvs: [], vols: [] },
+            obv: { value: 0, values: [] },
+            ichimoku: [],               // [tenkan, kijun] of the last displacement + 1 bars
+            latest: null
+        };
+    }
+
+    function _pushVwap(v, bar, typical, period) {
+        const time = bar.date.getTime();
+        const gap = v.prevTime === null ? null : time - v.prevTime;
+
+        if (gap !== null && v.gaps.length < SPACING_SAMPLE) {
+            v.gaps.push(gap);
+            const sorted = v.gaps.slice().sort((a, b) => a - b);
+            v.spacing = sorted[Math.floor(sorted.length / 2)];
+        }
+
+        const newSession = gap === null || gap > 2 * v.spacing ||
+            Math.floor(time / DAY_MS) !== Math.floor(v.prevTime / DAY_MS);
+        if (newSession) {
+            v.pv = 0;
+            v.vol = 0;
+        }
+        v.pv += typical * bar.volume;
+        v.vol += bar.volume;
+        v.prevTime = time;
+
+        _append(v.pvs, typical * bar.volume, period);
+        _append(v.vols, bar.volume, period);
+
+        if (v.spacing > 0 && v.spacing < 20 * 60 * 60 * 1000) {
+            return v.vol > 0 ? v.pv / v.vol : null;
+        }
+        if (v.pvs.length < period) return null;
+        let pv = 0;
+        let vol = 0;
+        for (let j = 0; j < period; j++) {
+            pv += v.pvs[j];
+            vol += v.vols[j];
+        }
+        return vol > 0 ? pv / vol : null;
+    }
+
+    function _push(s, bar) {
+        const o = s.o;
+        const close = bar.close;
+        // Bars without a range (some imported files) fall back to the close
+        const high = bar.high != null ? bar.high : close;
+        const low = bar.low != null ? bar.low : close;
+        const first = s.count === 0;
+        const prevClose = first ? null : s.closes[s.closes.length - 1];
+        const prevHigh = first ? null : s.highs[s.highs.length - 1];
+        const prevLow = first ? null : s.lows[s.lows.length - 1];
+
+        _append(s.closes, close, s.closeSize);
+        _append(s.volumes, bar.volume, o.volume);
+        _append(s.highs, high, s.rangeSize);
+        _append(s.lows, low, s.rangeSize);
+        s.count++;
+
+        // Averages and Bollinger Bands
+        const sma20 = _mean(s.closes, o.smaFast);
+        const sma50 = _mean(s.closes, o.smaSlow);
+        const bbMiddle = _mean(s.closes, o.bbPeriod);
+        let bbUpper = null;
+        let bbLower = null;
+        if (bbMiddle !== null) {
+            let variance = 0;
+            for (let j = s.closes.length - o.bbPeriod; j < s.closes.length; j++) {
+                variance += (s.closes[j] - bbMiddle) * (s.closes[j] - bbMiddle);
+            }
+            const sd = Math.sqrt(variance / o.bbPeriod);
+            bbUpper = bbMiddle + o.bbMultiplier * sd;
+            bbLower = bbMiddle - o.bbMultiplier * sd;
+        }
+
+        // RSI
+        let rsi = null;
+        if (!first) {
+            const change = close - prevClose;
+            const gain = change > 0 ? change : 0;
+            const loss = change < 0 ? -change : 0;
+            let avgGain;
+            let avgLoss;
+            if (o.rsiSmoothing === 'simple') {
+                _append(s.rsi.gains, gain, o.rsi);
+                _append(s.rsi.losses, loss, o.rsi);
+                avgGain = _mean(s.rsi.gains, o.rsi);
+                avgLoss = _mean(s.rsi.losses, o.rsi);
+            } else {
+                avgGain = _wilderNext(s.rsi.gain, gain);
+                avgLoss = _wilderNext(s.rsi.loss, loss);
+            }
+            if (avgGain !== null) rsi = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        }
+
+        // MACD; the signal line only sees MACD values
+        const fast = _emaNext(s.macd.fast, close);
+        const slow = _emaNext(s.macd.slow, close);
+        const macd = fast !== null && slow !== null ? fast - slow : null;
+        const macdSignal = _emaNext(s.macd.signal, macd);
+        const macdHistogram = macd !== null && macdSignal !== null ? macd - macdSignal : null;
+
+        // Volume ratio and momentum, as calculateIndicators() computes them
+        let volumeSum = 0;
+        for (let j = 0; j < s.volumes.length; j++) volumeSum += s.volumes[j];
+        const volumeRatio = bar.volume / (volumeSum / o.volume);
+        const base = s.count > o.momentum ? s.closes[s.closes.length - 1 - o.momentum] : null;
+        const momentum = base !== null ? (close - base) / base * 100 : null;
+
+        // Stochastic
+        const range = _midpoint(s.highs, s.lows, o.stochK, 0);
+        let stochK = null;
+        let stochD = null;
+        if (range) {
+            stochK = range.high === range.low ? 50 : (close - range.low) / (range.high - range.low) * 100;
+            _append(s.stochK, stochK, o.stochD);
+            stochD = _mean(s.stochK, o.stochD);
+        }
+
+        // ATR and ADX; the first bar has no true range or directional movement,
+        // and counts as zero in the DI averages (TA-Lib seeding, see indicators.js)
+        const tr = first
+            ? 0
+            : Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+        const atr = first ? null : _wilderNext(s.atr, tr);
+
+        let plusDI = null;
+        let minusDI = null;
+        let adx = null;
+        const up = first ? 0 : high - prevHigh;
+        const down = first ? 0 : prevLow - low;
+        const smTR = _wilderNext(s.adx.tr, tr);
+        const smPlus = _wilderNext(s.adx.plus, up > down && up > 0 ? up : 0);
+        const smMinus = _wilderNext(s.adx.minus, down > up && down > 0 ? down : 0);
+        if (s.count > o.adx) {
+            if (smTR) {
+                plusDI = smPlus / smTR * 100;
+                minusDI = smMinus / smTR * 100;
+            }
+            let dx = null;
+            if (plusDI !== null) {
+                const sum = plusDI + minusDI;
+                dx = sum === 0 ? 0 : Math.abs(plusDI - minusDI) / sum * 100;
+            }
+            if (dx !== null) s.adx.started = true;
+            if (s.adx.started) adx = _wilderNext(s.adx.dx, dx);
+        }
+
+        // VWAP and OBV
+        const vwap = _pushVwap(s.vwap, bar, (high + low + close) / 3, o.vwap);
+        if (!first) {
+            const sign = close > prevClose ? 1 : close < prevClose ? -1 : 0;
+            s.obv.value = s.obv.value + sign * bar.volume;
+        }
+        _append(s.obv.values, s.obv.value, o.obvSma);
+        const obvSma = _mean(s.obv.values, o.obvSma);
+
+        // Ichimoku; the spans plotted on this bar were computed displacement bars ago
+        const ichi = o.ichimoku;
+        const conversion = _midpoint(s.highs, s.lows, ichi[0], 0);
+        const baseLine = _midpoint(s.highs, s.lows, ichi[1], 0);
+        const tenkan = conversion ? conversion.mid : null;
+        const kijun = baseLine ? baseLine.mid : null;
+        _append(s.ichimoku, [tenkan, kijun], ichi[3] + 1);
+        const earlier = s.ichimoku.length > ichi[3] ? s.ichimoku[0] : null;
+        const spanA = earlier && earlier[0] !== null && earlier[1] !== null ? (earlier[0] + earlier[1]) / 2 : null;
+        const spanRange = s.count > ichi[3] ? _midpoint(s.highs, s.lows, ichi[2], ichi[3]) : null;
+        const spanB = spanRange ? spanRange.mid : null;
+
+        // Fibonacci swing over the last `fibonacci` bars (first extreme wins ties)
+        const start = Math.max(0, s.highs.length - o.fibonacci);
+        let highIndex = start;
+        let lowIndex = start;
+        for (let j = start; j < s.highs.length; j++) {
+            if (s.highs[j] > s.highs[highIndex]) highIndex = j;
+            if (s.lows[j] < s.lows[lowIndex]) lowIndex = j;
+        }
+
+        s.latest = {
+            currentPrice: close,
+            sma20: sma20,
+            sma50: sma50,
+            rsi: rsi,
+            macd: macd,
+            macdSignal: macdSignal,
+            macdHistogram: macdHistogram,
+            bbUpper: bbUpper,
+            bbMiddle: bbMiddle,
+            bbLower: bbLower,
+            volumeRatio: volumeRatio,
+            momentum: momentum,
+            previousClose: prevClose,
+            stochK: stochK,
+            stochD: stochD,
+            atr: atr,
+            adx: adx,
+            plusDI: plusDI,
+            minusDI: minusDI,
+            vwap: vwap,
+            obv: s.obv.value,
+            obvSma: obvSma,
+            ichimokuTenkan: tenkan,
+            ichimokuKijun: kijun,
+            ichimokuSpanA: spanA,
+            ichimokuSpanB: spanB,
+            fibHigh: s.highs[highIndex],
+            fibLow: s.lows[lowIndex],
+            fibTrend: lowIndex <= highIndex ? 1 : -1
+        };
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function _wrap(state) {
+        return {
+            get count() { return state.count; },
+            push(bar) {
+                _push(state, bar);
+                return this;
+            },
+            snapshot() {
+                return state.latest ? Object.assign({}, state.latest) : null;
+            },
+            clone() {
+                return _wrap(_copy(state));
+            }
+        };
+    }
+
+    function create(opts) {
+        return _wrap(_initialState(opts));
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        DEFAULTS,
+        create
+    };
+})();
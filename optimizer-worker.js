@@ -0,0 +1,26 @@
+/**
+ * optimizer-worker.js — Web Worker host for optimizer.js
+ *
+ * Receives { bars, baseRules, opts }, runs Optimizer.run() and posts
+ *   { type: 'progress', fraction } … { type: 'result', result } | { type: 'error', message }
+ * The shared scripts attach themselves to `window`, so alias it first.
+ */
+self.window = self;
+importScripts('indicators.js', 'indicatorstream.js', 'ruledsl.js', 'rules.js', 'analysis.js', 'optimizer.js');
+
+self.onmessage = function (event) {
+    const msg = event.data;
+    let last = 0;
+
+    self.Optimizer.run(msg.bars, msg.baseRules, msg.opts, fraction => {
+        // Throttle: one message per percent is plenty for a progress bar
+        if (fraction - last >= 0.01 || fraction === 1) {
+            last = fraction;
+            self.postMessage({ type: 'progress', fraction: fraction });
+        }
+    }).then(result => {
+        self.postMessage({ type: 'result', result: result });
+    }).catch(err => {
+        self.postMessage({ type: 'error', message: err.message });
+    });
+};
@@ -0,0 +1,353 @@
+/**
+ * optimizer.js — Rule Weight & Threshold Optimizer
+ *
+ * Searches tradingRules weights and thresholds against a bar history and
+ * scores each candidate rule set on a training slice, then re-scores the best
+ * ones on the held-out test slice so overfitting shows up as a train/test
+ * gap. Runs inside optimizer-worker.js; run() also works on the main thread
+ * as a fallback (file:// pages cannot start workers). Exposes window.Optimizer:
+ *
+ *   Optimizer.DEFAULTS                         — default options (see below)
+ *   Optimizer.PARAMS                           — searchable parameters by group
+ *   Optimizer.run(bars, baseRules, opts, onProgress) — Promise<result>
+ *   Optimizer.start(bars, baseRules, opts, onProgress) — { promise, cancel } using the worker when possible
+ *
+ * Objectives (signal on bar i's close, judged on later closes):
+ *   - 'accuracy' : share of BULLISH/BEARISH calls (incl. SLIGHTLY) whose sign
+ *                  matches close[i + horizon] − close[i]. Candidates making
+ *                  fewer than minCalls calls are scaled down so "never call"
+ *                  cannot win.
+ *   - 'sharpe'   : annualised Sharpe of a frictionless strategy that is long
+ *                  after BUY/STRONG BUY, short after SELL/STRONG SELL (or flat
+ *                  when allowShort is off) and flat on HOLD, one bar at a time.
+ *
+ * Methods: 'grid' (every combination of `levels` values per parameter; refused
+ * when it exceeds `budget`), 'random' (`budget` samples), 'genetic'
+ * (tournament selection, uniform crossover, step mutation, elitism).
+ *
+ * Indicators are streamed once over the bars (replayIndicators in analysis.js)
+ * and reused for every candidate — only predictDirection() runs per evaluation.
+ *
+ * result = { method, objective, evaluations, trainBars, testBars,
+ *            baseline: { train, test }, top: [{ rules, params, train, test }] }
+ */
+window.Optimizer = (function () {
+    'use strict';
+
+    const DEFAULTS = {
+        method:        'random',       // 'grid' | 'random' | 'genetic'
+        objective:     'accuracy',     // 'accuracy' | 'sharpe'
+        groups:        ['weights'],    // keys of PARAMS to search
+        budget:        400,            // max candidate evaluations
+        levels:        3,              // grid values per parameter
+        trainFraction: 0.7,
+        horizon:       5,              // bars ahead for 'accuracy'
+        minCalls:      20,
+        allowShort:    true,
+        warmup:        50,
+        periodsPerYear: 252,
+        topN:          5,
+        seed:          1
+    };
+
+    const PARAMS = {
+        weights: [
+            { group: 'weights', key: 'movingAverages', min: 0, max: 4, step: 0.25 },
+            { group: 'weights', key: 'rsi',            min: 0, max: 4, step: 0.25 },
+            { group: 'weights', key: 'macd',           min: 0, max: 4, step: 0.25 },
+            { group: 'weights', key: 'bollingerBands', min: 0, max: 4, step: 0.25 },
+            { group: 'weights', key: 'volume',         min: 0, max: 4, step: 0.25 },
+            { group: 'weights', key: 'momentum',       min: 0, max: 4, step: 0.25 }
+        ],
+        thresholds: [
+            { group: 'thresholds', key: 'rsiOversold',    min: 15,  max: 40,  step: 1 },
+            { group: 'thresholds', key: 'rsiOverbought',  min: 60,  max: 85,  step: 1 },
+            { group: 'thresholds', key: 'momentumStrong', min: 0.5, max: 6,   step: 0.25 },
+            { group: 'thresholds', key: 'volumeHigh',     min: 1.1, max: 3,   step: 0.1 }
+        ],
+        cutoffs: [
+            { group: 'thresholds', key: 'scoreCutoff',         min: 1,   max: 6, step: 0.25 },
+            { group: 'custom',     key: 'confirmationsNeeded', min: 1,   max: 5, step: 1 }
+        ]
+    };
+
+    const CHUNK = 20;   // evaluations between progress reports / yields
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function _random(seed) {
+        let s = seed % 2147483647;
+        if (s <= 0) s += 2147483646;
+        return () => {
+            s = (s * 16807) % 2147483647;
+            return (s - 1) / 2147483646;
+        };
+    }
+
+    function _snap(p, value) {
+        const v = Math.round((value - p.min) / p.step) * p.step + p.min;
+        return Math.min(p.max, Math.max(p.min, parseFloat(v.toFixed(4))));
+    }
+
+    function _apply(baseRules, params, values) {
+        const rules = JSON.parse(JSON.stringify(baseRules));
+        params.forEach((p, k) => { rules[p.group][p.key] = values[k]; });
+        return rules;
+    }
+
+    function _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // ── Objectives ─────────────────────────────────────────────────────────────
+
+    function _side(prediction) {
+        if (prediction.direction.indexOf('BULLISH') !== -1) return 1;
+        if (prediction.direction.indexOf('BEARISH') !== -1) return -1;
+        return 0;
+    }
+
+    function _position(prediction, allowShort) {
+        const a = prediction.action;
+        if (a === 'BUY' || a === 'STRONG BUY') return 1;
+        if (allowShort && (a === 'SELL' || a === 'STRONG SELL')) return -1;
+        return 0;
+    }
+
+    /** Score `rules` on bar indices [from, to) of the prepared series. */
+    function _score(prep, rules, from, to, o) {
+        if (o.objective === 'sharpe') {
+            const returns = [];
+            for (let i = from; i < to && i + 1 < prep.closes.length; i++) {
+                const pos = _position(predictDirection(prep.indicators[i], null, rules), o.allowShort);
+                returns.push(pos * (prep.closes[i + 1] / prep.closes[i] - 1));
+            }
+            if (returns.length < 2) return 0;
+            const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+            const sd = Math.sqrt(returns.reduce((a, r) => a + (r - mean) * (r - mean), 0) / returns.length);
+            return sd > 0 ? mean / sd * Math.sqrt(o.periodsPerYear) : 0;
+        }
+
+        let calls = 0;
+        let hits = 0;
+        for (let i = from; i < to && i + o.horizon < prep.closes.length; i++) {
+            const side = _side(predictDirection(prep.indicators[i], null, rules));
+            if (side === 0) continue;
+            calls++;
+            if (side * (prep.closes[i + o.horizon] - prep.closes[i]) > 0) hits++;
+        }
+        if (calls === 0) return 0;
+        return hits / calls * 100 * Math.min(1, calls / o.minCalls);
+    }
+
+    // ── Search ─────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {Array} bars        — ascending OHLCV bars
+     * @param {Object} baseRules  — rule set to start from (non-searched values are kept)
+     * @param {Object} [opts]     — overrides for DEFAULTS
+     * @param {Function} [onProgress] — called with 0…1
+     */
+    async function run(bars, baseRules, opts, onProgress) {
+        const o = Object.assign({}, DEFAULTS, opts || {});
+        const params = [].concat.apply([], o.groups.map(g => PARAMS[g] || []));
+        if (params.length === 0) throw new Error('Pick at least one parameter group to optimise');
+
+        const n = bars.length;
+        const first = o.warmup - 1;
+        const split = first + Math.floor((n - first) * o.trainFraction);
+        if (split - first < 30 || n - split < 10) {
+            throw new Error('Not enough bars to split into train and test (' + n + ' loaded)');
+        }
+
+        let combos = 0;
+        if (o.method === 'grid') {
+            combos = Math.pow(o.levels, params.length);
+            if (combos > o.budget) {
+                throw new Error('Grid search would need ' + combos + ' evaluations (budget ' + o.budget +
+                    ') — pick fewer parameter groups, fewer levels, or use random / genetic search');
+            }
+        }
+
+        // 1. Indicators once per bar, streamed (scalars only, no full series)
+        const prep = { closes: bars.map(b => b.close), indicators: [] };
+        const indicatorsAt = replayIndicators(bars);
+        for (let i = first; i < n; i++) {
+            prep.indicators[i] = indicatorsAt(i);
+            if ((i - first) % 50 === 49) {
+                if (onProgress) onProgress(0.3 * (i - first) / (n - first));
+                await _yield();
+            }
+        }
+
+        const rand = _random(o.seed);
+        const cache = new Map();
+        let evaluations = 0;
+        const total = o.method === 'grid' ? combos : o.budget;
+
+        async function evaluate(values) {
+            const key = values.join(',');
+            if (cache.has(key)) return cache.get(key);
+            const rules = _apply(baseRules, params, values);
+            const entry = { values: values, rules: rules, train: _score(prep, rules, first, split, o) };
+            cache.set(key, entry);
+            evaluations++;
+            if (evaluations % CHUNK === 0) {
+                if (onProgress) onProgress(0.3 + 0.7 * Math.min(1, evaluations / total));
+                await _yield();
+            }
+            return entry;
+        }
+
+        const randomValues = () => params.map(p => _snap(p, p.min + rand() * (p.max - p.min)));
+
+        // 2. Candidates
+        const baseValues = params.map(p => baseRules[p.group][p.key]);
+        await evaluate(baseValues);
+
+        if (o.method === 'grid') {
+            const levels = params.map(p => {
+                const values = [];
+                for (let k = 0; k < o.levels; k++) {
+                    values.push(_snap(p, p.min + (p.max - p.min) * (o.levels === 1 ? 0.5 : k / (o.levels - 1))));
+                }
+                return values;
+            });
+            for (let index = 0; index < combos; index++) {
+                let rest = index;
+                await evaluate(levels.map(values => {
+                    const v = values[rest % values.length];
+                    rest = Math.floor(rest / values.length);
+                    return v;
+                }));
+            }
+        } else if (o.method === 'random') {
+            // Small search spaces run out of new points before the budget does
+            for (let tries = 0; evaluations < o.budget && tries < o.budget * 4; tries++) {
+                await evaluate(randomValues());
+            }
+        } else if (o.method === 'genetic') {
+            const size = Math.max(10, Math.min(40, Math.floor(o.budget / 8)));
+            let population = [await evaluate(baseValues)];
+            while (population.length < size) population.push(await evaluate(randomValues()));
+
+            const pick = () => {
+                const a = population[Math.floor(rand() * population.length)];
+                const b = population[Math.floor(rand() * population.length)];
+                return a.train >= b.train ? a : b;
+            };
+
+            let stale = 0;
+            while (evaluations < o.budget && stale < 5) {
+                const before = evaluations;
+                population.sort((a, b) => b.train - a.train);
+                const next = population.slice(0, 2);   // elitism
+                while (next.length < size && evaluations < o.budget) {
+                    const mum = pick();
+                    const dad = pick();
+                    const child = params.map((p, k) => {
+                        let v = rand() < 0.5 ? mum.values[k] : dad.values[k];
+                        if (rand() < 0.2) v = _snap(p, v + (rand() < 0.5 ? -1 : 1) * p.step * (1 + Math.floor(rand() * 3)));
+                        return v;
+                    });
+                    next.push(await evaluate(child));
+                }
+                population = next;
+                // Only cache hits this generation: the population has converged
+                stale = evaluations === before ? stale + 1 : 0;
+            }
+        } else {
+            throw new Error('Unknown optimisation method "' + o.method + '"');
+        }
+
+        // 3. Held-out scores for the best candidates
+        const ranked = Array.from(cache.values()).sort((a, b) => b.train - a.train).slice(0, o.topN);
+        const baseline = cache.get(baseValues.join(','));
+
+        if (onProgress) onProgress(1);
+
+        return {
+            method:      o.method,
+            objective:   o.objective,
+            evaluations: evaluations,
+            trainBars:   split - first,
+            testBars:    n - split,
+            baseline:    { train: baseline.train, test: _score(prep, baseline.rules, split, n, o) },
+            top: ranked.map(c => ({
+                rules:  c.rules,
+                params: params.map((p, k) => ({ group: p.group, key: p.key, value: c.values[k] })),
+                train:  c.train,
+                test:   _score(prep, c.rules, split, n, o)
+            }))
+        };
+    }
+
+    // ── Worker front-end ───────────────────────────────────────────────────────
+
+    function _cancelled() {
+        const err = new Error('Optimization cancelled');
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * Run in optimizer-worker.js when workers are available, otherwise on the
+     * main thread. cancel() stops the search and rejects the promise with an
+     * error whose `cancelled` flag is set.
+     */
+    function start(bars, baseRules, opts, onProgress) {
+        let worker = null;
+        try {
+            worker = new Worker('optimizer-worker.js');
+        } catch (err) {
+            console.warn('[Optimizer] Worker unavailable, running on the main thread:', err.message);
+        }
+
+        if (!worker) {
+            let stop = false;
+            const promise = run(bars, baseRules, opts, fraction => {
+                if (stop) throw _cancelled();   // unwinds run() at its next progress report
+                if (onProgress) onProgress(fraction);
+            });
+            return { promise: promise, cancel: function () { stop = true; } };
+        }
+
+        let rejectRun = null;
+        const promise = new Promise((resolve, reject) => {
+            rejectRun = reject;
+            worker.onmessage = event => {
+                const msg = event.data;
+                if (msg.type === 'progress') {
+                    if (onProgress) onProgress(msg.fraction);
+                } else if (msg.type === 'result') {
+                    worker.terminate();
+                    resolve(msg.result);
+                } else if (msg.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(msg.message));
+                }
+            };
+            worker.onerror = event => {
+                worker.terminate();
+                reject(new Error(event.message || 'Optimizer worker failed'));
+            };
+            worker.postMessage({ bars: bars, baseRules: baseRules, opts: opts });
+        });
+
+        return {
+            promise: promise,
+            cancel: function () {
+                worker.terminate();
+                rejectRun(_cancelled());
+            }
+        };
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        DEFAULTS,
+        PARAMS,
+        run,
+        start
+    };
+})();
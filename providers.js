@@ -0,0 +1,368 @@
+/**
+ * providers.js — Market Data Provider Layer
+ *
+ * Decouples the app from any single OHLCV source. Each adapter implements
+ * one method:
+ *
+ *   adapter.fetchBars({ ticker, range, interval, since? }, settings)
+ *       → Promise<{ bars: Array<{date, open, high, low, close, volume}>,
+ *                   events: { splits, dividends } }>
+ *
+ * and is registered with window.DataProviders, which exposes:
+ *
+ *   DataProviders.list()                    — registered adapters
+ *   DataProviders.get(id)                   — one adapter by id
+ *   DataProviders.activeId / setActive(id)  — the default source for new tabs
+ *   DataProviders.getSettings(id)           — persisted per-adapter settings
+ *   DataProviders.configure(id, settings)   — merge + persist settings
+ *   DataProviders.fetchBars(req, [id])      — fetch through one adapter
+ *   DataProviders.normalizeBars(json)       — parse any supported payload
+ *   DataProviders.normalizeSeries(json)     — same, plus corporate-action events
+ *
+ * `since` (a Date) asks for bars from that time onward only, so the bar cache
+ * can top up a series; adapters that cannot honour it return the full range
+ * and the caller merges.
+ *
+ * Built-in adapters:
+ *   - yahoo  : Yahoo v8 chart endpoint through the public CORS proxy chain.
+ *   - proxy  : A self-hosted endpoint. settings.urlTemplate is expanded with
+ *              {ticker}, {range}, {interval} and {since} (epoch seconds, or
+ *              empty for a full fetch); the response may be a Yahoo
+ *              chart payload, a bare bar array or { data: [...], events }.
+ *   - static : Static JSON files (e.g. files produced by "Export VAE JSON"
+ *              checked into ./data/). Same payload formats as `proxy`.
+ *
+ * Settings and the active adapter are persisted in localStorage so that a
+ * team can point the app at its own data once per browser.
+ */
+window.DataProviders = (function () {
+    'use strict';
+
+    const STORAGE_KEY = 'dataProviders';
+    const REQUEST_TIMEOUT_MS = 10000;
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    const _adapters = {};
+    const _order    = [];
+    let _activeId   = 'yahoo';
+    let _settings   = {};   // { [adapterId]: { ...settings } }
+
+    // ── Persistence ────────────────────────────────────────────────────────────
+
+    function _loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) {
+                _activeId = saved.activeId || _activeId;
+                _settings = saved.settings || {};
+            }
+        } catch (err) {
+            console.warn('[Providers] Could not read saved settings:', err.message);
+        }
+    }
+
+    function _saveState() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId: _activeId, settings: _settings }));
+        } catch (err) {
+            console.warn('[Providers] Could not persist settings:', err.message);
+        }
+    }
+
+    // ── Shared helpers ─────────────────────────────────────────────────────────
+
+    /**
+     * Fetch a URL and parse it as JSON, aborting after REQUEST_TIMEOUT_MS.
+     * Rejects on non-2xx responses and on bodies that are clearly not JSON
+     * (free proxies like to answer with HTML error pages).
+     */
+    async function _fetchJson(url) {
+        const controller = new AbortController();
+        const timeoutId  = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'Cache-Control': 'no-cache'
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+
+            const text = await response.text();
+            if (!text || text.length < 2 || (!text.startsWith('{') && !text.startsWith('['))) {
+                throw new Error('Invalid response format');
+            }
+            return JSON.parse(text);
+        } catch (err) {
+            if (err.name === 'AbortError') throw new Error('Timeout');
+            throw err;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    function _expandTemplate(template, req) {
+        return template
+            .replace(/\{ticker\}/g, encodeURIComponent(req.ticker))
+            .replace(/\{range\}/g, encodeURIComponent(req.range))
+            .replace(/\{interval\}/g, encodeURIComponent(req.interval))
+            .replace(/\{since\}/g, req.since ? String(Math.floor(req.since.getTime() / 1000)) : '');
+    }
+
+    /**
+     * Drop bars without a close and enforce a minimum usable length
+     * (a top-up request only needs one bar back).
+     */
+    function _finalize(series, req) {
+        const clean = series.bars.filter(d => d.close !== null && d.close !== undefined && !isNaN(d.close));
+        if (clean.length < (req.since ? 1 : 10)) {
+            throw new Error('Insufficient data points');
+        }
+        return { bars: clean, events: series.events };
+    }
+
+    // ── Normalization ──────────────────────────────────────────────────────────
+
+    /**
+     * Convert a Yahoo v8 chart payload to normalized bars.
+     * Throws if the payload carries no usable price data.
+     */
+    function parseYahooChart(json) {
+        if (!json.chart || !json.chart.result || json.chart.result.length === 0) {
+            throw new Error('No data in response');
+        }
+
+        const result = json.chart.result[0];
+        if (!result.timestamp || !result.indicators || !result.indicators.quote) {
+            throw new Error('Missing price data');
+        }
+
+        const quotes = result.indicators.quote[0];
+        return result.timestamp.map((timestamp, index) => ({
+            date:   new Date(timestamp * 1000),
+            open:   quotes.open[index],
+            high:   quotes.high[index],
+            low:    quotes.low[index],
+            close:  quotes.close[index],
+            volume: quotes.volume[index]
+        }));
+    }
+
+    /** Accepts Date, epoch seconds, epoch milliseconds or a date string. */
+    function _toDate(value) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'number') {
+            return new Date(value < 1e11 ? value * 1000 : value);
+        }
+        return new Date(value);
+    }
+
+    function _num(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        return isNaN(n) ? null : n;
+    }
+
+    /**
+     * Normalize any supported payload to bars:
+     *   - Yahoo chart JSON           { chart: { result: [...] } }
+     *   - App / VAE JSON export      { data: [{ date, open, ... }] }
+     *   - Bare bar array             [{ date|time|timestamp, open, ... }]
+     * Field names are matched case-insensitively.
+     */
+    function normalizeBars(json) {
+        if (json && json.chart) return parseYahooChart(json);
+
+        const rows = Array.isArray(json) ? json : (json && Array.isArray(json.data) ? json.data : null);
+        if (!rows) throw new Error('Unrecognized data format');
+
+        return rows.map(row => {
+            const r = {};
+            Object.keys(row).forEach(k => { r[k.toLowerCase()] = row[k]; });
+            const when = r.date !== undefined ? r.date : (r.time !== undefined ? r.time : r.timestamp);
+            return {
+                date:   _toDate(when),
+                open:   _num(r.open),
+                high:   _num(r.high),
+                low:    _num(r.low),
+                close:  _num(r.close),
+                volume: _num(r.volume)
+            };
+        }).filter(d => !isNaN(d.date.getTime()));
+    }
+
+    /**
+     * Normalize a payload to { bars, events }. Yahoo payloads carry their own
+     * split/dividend events; other formats may add an `events` object of the
+     * shape CorporateActions.normalizeEvents() accepts.
+     */
+    function normalizeSeries(json) {
+        const events = json && json.chart
+            ? window.CorporateActions.parseYahooEvents(json.chart.result && json.chart.result[0])
+            : window.CorporateActions.normalizeEvents(json && json.events);
+        return { bars: normalizeBars(json), events: events };
+    }
+
+    // ── Built-in adapters ──────────────────────────────────────────────────────
+
+    const yahooAdapter = {
+        id: 'yahoo',
+        label: 'Yahoo Finance',
+        defaults: {
+            // Different proxy configurations - some work better with/without encoding
+            proxies: [
+                { url: 'https://corsproxy.io/?', encode: true },
+                { url: 'https://api.allorigins.win/raw?url=', encode: true },
+                { url: 'https://corsproxy.io/?url=', encode: true },
+                { url: 'https://api.codetabs.com/v1/proxy?quest=', encode: true }
+            ],
+            hosts: ['query1.finance.yahoo.com', 'query2.finance.yahoo.com']
+        },
+
+        async fetchBars(req, settings) {
+            let attemptCount = 0;
+
+            for (const host of settings.hosts) {
+                const span = req.since
+                    ? '&period1=' + Math.floor(req.since.getTime() / 1000) + '&period2=' + Math.floor(Date.now() / 1000)
+                    : '&range=' + req.range;
+                const yahooUrl = 'https://' + host + '/v8/finance/chart/' + req.ticker +
+                    '?interval=' + req.interval + span + '&events=div%7Csplit';
+
+                for (const config of settings.proxies) {
+                    attemptCount++;
+                    try {
+                        const proxyUrl = config.encode
+                            ? config.url + encodeURIComponent(yahooUrl)
+                            : config.url + yahooUrl;
+
+                        console.log('Attempt ' + attemptCount + ': ' + config.url.substring(8, 30) + '... with ' + host);
+
+                        const series = _finalize(normalizeSeries(await _fetchJson(proxyUrl)), req);
+                        console.log('Success! Got ' + series.bars.length + ' data points');
+                        return series;
+                    } catch (error) {
+                        console.warn('Attempt ' + attemptCount + ' failed: ' + error.message);
+
+                        // Brief delay between attempts
+                        await new Promise(resolve => setTimeout(resolve, 300));
+                    }
+                }
+            }
+
+            throw new Error('Unable to fetch ' + req.ticker + ' data for ' + req.range + '/' + req.interval + '. The free CORS proxies may be overloaded. Try the intraday timeframes which seem to work better.');
+        }
+    };
+
+    const proxyAdapter = {
+        id: 'proxy',
+        label: 'Self-hosted Proxy',
+        defaults: {
+            urlTemplate: ''
+        },
+
+        async fetchBars(req, settings) {
+            if (!settings.urlTemplate) {
+                throw new Error('Self-hosted proxy URL is not configured. Use the ⚙ button next to the data source.');
+            }
+            const url = _expandTemplate(settings.urlTemplate, req);
+            try {
+                return _finalize(normalizeSeries(await _fetchJson(url)), req);
+            } catch (err) {
+                throw new Error('Proxy request for ' + req.ticker + ' failed: ' + err.message);
+            }
+        }
+    };
+
+    const staticAdapter = {
+        id: 'static',
+        label: 'Static JSON Files',
+        defaults: {
+            urlTemplate: './data/{ticker}_{range}_{interval}.json'
+        },
+
+        async fetchBars(req, settings) {
+            const url = _expandTemplate(settings.urlTemplate, req);
+            try {
+                return _finalize(normalizeSeries(await _fetchJson(url)), req);
+            } catch (err) {
+                throw new Error('No static data for ' + req.ticker + ' at ' + url + ' (' + err.message + ')');
+            }
+        }
+    };
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function register(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.fetchBars !== 'function') {
+            throw new Error('Provider adapters need an id and a fetchBars() method');
+        }
+        if (!_adapters[adapter.id]) _order.push(adapter.id);
+        _adapters[adapter.id] = adapter;
+    }
+
+    function get(id) {
+        return _adapters[id] || null;
+    }
+
+    function list() {
+        return _order.map(id => _adapters[id]);
+    }
+
+    function setActive(id) {
+        if (!_adapters[id]) throw new Error('Unknown data provider: ' + id);
+        _activeId = id;
+        _saveState();
+    }
+
+    function getSettings(id) {
+        const adapter = _adapters[id];
+        if (!adapter) return {};
+        return Object.assign({}, adapter.defaults || {}, _settings[id] || {});
+    }
+
+    function configure(id, settings) {
+        _settings[id] = Object.assign({}, _settings[id] || {}, settings);
+        _saveState();
+    }
+
+    /**
+     * Fetch normalized bars (and any split/dividend events) for a
+     * ticker/range/interval.
+     * @param {{ticker: string, range: string, interval: string, since?: Date}} req
+     * @param {string} [providerId]  — defaults to the active provider
+     * @returns {Promise<{bars: Array, events: {splits: Array, dividends: Array}}>}
+     */
+    async function fetchBars(req, providerId) {
+        const id      = providerId || _activeId;
+        const adapter = _adapters[id];
+        if (!adapter) throw new Error('Unknown data provider: ' + id);
+        return adapter.fetchBars(req, getSettings(id));
+    }
+
+    register(yahooAdapter);
+    register(proxyAdapter);
+    register(staticAdapter);
+    _loadState();
+    if (!_adapters[_activeId]) _activeId = 'yahoo';
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        get activeId() { return _activeId; },
+        register,
+        get,
+        list,
+        setActive,
+        getSettings,
+        configure,
+        fetchBars,
+        normalizeBars,
+        normalizeSeries,
+        parseYahooChart
+    };
+})();
@@ -0,0 +1,473 @@
+/**
+ * ruledsl.js — Declarative Custom Rules
+ *
+ * A small expression language for extra predictDirection() signals, one
+ * rule per line:
+ *
+ *   rsi < 25 and close > sma50 => +1.5 "Oversold in uptrend"
+ *   # comments and blank lines are ignored
+ *
+ * A rule whose condition holds adds its weight to the score and produces a
+ * reasons entry like the built-in indicators do. Exposes window.RuleDSL:
+ *
+ *   RuleDSL.compile(text)      — { rules, errors }; memoised by text
+ *   RuleDSL.evaluate(rules, indicators) — rules whose condition holds
+ *   RuleDSL.variables()        — [{ name, description }] usable in conditions
+ *   RuleDSL.defineVariable(name, getter, description) — add a variable
+ *
+ * Grammar (keywords are case-insensitive):
+ *   rule       := condition '=>' ['+'|'-'] number [string]
+ *   condition  := or
+ *   or         := and ('or' and)*
+ *   and        := not ('and' not)*
+ *   not        := 'not' not | comparison
+ *   comparison := sum [('<'|'<='|'>'|'>='|'=='|'!=') sum]
+ *   sum        := product (('+'|'-') product)*
+ *   product    := unary (('*'|'/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := number | variable | func '(' sum (',' sum)* ')' | '(' or ')'
+ *   func       := abs | min | max
+ *
+ * Conditions are type-checked: comparisons produce booleans, arithmetic
+ * needs numbers, and/or/not need booleans, and the whole condition must be
+ * boolean. Each line compiles on its own, so one bad line does not disable
+ * the others; errors carry { line, column, message }.
+ * A missing value (e.g. sma50 on a short series) is unknown rather than
+ * false: `rsi < 30 or adx > 25` still fires on a low RSI while ADX is
+ * missing, and a rule only fires when its condition is known to hold.
+ */
+window.RuleDSL = (function () {
+    'use strict';
+
+    const FUNCTIONS = {
+        abs: { arity: [1, 1], fn: Math.abs },
+        min: { arity: [2, Infinity], fn: Math.min },
+        max: { arity: [2, Infinity], fn: Math.max }
+    };
+
+    const KEYWORDS = ['and', 'or', 'not'];
+    const CACHE_SIZE = 50;
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    const _variables = {};
+    const _cache = new Map();
+
+    function defineVariable(name, getter, description) {
+        _variables[name.toLowerCase()] = { name: name, get: getter, description: description || '' };
+        _cache.clear();
+    }
+
+    function variables() {
+        return Object.keys(_variables).map(k => ({ name: _variables[k].name, description: _variables[k].description }));
+    }
+
+    [
+        ['close',      i => i.currentPrice,   'Last close'],
+        ['price',      i => i.currentPrice,   'Alias of close'],
+        ['sma20',      i => i.sma20,          '20-period simple moving average'],
+        ['sma50',      i => i.sma50,          '50-period simple moving average'],
+        ['rsi',        i => i.rsi,            'RSI (14)'],
+        ['macd',       i => i.macd,           'MACD line (12, 26)'],
+        ['macdSignal', i => i.macdSignal,     'MACD signal line (9)'],
+        ['macdHist',   i => i.macdHistogram,  'MACD histogram'],
+        ['bbUpper',    i => i.bbUpper,        'Upper Bollinger Band (20, 2)'],
+        ['bbMiddle',   i => i.bbMiddle,       'Middle Bollinger Band'],
+        ['bbLower',    i => i.bbLower,        'Lower Bollinger Band'],
+        ['volumeRatio', i => i.volumeRatio,   'Last volume ÷ 20-bar average'],
+        ['momentum',   i => i.momentum,       '5-bar price change (%)'],
+        ['stochK',     i => i.stochK,         'Stochastic %K (14)'],
+        ['stochD',     i => i.stochD,         'Stochastic %D (3-bar SMA of %K)'],
+        ['atr',        i => i.atr,            'Average True Range (14, Wilder)'],
+        ['adx',        i => i.adx,            'ADX (14)'],
+        ['plusDI',     i => i.plusDI,         '+DI (14)'],
+        ['minusDI',    i => i.minusDI,        '-DI (14)'],
+        ['vwap',       i => i.vwap,           'VWAP — per session intraday, 20-bar rolling otherwise'],
+        ['obv',        i => i.obv,            'On-balance volume'],
+        ['obvSma',     i => i.obvSma,         '20-bar average of OBV'],
+        ['tenkan',     i => i.ichimokuTenkan, 'Ichimoku conversion line (9)'],
+        ['kijun',      i => i.ichimokuKijun,  'Ichimoku base line (26)'],
+        ['spanA',      i => i.ichimokuSpanA,  'Ichimoku leading span A at this bar'],
+        ['spanB',      i => i.ichimokuSpanB,  'Ichimoku leading span B at this bar'],
+        ['fibHigh',    i => i.fibHigh,        'High of the 100-bar Fibonacci swing'],
+        ['fibLow',     i => i.fibLow,         'Low of the 100-bar Fibonacci swing']
+    ].forEach(v => defineVariable(v[0], v[1], v[2]));
+
+    // ── Errors ─────────────────────────────────────────────────────────────────
+
+    function RuleSyntaxError(message, column) {
+        this.message = message;
+        this.column = column;
+    }
+
+    function _distance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) d.push([i]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    function _suggest(name) {
+        let best = null;
+        let bestDistance = 3;
+        Object.keys(_variables).concat(Object.keys(FUNCTIONS)).forEach(k => {
+            const dist = _distance(name.toLowerCase(), k);
+            if (dist < bestDistance) {
+                bestDistance = dist;
+                best = _variables[k] ? _variables[k].name : k;
+            }
+        });
+        return best;
+    }
+
+    // ── Tokenizer ──────────────────────────────────────────────────────────────
+
+    function _tokenize(src) {
+        const tokens = [];
+        let i = 0;
+        while (i < src.length) {
+            const c = src[i];
+            if (/\s/.test(c)) { i++; continue; }
+
+            const start = i + 1;
+            if (/[0-9.]/.test(c)) {
+                const m = /^(\d+\.?\d*|\.\d+)/.exec(src.slice(i));
+                if (!m) throw new RuleSyntaxError('Invalid number', start);
+                tokens.push({ type: 'number', value: parseFloat(m[0]), col: start });
+                i += m[0].length;
+            } else if (/[A-Za-z_]/.test(c)) {
+                const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+                const lower = m[0].toLowerCase();
+                tokens.push(KEYWORDS.indexOf(lower) !== -1
+                    ? { type: lower, col: start }
+                    : { type: 'ident', value: m[0], col: start });
+                i += m[0].length;
+            } else if (c === '"' || c === "'") {
+                const end = src.indexOf(c, i + 1);
+                if (end === -1) throw new RuleSyntaxError('Unterminated string — close it with ' + c, start);
+                tokens.push({ type: 'string', value: src.slice(i + 1, end), col: start });
+                i = end + 1;
+            } else {
+                const two = src.substr(i, 2);
+                if (['=>', '<=', '>=', '==', '!='].indexOf(two) !== -1) {
+                    tokens.push({ type: two, col: start });
+                    i += 2;
+                } else if ('<>+-*/(),'.indexOf(c) !== -1) {
+                    tokens.push({ type: c, col: start });
+                    i++;
+                } else if (c === '=') {
+                    throw new RuleSyntaxError('Use == to compare, or => before the weight', start);
+                } else if (c === '&' || c === '|') {
+                    throw new RuleSyntaxError('Use "and" / "or" instead of ' + c + c, start);
+                } else {
+                    throw new RuleSyntaxError('Unexpected character "' + c + '"', start);
+                }
+            }
+        }
+        tokens.push({ type: 'end', col: src.length + 1 });
+        return tokens;
+    }
+
+    // ── Parser ─────────────────────────────────────────────────────────────────
+    // Nodes: { kind: 'num'|'var'|'call'|'neg'|'not'|'bin', type: 'number'|'boolean', ... }
+
+    function _describe(token) {
+        if (token.type === 'end') return 'end of line';
+        if (token.type === 'ident' || token.type === 'number') return '"' + token.value + '"';
+        if (token.type === 'string') return 'a string';
+        return '"' + token.type + '"';
+    }
+
+    function _parseRule(src) {
+        const tokens = _tokenize(src);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = (type, hint) => {
+            const t = next();
+            if (t.type !== type) throw new RuleSyntaxError(hint || ('Expected "' + type + '" but found ' + _describe(t)), t.col);
+            return t;
+        };
+        const need = (node, type, what, col) => {
+            if (node.type !== type) {
+                throw new RuleSyntaxError(what + ' needs ' + (type === 'boolean' ? 'a comparison such as rsi < 30' : 'a number') +
+                    ', got ' + (node.type === 'boolean' ? 'a comparison' : 'a number'), col);
+            }
+        };
+
+        function or() {
+            let left = and();
+            while (peek().type === 'or') {
+                const t = next();
+                const right = and();
+                need(left, 'boolean', '"or"', t.col);
+                need(right, 'boolean', '"or"', t.col);
+                left = { kind: 'bin', op: 'or', left: left, right: right, type: 'boolean' };
+            }
+            return left;
+        }
+
+        function and() {
+            let left = not();
+            while (peek().type === 'and') {
+                const t = next();
+                const right = not();
+                need(left, 'boolean', '"and"', t.col);
+                need(right, 'boolean', '"and"', t.col);
+                left = { kind: 'bin', op: 'and', left: left, right: right, type: 'boolean' };
+            }
+            return left;
+        }
+
+        function not() {
+            if (peek().type === 'not') {
+                const t = next();
+                const operand = not();
+                need(operand, 'boolean', '"not"', t.col);
+                return { kind: 'not', operand: operand, type: 'boolean' };
+            }
+            return comparison();
+        }
+
+        function comparison() {
+            const left = sum();
+            const op = peek().type;
+            if (['<', '<=', '>', '>=', '==', '!='].indexOf(op) === -1) return left;
+            const t = next();
+            const right = sum();
+            need(left, 'number', '"' + op + '"', t.col);
+            need(right, 'number', '"' + op + '"', t.col);
+            if (['<', '<=', '>', '>=', '==', '!='].indexOf(peek().type) !== -1) {
+                throw new RuleSyntaxError('Comparisons cannot be chained — join them with "and"', peek().col);
+            }
+            return { kind: 'bin', op: op, left: left, right: right, type: 'boolean' };
+        }
+
+        function sum() {
+            let left = product();
+            while (peek().type === '+' || peek().type === '-') {
+                const t = next();
+                const right = product();
+                need(left, 'number', '"' + t.type + '"', t.col);
+                need(right, 'number', '"' + t.type + '"', t.col);
+                left = { kind: 'bin', op: t.type, left: left, right: right, type: 'number' };
+            }
+            return left;
+        }
+
+        function product() {
+            let left = unary();
+            while (peek().type === '*' || peek().type === '/') {
+                const t = next();
+                const right = unary();
+                need(left, 'number', '"' + t.type + '"', t.col);
+                need(right, 'number', '"' + t.type + '"', t.col);
+                left = { kind: 'bin', op: t.type, left: left, right: right, type: 'number' };
+            }
+            return left;
+        }
+
+        function unary() {
+            if (peek().type === '-') {
+                const t = next();
+                const operand = unary();
+                need(operand, 'number', 'Minus sign', t.col);
+                return { kind: 'neg', operand: operand, type: 'number' };
+            }
+            return primary();
+        }
+
+        function primary() {
+            const t = next();
+            if (t.type === 'number') return { kind: 'num', value: t.value, type: 'number' };
+            if (t.type === '(') {
+                const inner = or();
+                expect(')', 'Missing closing parenthesis');
+                return inner;
+            }
+            if (t.type === 'ident') {
+                const lower = t.value.toLowerCase();
+                if (peek().type === '(') {
+                    const func = FUNCTIONS[lower];
+                    if (!func) {
+                        const hint = _suggest(t.value);
+                        throw new RuleSyntaxError('Unknown function "' + t.value + '"' + (hint ? ' — did you mean "' + hint + '"?' : ' (available: abs, min, max)'), t.col);
+                    }
+                    next();
+                    const args = [sum()];
+                    while (peek().type === ',') {
+                        next();
+                        args.push(sum());
+                    }
+                    expect(')', 'Missing ")" after the arguments of ' + lower + '()');
+                    args.forEach(arg => need(arg, 'number', lower + '()', t.col));
+                    if (args.length < func.arity[0] || args.length > func.arity[1]) {
+                        throw new RuleSyntaxError(lower + '() takes ' + (func.arity[1] === func.arity[0] ? func.arity[0] : 'at least ' + func.arity[0]) + ' argument(s)', t.col);
+                    }
+                    return { kind: 'call', fn: func.fn, args: args, type: 'number' };
+                }
+                if (!_variables[lower]) {
+                    const hint = _suggest(t.value);
+                    throw new RuleSyntaxError('Unknown variable "' + t.value + '"' + (hint ? ' — did you mean "' + hint + '"?' : ''), t.col);
+                }
+                return { kind: 'var', get: _variables[lower].get, type: 'number' };
+            }
+            if (t.type === '=>') throw new RuleSyntaxError('Missing condition before "=>"', t.col);
+            throw new RuleSyntaxError('Expected a number, variable or "(" but found ' + _describe(t), t.col);
+        }
+
+        if (peek().type === 'end') throw new RuleSyntaxError('Empty rule', 1);
+        const condition = or();
+        if (condition.type !== 'boolean') {
+            throw new RuleSyntaxError('The condition must be a comparison such as rsi < 30', 1);
+        }
+
+        const arrow = next();
+        if (arrow.type !== '=>') {
+            throw new RuleSyntaxError(arrow.type === 'end'
+                ? 'Missing "=> weight" at the end of the rule'
+                : 'Expected "=>" but found ' + _describe(arrow), arrow.col);
+        }
+
+        let sign = 1;
+        if (peek().type === '+' || peek().type === '-') sign = next().type === '-' ? -1 : 1;
+        const weightToken = next();
+        if (weightToken.type !== 'number') {
+            throw new RuleSyntaxError('The weight after "=>" must be a number such as +1.5 or -2', weightToken.col);
+        }
+
+        let label = null;
+        if (peek().type === 'string') label = next().value;
+        if (peek().type !== 'end') {
+            throw new RuleSyntaxError('Unexpected ' + _describe(peek()) + ' after the weight' + (label === null ? ' — labels go in quotes' : ''), peek().col);
+        }
+
+        return {
+            condition: condition,
+            conditionText: src.slice(0, arrow.col - 1).trim(),
+            weight: sign * weightToken.value,
+            label: label
+        };
+    }
+
+    // ── Evaluation ─────────────────────────────────────────────────────────────
+
+    function _isMissing(v) {
+        return v === null || v === undefined || (typeof v === 'number' && isNaN(v));
+    }
+
+    // Three-valued: a missing value makes the numbers and comparisons that use
+    // it unknown (null), and and/or/not follow Kleene logic, so
+    // `unknown or true` is true and `unknown and false` is false
+    function _eval(node, ind) {
+        if (node.kind === 'num') return node.value;
+        if (node.kind === 'var') {
+            const v = node.get(ind);
+            return _isMissing(v) ? null : v;
+        }
+        if (node.kind === 'not') {
+            const v = _eval(node.operand, ind);
+            return v === null ? null : !v;
+        }
+        if (node.op === 'and') {
+            const l = _eval(node.left, ind);
+            if (l === false) return false;
+            const r = _eval(node.right, ind);
+            if (r === false) return false;
+            return l === null || r === null ? null : true;
+        }
+        if (node.op === 'or') {
+            const l = _eval(node.left, ind);
+            if (l === true) return true;
+            const r = _eval(node.right, ind);
+            if (r === true) return true;
+            return l === null || r === null ? null : false;
+        }
+
+        const operands = node.kind === 'neg' ? [node.operand]
+            : node.kind === 'call' ? node.args
+            : [node.left, node.right];
+        const values = operands.map(o => _eval(o, ind));
+        if (values.some(v => v === null)) return null;
+
+        if (node.kind === 'neg') return -values[0];
+        if (node.kind === 'call') return node.fn.apply(null, values);
+        const l = values[0];
+        const r = values[1];
+        switch (node.op) {
+            case '+':  return l + r;
+            case '-':  return l - r;
+            case '*':  return l * r;
+            case '/':  return l / r;
+            case '<':  return l < r;
+            case '<=': return l <= r;
+            case '>':  return l > r;
+            case '>=': return l >= r;
+            case '==': return l === r;
+            case '!=': return l !== r;
+        }
+        return false;
+    }
+
+    /** Drop a trailing # comment, leaving # inside quoted labels alone. */
+    function _stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '#') {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function compile(text) {
+        text = text || '';
+        if (_cache.has(text)) return _cache.get(text);
+
+        const rules = [];
+        const errors = [];
+        text.split('\n').forEach((raw, index) => {
+            const source = _stripComment(raw).trim();
+            if (!source) return;
+            const offset = raw.indexOf(source);
+            try {
+                const rule = _parseRule(source);
+                rule.line = index + 1;
+                rule.source = source;
+                rules.push(rule);
+            } catch (err) {
+                if (!(err instanceof RuleSyntaxError)) throw err;
+                errors.push({ line: index + 1, column: err.column + offset, message: err.message });
+            }
+        });
+
+        const result = { rules: rules, errors: errors };
+        if (_cache.size >= CACHE_SIZE) _cache.clear();
+        _cache.set(text, result);
+        return result;
+    }
+
+    /** Rules whose condition holds for `indicators`. */
+    function evaluate(rules, indicators) {
+        return rules.filter(rule => _eval(rule.condition, indicators) === true);
+    }
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        compile,
+        evaluate,
+        variables,
+        defineVariable
+    };
+})();
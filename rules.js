@@ -0,0 +1,210 @@
+/**
+ * rules.js — Trading Rule Profiles
+ *
+ * Named rule sets for predictDirection() (enabled flags, weights,
+ * thresholds and the custom confirmation checks). Built-in profiles are
+ * read-only; user profiles are persisted to localStorage. Exposes
+ * window.RuleProfiles:
+ *
+ *   RuleProfiles.DEFAULT_NAME          — profile used for new tabs
+ *   RuleProfiles.list()                — profile names, built-ins first
+ *   RuleProfiles.get(name)             — deep copy of a profile (Default if unknown)
+ *   RuleProfiles.save(name, rules)     — store a user profile; false for built-in names or quota errors
+ *   RuleProfiles.remove(name)          — delete a user profile
+ *   RuleProfiles.isBuiltin(name)
+ *   RuleProfiles.normalize(rules)      — fill missing keys from Default (older saves, hand edits)
+ *   RuleProfiles.equal(a, b)           — whether two rule sets are identical
+ *   RuleProfiles.FIELDS                — editor metadata: [{ group, key, label, type?, min, max, step }]
+ *
+ * Rule shape (see predictDirection in analysis.js):
+ *   { enabled: {...}, weights: {...}, thresholds: {...}, custom: {...},
+ *     customRules: '' }   — rule DSL text, see ruledsl.js
+ */
+window.RuleProfiles = (function () {
+    'use strict';
+
+    const STORAGE_KEY  = 'ruleProfiles';
+    const DEFAULT_NAME = 'Default';
+
+    const DEFAULT_RULES = {
+        enabled: {
+            movingAverages: true, rsi: true, macd: true,
+            bollingerBands: true, volume: true, momentum: true,
+            // Optional signals, off unless a profile turns them on
+            stochastic: false, atr: false, adx: false,
+            vwap: false, obv: false, ichimoku: false, fibonacci: false
+        },
+        weights: {
+            movingAverages: 2.0, rsi: 1.5, macd: 1.5,
+            bollingerBands: 1.0, volume: 0.5, momentum: 1.0,
+            stochastic: 1.0, atr: 0.5, adx: 1.0,
+            vwap: 0.5, obv: 0.5, ichimoku: 1.5, fibonacci: 0.5
+        },
+        thresholds: {
+            rsiOversold: 30, rsiOverbought: 70, rsiNeutral: 50,
+            volumeHigh: 1.5, volumeLow: 0.7, momentumStrong: 2,
+            bbLowerZone: 0.2, bbUpperZone: 0.8,
+            stochOversold: 20, stochOverbought: 80, atrBreakout: 1.5,
+            adxTrend: 25, fibProximity: 1,
+            scoreCutoff: 3
+        },
+        custom: {
+            minimumVolumeRequired: true, minimumVolumeThreshold: 0.5,
+            requireMultipleConfirmations: true, confirmationsNeeded: 3
+        },
+        customRules: ''
+    };
+
+    // Built-ins are expressed as overrides of DEFAULT_RULES
+    const BUILTIN = {
+        'Default': {},
+        'Conservative': {
+            weights:    { momentum: 0.5 },
+            thresholds: { rsiOversold: 25, rsiOverbought: 75, volumeHigh: 1.8 },
+            custom:     { minimumVolumeThreshold: 0.7, confirmationsNeeded: 4 }
+        },
+        'Momentum': {
+            enabled:    { bollingerBands: false },
+            weights:    { movingAverages: 1.5, rsi: 0.5, macd: 2.0, volume: 1.0, momentum: 2.0 },
+            thresholds: { momentumStrong: 1.5, volumeHigh: 1.3 },
+            custom:     { confirmationsNeeded: 2 }
+        }
+    };
+
+    const INDICATORS = [
+        ['movingAverages', 'Moving Averages'],
+        ['rsi',            'RSI'],
+        ['macd',           'MACD'],
+        ['bollingerBands', 'Bollinger Bands'],
+        ['volume',         'Volume'],
+        ['momentum',       'Momentum'],
+        ['stochastic',     'Stochastic'],
+        ['atr',            'ATR'],
+        ['adx',            'ADX'],
+        ['vwap',           'VWAP'],
+        ['obv',            'OBV'],
+        ['ichimoku',       'Ichimoku'],
+        ['fibonacci',      'Fibonacci']
+    ];
+
+    const FIELDS = [].concat(
+        INDICATORS.map(i => ({ group: 'enabled', key: i[0], label: i[1], type: 'checkbox' })),
+        INDICATORS.map(i => ({ group: 'weights', key: i[0], label: i[1], min: 0, max: 10, step: 0.25 })),
+        [
+            { group: 'thresholds', key: 'rsiOversold',    label: 'RSI oversold',           min: 0,   max: 50,  step: 1 },
+            { group: 'thresholds', key: 'rsiOverbought',  label: 'RSI overbought',         min: 50,  max: 100, step: 1 },
+            { group: 'thresholds', key: 'rsiNeutral',     label: 'RSI neutral line',       min: 0,   max: 100, step: 1 },
+            { group: 'thresholds', key: 'volumeHigh',     label: 'High volume (× avg)',    min: 0,   max: 10,  step: 0.1 },
+            { group: 'thresholds', key: 'volumeLow',      label: 'Low volume (× avg)',     min: 0,   max: 10,  step: 0.1 },
+            { group: 'thresholds', key: 'momentumStrong', label: 'Strong momentum (%)',    min: 0,   max: 50,  step: 0.5 },
+            { group: 'thresholds', key: 'bbLowerZone',    label: 'BB lower zone',          min: 0,   max: 0.5, step: 0.05 },
+            { group: 'thresholds', key: 'bbUpperZone',    label: 'BB upper zone',          min: 0.5, max: 1,   step: 0.05 },
+            { group: 'thresholds', key: 'stochOversold',  label: 'Stochastic oversold',    min: 0,   max: 50,  step: 1 },
+            { group: 'thresholds', key: 'stochOverbought', label: 'Stochastic overbought', min: 50,  max: 100, step: 1 },
+            { group: 'thresholds', key: 'atrBreakout',    label: 'ATR breakout (× ATR)',   min: 0,   max: 5,   step: 0.1 },
+            { group: 'thresholds', key: 'adxTrend',       label: 'ADX trend strength',     min: 0,   max: 60,  step: 1 },
+            { group: 'thresholds', key: 'fibProximity',   label: 'Fibonacci proximity (%)', min: 0,  max: 5,   step: 0.1 },
+            { group: 'thresholds', key: 'scoreCutoff',    label: 'Score for BULLISH/BEARISH', min: 0.5, max: 10, step: 0.25 },
+            { group: 'custom', key: 'minimumVolumeRequired',        label: 'Halve score on low volume', type: 'checkbox' },
+            { group: 'custom', key: 'minimumVolumeThreshold',       label: 'Low volume cut-off (× avg)', min: 0, max: 5, step: 0.1 },
+            { group: 'custom', key: 'requireMultipleConfirmations', label: 'Require confirmations',     type: 'checkbox' },
+            { group: 'custom', key: 'confirmationsNeeded',          label: 'Confirmations needed',      min: 1, max: 6, step: 1 }
+        ]
+    );
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    let _user = {};
+
+    // ── Helpers ────────────────────────────────────────────────────────────────
+
+    function _clone(rules) {
+        return JSON.parse(JSON.stringify(rules));
+    }
+
+    function _overlay(base, overrides) {
+        const result = _clone(base);
+        Object.keys(overrides || {}).forEach(group => {
+            if (typeof result[group] === 'string' && typeof overrides[group] === 'string') {
+                result[group] = overrides[group];
+            } else if (result[group] && typeof overrides[group] === 'object') {
+                Object.keys(overrides[group]).forEach(key => {
+                    if (key in result[group]) result[group][key] = overrides[group][key];
+                });
+            }
+        });
+        return result;
+    }
+
+    function normalize(rules) {
+        return _overlay(DEFAULT_RULES, rules);
+    }
+
+    function equal(a, b) {
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    // ── Persistence ────────────────────────────────────────────────────────────
+
+    function _load() {
+        if (typeof localStorage === 'undefined') return;   // Web Workers (optimizer) use built-ins only
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            if (saved && typeof saved === 'object') _user = saved;
+        } catch (err) {
+            console.warn('[RuleProfiles] Could not read saved profiles:', err.message);
+        }
+    }
+
+    function _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(_user));
+            return true;
+        } catch (err) {
+            console.warn('[RuleProfiles] Could not persist profiles:', err.message);
+            return false;
+        }
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function isBuiltin(name) {
+        return Object.prototype.hasOwnProperty.call(BUILTIN, name);
+    }
+
+    function list() {
+        return Object.keys(BUILTIN).concat(Object.keys(_user).sort((a, b) => a.localeCompare(b)));
+    }
+
+    function get(name) {
+        if (isBuiltin(name)) return _overlay(DEFAULT_RULES, BUILTIN[name]);
+        if (_user[name]) return normalize(_user[name]);
+        return _clone(DEFAULT_RULES);
+    }
+
+    function save(name, rules) {
+        if (!name || isBuiltin(name)) return false;
+        _user[name] = normalize(rules);
+        return _save();
+    }
+
+    function remove(name) {
+        if (isBuiltin(name)) return;
+        delete _user[name];
+        _save();
+    }
+
+    _load();
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        DEFAULT_NAME,
+        FIELDS,
+        list,
+        get,
+        save,
+        remove,
+        isBuiltin,
+        normalize,
+        equal
+    };
+})();
@@ -1,21 +1,57 @@
 /**
  * vae.js — VAE Anomaly Detection Module
  *
- * Loads a TensorFlow.js VAE encoder model from /vae/tfjs_encoder/model.json
- * plus /vae/scaler_params.json and /vae/vae_config.json, then exposes
- * window.VAE with four methods:
+ * Keeps a registry of TensorFlow.js VAE models keyed by ticker/interval and
+ * exposes window.VAE:
  *
- *   VAE.load()                      — loads model and configs, sets VAE.ready
- *   VAE.buildWindows(rawData, 20)   — returns 3-D sliding window array (N,20,7)
- *   VAE.calibrate(allWindows)       — sets 95th-pct threshold, returns stats
- *   VAE.score(window20x7)           — scores the most recent window
+ *   VAE.load()                      — loads and validates the default model, reads the
+ *                                     bundled-model manifest, sets VAE.ready and VAE.status
+ *   VAE.status                      — { state: 'loading' | 'loaded' | 'missing' | 'incompatible',
+ *                                       reason, model } for the default model
+ *   VAE.resolve(ticker, interval)   — model info for a ticker/interval: the newest trained
+ *                                     version, else a bundled model, else the default;
+ *                                     null when there is none
+ *   VAE.buildWindows(rawData, 20, features) — returns 3-D sliding window array (N,20,F)
+ *   VAE.calibrate(allWindows, onProgress, key) — error of every window and their 95th
+ *                                     percentile (the threshold); key from resolve(),
+ *                                     default model when omitted
+ *   VAE.score(window, threshold, key) — scores one window against a calibrated threshold
+ *   VAE.attribute(window, key)      — the window's error per feature and per day
+ *   VAE.train(rawData, opts, onProgress) — trains (or fine-tunes) a VAE on rawData and
+ *                                     stores it as the next version for opts.ticker/interval
+ *   VAE.TRAIN_DEFAULTS              — epochs, batch size, network size and rates for train()
+ *   VAE.FEATURES                    — registry of named feature functions (see below)
+ *   VAE.DEFAULT_FEATURES            — the bundled model's seven features, in column order
  *
- * Feature order (matches Python notebook exactly):
+ * Model info: { key, source: 'default' | 'bundled' | 'trained', ticker, interval,
+ *               version, windowSize, features, latentDim, trainedOn, trainedDate,
+ *               epochs, loss }
+ *
+ * Registry sources:
+ *   - default : /vae/tfjs_encoder/model.json + scaler_params.json + vae_config.json,
+ *               checked against each other: one scaler column per feature, a model
+ *               input of (batch, window_size, features) and reconstruction or
+ *               latent outputs
+ *   - bundled : optional /vae/models.json, [{ ticker, interval, path }], each path a
+ *               directory laid out like /vae/; loaded on first use
+ *   - trained : IndexedDB, see train()
+ * The module keeps no threshold: callers hold the one calibrate() returned, so
+ * calibrating one tab never changes how another tab is scored.
+ *
+ * Features: vae_config.json may list "features" — names from FEATURES, in
+ * column order — next to "window_size"; the scaler, the windows and the model
+ * input follow that list. Without it a model gets DEFAULT_FEATURES, the
+ * Python notebook's order:
  *   [RSI14, MACD, MACD_Hist, BB_Position, Vol_Ratio, Momentum, SMA_Ratio]
  *
+ * Indicator series come from indicators.js with FEATURE_CONVENTIONS below.
+ * Normally runs inside analytics-worker.js (see analytics.js), which calls
+ * load() on its first VAE job.
+ *
  * Assumptions / edge-case notes:
  *   - RSI14  : Wilder's smoothing (SMA seed then SMMA with α=1/14). Nulls for i<14.
- *   - MACD   : Standard EMA 12/26 (α=2/(n+1)), signal EMA 9. Nulls for i<~34.
+ *   - MACD   : EMA 12/26 (α=2/(n+1)) seeded with the first close, as pandas
+ *              ewm(adjust=False); signal EMA 9 over the MACD line.
  *   - MACD_Hist : macdLine − signalLine.
  *   - BB_Pos : (close−lower)/(upper−lower), period=20 stddev=2. Nulls for i<19.
  *   - Vol_Ratio : volume / SMA20(volume). Nulls for i<19.
@@ -23,225 +59,185 @@
  *   - SMA_Ratio : close/SMA50. Leading nulls (i<49) are filled with 1.0 (neutral)
  *                 rather than propagated, to avoid biasing the first windows.
  *   - All remaining nulls are forward-filled then backward-filled before windowing.
+ *   - Scaler params use sklearn's MinMaxScaler layout: min = data_min_,
+ *     scale = scale_ = 1 / (data_max_ − data_min_).
  *   - Model output auto-detected:
  *       [z_mean, z_log_var]  → KL divergence (encoder-only VAE)
  *       shape matches input  → MSE (full autoencoder)
  *       latent vector        → L2 norm
+ *   - Models trained here are stored as separate encoder and decoder
+ *     LayersModels (indexeddb://vae-<TICKER>-<interval>-v<N>-encoder / -decoder)
+ *     with the scaler and config in the encoder's user-defined metadata; the
+ *     newest MAX_VERSIONS per ticker/interval are kept. They score as full
+ *     autoencoders (x → z_mean → reconstruction, MSE).
  */
 window.VAE = (function () {
     'use strict';
 
-    // ── Module state ───────────────────────────────────────────────────────────
-    let _model       = null;
-    let _scalerParams = null;   // { min: float[], scale: float[] }  — length 7
-    let _vaeConfig   = null;
-    let _ready       = false;
-    let _threshold   = null;    // Last calibrated 95th-pct reconstruction error
-
-    // ── Indicator helpers ──────────────────────────────────────────────────────
-
-    /**
-     * Standard EMA: α = 2/(period+1), seeded with the first observed value
-     * (pandas ewm(span=period, adjust=False) behaviour).
-     * Null/NaN values in `data` are skipped; the last EMA is propagated.
-     */
-    function _ema(data, period) {
-        const alpha  = 2 / (period + 1);
-        const result = new Array(data.length).fill(null);
-        let ema = null;
-
-        for (let i = 0; i < data.length; i++) {
-            const v = data[i];
-            if (v === null || v === undefined || isNaN(v)) {
-                result[i] = ema;
-                continue;
-            }
-            ema = (ema === null) ? v : v * alpha + ema * (1 - alpha);
-            result[i] = ema;
-        }
-        return result;
-    }
-
-    /**
-     * Wilder's RSI (matches pandas_ta rsi(length=14)).
-     * α = 1/period — NOT the standard EMA 2/(n+1).
-     * First avgGain/avgLoss are seeded with SMA(period); subsequent values use
-     * Wilder's smoothed moving average: avg = (prev*(period-1) + current) / period.
-     */
-    function _rsiWilder(closes, period) {
-        const n      = closes.length;
-        const result = new Array(n).fill(null);
-        if (n < period + 1) return result;
-
-        const gains  = new Array(n - 1);
-        const losses = new Array(n - 1);
-        for (let i = 1; i < n; i++) {
-            const d     = closes[i] - closes[i - 1];
-            gains[i - 1]  = d > 0 ? d : 0;
-            losses[i - 1] = d < 0 ? -d : 0;
-        }
-
-        // Seed with SMA of first `period` values
-        let avgGain = 0, avgLoss = 0;
-        for (let i = 0; i < period; i++) {
-            avgGain += gains[i];
-            avgLoss += losses[i];
-        }
-        avgGain /= period;
-        avgLoss /= period;
-
-        const toRsi = (g, l) => l < 1e-10 ? 100 : 100 - 100 / (1 + g / l);
-        result[period] = toRsi(avgGain, avgLoss);
+    // Features of the bundled model, used when vae_config.json lists none
+    const DEFAULT_FEATURES = ['RSI14', 'MACD', 'MACD_Hist', 'BB_Position', 'Vol_Ratio', 'Momentum', 'SMA_Ratio'];
+    const WINDOW_SIZE  = 20;
+    const BASE_PATH    = './vae/';
+    const DEFAULT_KEY  = 'default';
+    const STORE        = 'indexeddb://';
+    const MAX_VERSIONS = 3;      // Trained versions kept per ticker/interval
 
-        for (let i = period; i < gains.length; i++) {
-            avgGain = (avgGain * (period - 1) + gains[i]) / period;
-            avgLoss = (avgLoss * (period - 1) + losses[i]) / period;
-            result[i + 1] = toRsi(avgGain, avgLoss);
-        }
-        return result;
-    }
+    // ── Module state ───────────────────────────────────────────────────────────
+    // A registry entry is { info, model, scaler, … }: model is the GraphModel
+    // encoder for bundled models (with inputName/outputNames from its
+    // signature) and a LayersModel autoencoder for trained ones (whose
+    // encoder/decoder are kept for fine-tuning); scaler is
+    // { min: float[], scale: float[] } — one value per feature.
+    const _registry = new Map();   // info.key → loaded entry
+    const _manifest = new Map();   // bundled key → { ticker, interval, path }, not yet loaded
+    let _status = { state: 'loading', reason: null, model: null };   // Of the default model
 
-    /**
-     * MACD 12 / 26 / 9 using standard EMA (2/(n+1)).
-     * Signal EMA is computed over only the non-null MACD values then
-     * re-aligned back to the original length.
-     */
-    function _computeMacd(closes) {
-        const ema12 = _ema(closes, 12);
-        const ema26 = _ema(closes, 26);
+    // ── Training defaults ──────────────────────────────────────────────────────
+    const TRAIN_DEFAULTS = {
+        epochs:       20,
+        windowSize:   WINDOW_SIZE,
+        features:     DEFAULT_FEATURES,
+        batchSize:    32,
+        latentDim:    8,
+        units:        32,     // LSTM units in the encoder and decoder
+        beta:         0.001,  // KL weight in the loss
+        learningRate: 0.001,
+        fineTuneRate: 0.0002,
+        minWindows:   100
+    };
 
-        const macdLine = closes.map((_, i) =>
-            (ema12[i] !== null && ema26[i] !== null) ? ema12[i] - ema26[i] : null
-        );
+    // ── Indicator conventions ──────────────────────────────────────────────────
+    // The series come from indicators.js (the same code the rule engine uses).
+    // These are the settings the model was trained with — pandas ewm(adjust=False)
+    // EMAs and pandas_ta's Wilder RSI — so they are pinned here rather than
+    // following Indicators.CONVENTIONS.
+    const FEATURE_CONVENTIONS = {
+        emaSeed:          'first',
+        rsiSmoothing:     'wilder',
+        momentumLookback: 10
+    };
 
-        // EMA(9) of non-null MACD values only
-        const macdNonNull      = macdLine.filter(v => v !== null);
-        const signalCompact    = _ema(macdNonNull, 9);
-        const firstNonNullIdx  = macdLine.findIndex(v => v !== null);
+    // ── Feature registry ───────────────────────────────────────────────────────
+    // Named feature functions a model can list in vae_config.json "features".
+    // compute(s) gets the shared series from _seriesFor() and returns one value
+    // per bar, null where the feature is not defined yet; fillLeading, when set,
+    // replaces those leading nulls before the general forward/backward fill.
+    const FEATURES = {
+        RSI14: {
+            describe: 'RSI(14), Wilder smoothing',
+            compute:  s => window.Indicators.rsi(s.closes, 14, FEATURE_CONVENTIONS.rsiSmoothing)
+        },
+        MACD: {
+            describe: 'MACD line, EMA 12 − EMA 26',
+            compute:  s => s.macd().macd
+        },
+        MACD_Hist: {
+            describe: 'MACD line − signal (EMA 9)',
+            compute:  s => s.macd().histogram
+        },
+        BB_Position: {
+            describe: 'Close inside the Bollinger Bands (20, 2): 0 = lower, 1 = upper',
+            compute:  s => {
+                const bb = window.Indicators.bollinger(s.closes, 20, 2);
+                return s.closes.map((c, i) => {
+                    if (bb.upper[i] === null || bb.lower[i] === null) return null;
+                    const rng = bb.upper[i] - bb.lower[i];
+                    return rng > 1e-10 ? (c - bb.lower[i]) / rng : 0.5;
+                });
+            }
+        },
+        Vol_Ratio: {
+            describe: 'Volume / 20-bar average volume',
+            compute:  s => _ratio(s.volumes, window.Indicators.sma(s.volumes, 20))
+        },
+        Momentum: {
+            describe: '10-bar price change (%)',
+            compute:  s => window.Indicators.momentum(s.closes, FEATURE_CONVENTIONS.momentumLookback)
+        },
+        SMA_Ratio: {
+            describe:    'Close / SMA50',
+            compute:     s => _ratio(s.closes, window.Indicators.sma(s.closes, 50)),
+            fillLeading: 1.0   // close == SMA50; neutral until 50 bars exist
+        },
 
-        const signalLine = new Array(closes.length).fill(null);
-        for (let k = 0; k < signalCompact.length; k++) {
-            signalLine[firstNonNullIdx + k] = signalCompact[k];
+        // Not used by the bundled model; available to new ones
+        SMA20_Ratio: {
+            describe:    'Close / SMA20',
+            compute:     s => _ratio(s.closes, window.Indicators.sma(s.closes, 20)),
+            fillLeading: 1.0
+        },
+        Return_1: {
+            describe: '1-bar price change (%)',
+            compute:  s => window.Indicators.momentum(s.closes, 1)
+        },
+        ATR_Pct: {
+            describe: 'ATR(14) as % of the close',
+            compute:  s => _ratio(window.Indicators.atr(s.highs, s.lows, s.closes, 14), s.closes).map(v => v === null ? null : v * 100)
+        },
+        Stoch_K: {
+            describe: 'Stochastic %K (14)',
+            compute:  s => window.Indicators.stochastic(s.highs, s.lows, s.closes, 14, 3).k
+        },
+        ADX14: {
+            describe: 'ADX(14) trend strength',
+            compute:  s => window.Indicators.adx(s.highs, s.lows, s.closes, 14).adx
         }
+    };
 
-        const histogram = closes.map((_, i) =>
-            (macdLine[i] !== null && signalLine[i] !== null)
-                ? macdLine[i] - signalLine[i]
-                : null
-        );
-
-        return { macdLine, signalLine, histogram };
-    }
-
-    /** Simple Moving Average (returns null for i < period−1). */
-    function _sma(data, period) {
-        const result = new Array(data.length).fill(null);
-        for (let i = period - 1; i < data.length; i++) {
-            let sum = 0;
-            for (let j = i - period + 1; j <= i; j++) sum += data[j];
-            result[i] = sum / period;
-        }
-        return result;
+    /** a[i] / b[i], null where either is missing or b[i] is not positive. */
+    function _ratio(a, b) {
+        return a.map((v, i) => v !== null && b[i] !== null && b[i] > 0 ? v / b[i] : null);
     }
 
-    /**
-     * Bollinger Bands: period=20, multiplier=2, population std-dev.
-     * Returns { upper, lower, middle }.
-     */
-    function _bollingerBands(closes, period, multiplier) {
-        const sma   = _sma(closes, period);
-        const upper = new Array(closes.length).fill(null);
-        const lower = new Array(closes.length).fill(null);
-
-        for (let i = period - 1; i < closes.length; i++) {
-            const slice    = closes.slice(i - period + 1, i + 1);
-            const mean     = sma[i];
-            const variance = slice.reduce((s, v) => s + (v - mean) ** 2, 0) / period;
-            const sd       = Math.sqrt(variance);
-            upper[i] = mean + multiplier * sd;
-            lower[i] = mean - multiplier * sd;
-        }
-        return { upper, lower, middle: sma };
+    /** Price and volume series of rawData, with the MACD (two features) computed once. */
+    function _seriesFor(rawData) {
+        const closes = rawData.map(d => d.close);
+        let macd = null;
+        return {
+            closes:  closes,
+            volumes: rawData.map(d => d.volume),
+            // Bars without a range (some imported files) fall back to the close
+            highs:   rawData.map(d => d.high != null ? d.high : d.close),
+            lows:    rawData.map(d => d.low != null ? d.low : d.close),
+            macd:    () => macd || (macd = window.Indicators.macd(closes, 12, 26, 9, FEATURE_CONVENTIONS.emaSeed))
+        };
     }
 
     // ── Feature matrix ─────────────────────────────────────────────────────────
 
     /**
-     * Compute the (N, 7) raw feature matrix from OHLCV data.
-     * Column order: RSI14, MACD, MACD_Hist, BB_Position, Vol_Ratio, Momentum, SMA_Ratio.
+     * Compute the (N, F) raw feature matrix from OHLCV data, one column per
+     * name in features (keys of FEATURES), in that order.
      * Many cells will be null for early rows; use _fillNulls() before windowing.
      */
-    function _computeFeatureMatrix(rawData) {
-        const closes  = rawData.map(d => d.close);
-        const volumes = rawData.map(d => d.volume);
-        const n       = closes.length;
-
-        const rsi14          = _rsiWilder(closes, 14);
-        const { macdLine, histogram } = _computeMacd(closes);
-        const bb             = _bollingerBands(closes, 20, 2);
-        const sma50          = _sma(closes, 50);
-        const volSma20       = _sma(volumes, 20);
-
-        const rows = [];
-        for (let i = 0; i < n; i++) {
-            // BB Position: (close − lower) / (upper − lower)
-            let bbPos = null;
-            if (bb.upper[i] !== null && bb.lower[i] !== null) {
-                const rng = bb.upper[i] - bb.lower[i];
-                bbPos = rng > 1e-10 ? (closes[i] - bb.lower[i]) / rng : 0.5;
-            }
-
-            // Volume ratio: volume / 20-day avg volume
-            let volRatio = null;
-            if (volSma20[i] !== null && volSma20[i] > 0) {
-                volRatio = volumes[i] / volSma20[i];
-            }
-
-            // 10-day momentum percentage change
-            let momentum = null;
-            if (i >= 10 && closes[i - 10] > 0) {
-                momentum = (closes[i] - closes[i - 10]) / closes[i - 10] * 100;
-            }
-
-            // SMA Ratio: close / SMA50
-            // Leading nulls (i < 49) will be filled with 1.0 (neutral) in _fillNulls().
-            let smaRatio = null;
-            if (sma50[i] !== null && sma50[i] > 0) {
-                smaRatio = closes[i] / sma50[i];
-            }
-
-            rows.push([
-                rsi14[i],        // 0  RSI14
-                macdLine[i],     // 1  MACD
-                histogram[i],    // 2  MACD_Hist
-                bbPos,           // 3  BB_Position
-                volRatio,        // 4  Vol_Ratio
-                momentum,        // 5  Momentum
-                smaRatio         // 6  SMA_Ratio
-            ]);
-        }
-        return rows;
+    function _computeFeatureMatrix(rawData, features) {
+        const unknown = features.filter(name => !FEATURES[name]);
+        if (unknown.length) throw new Error('Unknown VAE feature: ' + unknown.join(', '));
+        const series  = _seriesFor(rawData);
+        const columns = features.map(name => FEATURES[name].compute(series));
+        return rawData.map((bar, i) => columns.map(col => col[i]));
     }
 
     /**
-     * Fill nulls in the (N, 7) feature matrix:
-     *   1. SMA_Ratio leading nulls → 1.0  (close == SMA50; neutral assumption)
+     * Fill nulls in the (N, F) feature matrix:
+     *   1. Leading nulls of features with fillLeading → that value (e.g. SMA_Ratio → 1.0)
      *   2. Forward-fill each column
      *   3. Backward-fill any remaining leading nulls (copies first valid value leftward)
      */
-    function _fillNulls(features) {
-        const n     = features.length;
-        const numF  = 7;
-        const filled = features.map(row => [...row]);
+    function _fillNulls(matrix, features) {
+        const n      = matrix.length;
+        const filled = matrix.map(row => [...row]);
 
-        // SMA_Ratio (col 6): replace leading nulls with 1.0 before general fill
-        const SMA_COL = 6;
-        for (let i = 0; i < n; i++) {
-            if (filled[i][SMA_COL] !== null) break;
-            filled[i][SMA_COL] = 1.0;
-        }
+        features.forEach((name, f) => {
+            const lead = FEATURES[name].fillLeading;
+            if (lead === undefined) return;
+            for (let i = 0; i < n; i++) {
+                if (filled[i][f] !== null) break;
+                filled[i][f] = lead;
+            }
+        });
 
-        for (let f = 0; f < numF; f++) {
+        for (let f = 0; f < features.length; f++) {
             // Forward fill
             let last = null;
             for (let i = 0; i < n; i++) {
@@ -266,21 +262,51 @@ window.VAE = (function () {
     // ── Scaling ────────────────────────────────────────────────────────────────
 
     /**
-     * Apply per-feature MinMax scaling: scaled = (value − min[i]) / scale[i].
+     * Apply per-feature MinMax scaling: scaled = (value − min[i]) × scale[i].
      * Result is clipped to [0, 1]. NaN (from zero-scale edge case) maps to 0.
      */
-    function _scaleRow(row) {
-        const mins   = _scalerParams.min;
-        const scales = _scalerParams.scale;
+    function _scaleRow(row, scaler) {
+        const mins   = scaler.min;
+        const scales = scaler.scale;
         return row.map((v, i) => {
             if (scales[i] === 0) return 0;
-            const s = (v - mins[i]) / scales[i];
+            const s = (v - mins[i]) * scales[i];
             return Math.min(1, Math.max(0, isNaN(s) ? 0 : s));
         });
     }
 
+    /**
+     * Fit MinMax params on every row of every window, in the scaler_params.json
+     * layout. A constant feature gets scale 0 (scaled to 0 by _scaleRow).
+     */
+    function _fitScaler(windows, features) {
+        const min = new Array(features.length).fill(Infinity);
+        const max = new Array(features.length).fill(-Infinity);
+        for (const win of windows) {
+            for (const row of win) {
+                for (let f = 0; f < features.length; f++) {
+                    if (row[f] < min[f]) min[f] = row[f];
+                    if (row[f] > max[f]) max[f] = row[f];
+                }
+            }
+        }
+        return {
+            min:   min,
+            scale: min.map((lo, f) => max[f] - lo > 1e-12 ? 1 / (max[f] - lo) : 0),
+            feature_names: features.slice()
+        };
+    }
+
     // ── Reconstruction error ───────────────────────────────────────────────────
 
+    /** True when the model reconstructed its input (Format B below). */
+    function _isReconstruction(inputTensor, output) {
+        if (Array.isArray(output) && output.length >= 2) return false;
+        const outShape = (Array.isArray(output) ? output[0] : output).shape;
+        const inpShape = inputTensor.shape;
+        return outShape.length === 3 && outShape[1] === inpShape[1] && outShape[2] === inpShape[2];
+    }
+
     /**
      * Compute per-sample reconstruction errors for a batch.
      * Uses tensor.data() (async) for data extraction and pure JS for math,
@@ -290,12 +316,12 @@ window.VAE = (function () {
      * Supported output formats (auto-detected):
      *   Format A — [z_mean, z_log_var, ...]: first two tensors (batch, latent_dim)
      *              → per-sample normalised KL divergence
-     *   Format B — single tensor same shape as input (batch, 20, 7)
+     *   Format B — single tensor same shape as input (batch, window, F)
      *              → per-sample MSE
      *   Format C — single tensor (batch, latent_dim) different shape
      *              → per-sample L2 norm
      *
-     * @param {tf.Tensor} inputTensor  shape (batch, 20, 7)
+     * @param {tf.Tensor} inputTensor  shape (batch, window, F)
      * @param {tf.Tensor|tf.Tensor[]} output  model prediction
      * @param {number} batchSize
      * @returns {Promise<number[]>}
@@ -322,19 +348,15 @@ window.VAE = (function () {
 
         } else {
             const outTensor = Array.isArray(output) ? output[0] : output;
-            const inpShape  = inputTensor.shape;    // [batch, 20, 7]
+            const inpShape  = inputTensor.shape;    // [batch, window, F]
             const outShape  = outTensor.shape;
             const outFlat   = Array.from(await outTensor.data());
             const errors    = [];
 
-            if (
-                outShape.length === 3 &&
-                outShape[1] === inpShape[1] &&
-                outShape[2] === inpShape[2]
-            ) {
+            if (_isReconstruction(inputTensor, output)) {
                 // ── Format B: same shape as input → MSE (pure JS) ─────────────
                 const inpFlat = Array.from(await inputTensor.data());
-                const step    = inpShape[1] * inpShape[2]; // 20 * 7 = 140
+                const step    = inpShape[1] * inpShape[2]; // window_size × features
                 for (let b = 0; b < batchSize; b++) {
                     let mse = 0;
                     for (let j = 0; j < step; j++) {
@@ -359,11 +381,345 @@ window.VAE = (function () {
         }
     }
 
+    /**
+     * Run one batch through a registry entry's network. Bundled encoders are
+     * GraphModels; models trained by train() are LayersModel autoencoders.
+     */
+    function _infer(entry, inputTensor) {
+        if (entry.model instanceof tf.GraphModel) {
+            // Named input map + explicit output nodes required for LSTM graph models
+            return entry.model.executeAsync({ [entry.inputName]: inputTensor }, entry.outputNames);
+        }
+        return entry.model.predict(inputTensor);
+    }
+
+    // ── Validation ─────────────────────────────────────────────────────────────
+    // Load errors carry err.status: 'missing' (file absent, empty or not
+    // loadable) or 'incompatible' (present but not usable by this module).
+
+    function _fail(status, message) {
+        const err = new Error(message);
+        err.status = status;
+        return err;
+    }
+
+    function _shapeText(shape) {
+        return '[' + shape.map(d => d === null || d < 0 ? 'batch' : d).join(', ') + ']';
+    }
+
+    async function _readJSON(url, file) {
+        let res;
+        try {
+            res = await fetch(url);
+        } catch (err) {
+            throw _fail('missing', file + ' could not be fetched: ' + err.message);
+        }
+        if (!res.ok) throw _fail('missing', file + ' not found (' + res.status + ')');
+        const text = await res.text();
+        if (!text.trim()) throw _fail('missing', file + ' is empty');
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw _fail('incompatible', file + ' is not valid JSON');
+        }
+    }
+
+    function _featuresOf(config) {
+        return config.features || DEFAULT_FEATURES;
+    }
+
+    function _validateScaler(scaler, file, features) {
+        ['min', 'scale'].forEach(k => {
+            const values = scaler[k];
+            if (!Array.isArray(values) || values.length !== features.length) {
+                throw _fail('incompatible', file + ': "' + k + '" must hold ' + features.length + ' values, found ' +
+                    (Array.isArray(values) ? values.length : 'none'));
+            }
+            if (!values.every(v => typeof v === 'number' && isFinite(v))) {
+                throw _fail('incompatible', file + ': "' + k + '" has non-numeric values');
+            }
+        });
+        if (scaler.feature_names && scaler.feature_names.join(',') !== features.join(',')) {
+            throw _fail('incompatible', file + ': features ' + scaler.feature_names.join(', ') +
+                ' do not match ' + features.join(', '));
+        }
+    }
+
+    function _validateConfig(config, file) {
+        if (!Number.isInteger(config.window_size) || config.window_size < 2) {
+            throw _fail('incompatible', file + ': window_size must be a whole number of bars (2 or more)');
+        }
+        if (config.latent_dim !== undefined && !(Number.isInteger(config.latent_dim) && config.latent_dim > 0)) {
+            throw _fail('incompatible', file + ': latent_dim must be a positive whole number');
+        }
+        if (config.features !== undefined) {
+            if (!Array.isArray(config.features) || !config.features.length) {
+                throw _fail('incompatible', file + ': features must be a non-empty list of feature names');
+            }
+            const unknown = config.features.filter(name => !Object.prototype.hasOwnProperty.call(FEATURES, name));
+            if (unknown.length) {
+                throw _fail('incompatible', file + ': unknown feature ' + unknown.join(', ') +
+                    ' (known: ' + Object.keys(FEATURES).join(', ') + ')');
+            }
+            if (new Set(config.features).size !== config.features.length) {
+                throw _fail('incompatible', file + ': features are listed more than once');
+            }
+        }
+    }
+
+    /**
+     * The model must take (batch, window_size, feature count) and return either
+     * a reconstruction of that shape or latent vectors (batch, latent_dim).
+     * Unknown shapes (null) are not checked.
+     */
+    function _validateSignature(inputShape, outputShapes, config, file) {
+        const expected = [-1, config.window_size, _featuresOf(config).length];
+        if (inputShape && (inputShape.length !== 3 || inputShape[1] !== expected[1] || inputShape[2] !== expected[2])) {
+            throw _fail('incompatible', file + ' takes ' + _shapeText(inputShape) + ', vae_config.json needs ' + _shapeText(expected));
+        }
+        const known = outputShapes.filter(shape => shape);
+        const isReconstruction = known.length === 1 && known[0].length === 3 &&
+            known[0][1] === expected[1] && known[0][2] === expected[2];
+        if (isReconstruction) return;
+        const bad = known.find(shape => shape.length !== 2 || (config.latent_dim && shape[1] !== config.latent_dim));
+        if (bad) {
+            throw _fail('incompatible', file + ' returns ' + _shapeText(bad) + ', expected ' + _shapeText(expected) +
+                ' or ' + _shapeText([-1, config.latent_dim || 'latent']));
+        }
+    }
+
+    /**
+     * Input and output names (and shapes, when declared) of a GraphModel from
+     * the signature in its model.json. TF names a Keras model's outputs
+     * Identity, Identity_1, … in model order, so outputs are sorted by that
+     * suffix to keep [z_mean, z_log_var, …] first.
+     */
+    function _graphIO(artifacts, model, file) {
+        const suffix = name => {
+            const m = name.replace(/:\d+$/, '').match(/_(\d+)$/);
+            return m ? parseInt(m[1], 10) : 0;
+        };
+        const dims = info => info.tensorShape && info.tensorShape.dim
+            ? info.tensorShape.dim.map(d => parseInt(d.size, 10))
+            : null;
+
+        const signature = artifacts.signature;
+        if (!signature || !signature.inputs || !signature.outputs) {
+            return {
+                inputName:    model.inputNodes[0],
+                outputNames:  model.outputNodes.slice().sort((a, b) => suffix(a) - suffix(b)),
+                inputShape:   null,
+                outputShapes: []
+            };
+        }
+
+        const inputs = Object.keys(signature.inputs);
+        if (inputs.length !== 1) throw _fail('incompatible', file + ' has ' + inputs.length + ' inputs, expected 1');
+        const outputs = Object.keys(signature.outputs).sort((a, b) => suffix(a) - suffix(b));
+        if (!outputs.length) throw _fail('incompatible', file + ' has no outputs');
+
+        return {
+            inputName:    inputs[0],
+            outputNames:  outputs,
+            inputShape:   dims(signature.inputs[inputs[0]]),
+            outputShapes: outputs.map(name => dims(signature.outputs[name]))
+        };
+    }
+
+    // ── Registry ───────────────────────────────────────────────────────────────
+
+    function _info(key, source, ticker, interval, version, config) {
+        return {
+            key:         key,
+            source:      source,
+            ticker:      ticker,
+            interval:    interval,
+            version:     version,
+            windowSize:  config.window_size || WINDOW_SIZE,
+            features:    _featuresOf(config).slice(),
+            latentDim:   config.latent_dim || null,
+            trainedOn:   config.trained_on || [],
+            trainedDate: config.trained_date || null,
+            epochs:      config.epochs || null,
+            loss:        config.loss !== undefined ? config.loss : null
+        };
+    }
+
+    function _entry(key) {
+        const entry = _registry.get(key || DEFAULT_KEY);
+        if (!entry) throw new Error('VAE model ' + (key || DEFAULT_KEY) + ' is not loaded');
+        return entry;
+    }
+
+    /**
+     * Encoder GraphModel + scaler + config from a directory laid out like
+     * /vae/, validated against each other before use.
+     * @returns {Promise<{ model, scaler, config, inputName, outputNames }>}
+     */
+    async function _loadBundled(path) {
+        const modelFile = 'tfjs_encoder/model.json';
+        const [artifacts, scaler, config] = await Promise.all([
+            _readJSON(path + modelFile, modelFile),
+            _readJSON(path + 'scaler_params.json', 'scaler_params.json'),
+            _readJSON(path + 'vae_config.json', 'vae_config.json')
+        ]);
+        _validateConfig(config, 'vae_config.json');
+        _validateScaler(scaler, 'scaler_params.json', _featuresOf(config));
+
+        let model;
+        try {
+            model = await tf.loadGraphModel(path + modelFile);
+        } catch (e) {
+            throw _fail('missing', 'Model failed to load: ' + e.message);
+        }
+
+        const io = _graphIO(artifacts, model, modelFile);
+        _validateSignature(io.inputShape, io.outputShapes, config, modelFile);
+
+        return { model: model, scaler: scaler, config: config, inputName: io.inputName, outputNames: io.outputNames };
+    }
+
+    function _bundledKey(ticker, interval) {
+        return 'bundled-' + ticker + '-' + interval;
+    }
+
+    async function _loadManifestEntry(key) {
+        if (_registry.has(key)) return _registry.get(key);
+        const m = _manifest.get(key);
+        const loaded = await _loadBundled(m.path);
+        const entry = Object.assign({ info: _info(key, 'bundled', m.ticker, m.interval, null, loaded.config) }, loaded);
+        _registry.set(key, entry);
+        return entry;
+    }
+
+    // ── Trained models ─────────────────────────────────────────────────────────
+
+    /** Encoder: (windowSize, F) window → LSTM → [z_mean, z_log_var]. */
+    function _buildEncoder(o) {
+        const input   = tf.input({ shape: [o.windowSize, o.features.length], name: 'encoder_input' });
+        const hidden  = tf.layers.lstm({ units: o.units, name: 'encoder_lstm' }).apply(input);
+        const zMean   = tf.layers.dense({ units: o.latentDim, name: 'z_mean' }).apply(hidden);
+        const zLogVar = tf.layers.dense({ units: o.latentDim, name: 'z_log_var' }).apply(hidden);
+        return tf.model({ inputs: input, outputs: [zMean, zLogVar], name: 'encoder' });
+    }
+
+    /** Decoder: latent vector → repeated over windowSize steps → LSTM → (windowSize, F) in [0, 1]. */
+    function _buildDecoder(o) {
+        const input  = tf.input({ shape: [o.latentDim], name: 'decoder_input' });
+        const repeat = tf.layers.repeatVector({ n: o.windowSize }).apply(input);
+        const hidden = tf.layers.lstm({ units: o.units, returnSequences: true, name: 'decoder_lstm' }).apply(repeat);
+        const output = tf.layers.timeDistributed({
+            layer: tf.layers.dense({ units: o.features.length, activation: 'sigmoid' }),
+            name: 'decoder_output'
+        }).apply(hidden);
+        return tf.model({ inputs: input, outputs: output, name: 'decoder' });
+    }
+
+    /**
+     * Wrap a trained encoder/decoder pair as a registry entry. Scoring goes
+     * x → z_mean → reconstruction, so _computeBatchErrors takes the MSE path.
+     */
+    function _makeEntry(info, encoder, decoder, scaler) {
+        const recon = decoder.apply(encoder.outputs[0]);
+        return {
+            info:    info,
+            model:   tf.model({ inputs: encoder.inputs, outputs: recon }),
+            encoder: encoder,
+            decoder: decoder,
+            scaler:  scaler
+        };
+    }
+
+    /** Registry key and IndexedDB name stem of one trained version. */
+    function _trainedKey(ticker, interval, version) {
+        return 'vae-' + ticker + '-' + interval + '-v' + version;
+    }
+
+    /** Stored versions for ticker/interval, newest first ([] without IndexedDB). */
+    async function _trainedVersions(ticker, interval) {
+        let urls;
+        try {
+            urls = Object.keys(await tf.io.listModels());
+        } catch (err) {
+            return [];
+        }
+        const prefix = STORE + 'vae-' + ticker + '-' + interval + '-v';
+        return urls
+            .filter(u => u.startsWith(prefix) && u.endsWith('-encoder'))
+            .map(u => parseInt(u.slice(prefix.length), 10))
+            .filter(v => v > 0)
+            .sort((a, b) => b - a);
+    }
+
+    async function _loadTrained(ticker, interval, version) {
+        const key = _trainedKey(ticker, interval, version);
+        if (_registry.has(key)) return _registry.get(key);
+
+        const encoder = await tf.loadLayersModel(STORE + key + '-encoder');
+        const decoder = await tf.loadLayersModel(STORE + key + '-decoder');
+        const meta    = encoder.getUserDefinedMetadata() || {};
+        try {
+            _validateConfig(meta.config || {}, key + ' config');
+            _validateScaler(meta.scaler || {}, key + ' scaler', _featuresOf(meta.config));
+            _validateSignature(encoder.inputs[0].shape, [decoder.outputs[0].shape], meta.config, key);
+        } catch (err) {
+            encoder.dispose();
+            decoder.dispose();
+            throw err;
+        }
+        const entry   = _makeEntry(_info(key, 'trained', ticker, interval, version, meta.config), encoder, decoder, meta.scaler);
+        _registry.set(key, entry);
+        return entry;
+    }
+
+    /** Delete a trained version from IndexedDB; parts that were never saved are skipped. */
+    async function _removeStored(key) {
+        for (const part of ['-encoder', '-decoder']) {
+            try {
+                await tf.io.removeModel(STORE + key + part);
+            } catch (err) {
+                // Not in storage
+            }
+        }
+    }
+
+    /** Drop a trained version from the registry (and memory) without touching storage. */
+    function _unload(key) {
+        const entry = _registry.get(key);
+        if (!entry) return;
+        _registry.delete(key);
+        entry.encoder.dispose();
+        entry.decoder.dispose();
+    }
+
+    /**
+     * Unload loaded versions of ticker/interval other than `newest`. Training
+     * runs in its own worker, so a scoring worker only sees new versions (and
+     * pruned old ones) through storage.
+     */
+    function _unloadOlder(ticker, interval, newest) {
+        const prefix = _trainedKey(ticker, interval, '');
+        Array.from(_registry.keys()).forEach(key => {
+            if (key.startsWith(prefix) && _registry.get(key).info.version !== newest) _unload(key);
+        });
+    }
+
+    function _shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            const t = arr[i];
+            arr[i] = arr[j];
+            arr[j] = t;
+        }
+    }
+
     // ── Public API ─────────────────────────────────────────────────────────────
 
     /**
-     * Load the TF.js encoder model and JSON configs from /vae/.
-     * Fails silently if files are absent — check VAE.ready before using.
+     * Load the default encoder model and JSON configs from /vae/, and note the
+     * bundled models listed in /vae/models.json (if there is one).
+     * Never throws: VAE.status says whether the default model is loaded,
+     * missing or incompatible, and why.
      */
     async function load() {
         try {
@@ -373,40 +729,75 @@ window.VAE = (function () {
             await tf.setBackend('cpu');
             await tf.ready();
 
-            try {
-                _model = await tf.loadGraphModel('./vae/tfjs_encoder/model.json');
-            } catch (e) {
-                throw new Error('Model failed to load: ' + e.message);
-            }
+            const loaded = await _loadBundled(BASE_PATH);
+            const entry  = Object.assign({ info: _info(DEFAULT_KEY, 'default', null, null, null, loaded.config) }, loaded);
+            _registry.set(DEFAULT_KEY, entry);
+            _status = { state: 'loaded', reason: null, model: entry.info };
+            console.log('[VAE] Ready — config:', loaded.config);
+        } catch (err) {
+            _status = { state: err.status || 'missing', reason: err.message, model: null };
+            console.warn('[VAE] Load failed (' + _status.state + '):', err.message);
+        }
 
-            const [scalerRes, configRes] = await Promise.all([
-                fetch('./vae/scaler_params.json'),
-                fetch('./vae/vae_config.json')
-            ]);
-            if (!scalerRes.ok) throw new Error('scaler_params.json not found (' + scalerRes.status + ')');
-            if (!configRes.ok) throw new Error('vae_config.json not found (' + configRes.status + ')');
-
-            _scalerParams = await scalerRes.json();
-            _vaeConfig    = await configRes.json();
-            _ready = true;
-            console.log('[VAE] Ready — config:', _vaeConfig);
+        try {
+            const res = await fetch(BASE_PATH + 'models.json');
+            if (res.ok) {
+                (await res.json()).forEach(m => {
+                    const ticker = m.ticker.toUpperCase();
+                    _manifest.set(_bundledKey(ticker, m.interval), { ticker: ticker, interval: m.interval, path: m.path });
+                });
+            }
         } catch (err) {
-            console.warn('[VAE] Load failed (model files may not be present yet):', err.message);
-            _ready = false;
+            console.warn('[VAE] models.json could not be read:', err.message);
+        }
+    }
+
+    /**
+     * Pick the model for a ticker/interval: the newest trained version, then a
+     * bundled model, then the default. A model that fails to load is skipped.
+     *
+     * @param {string} [ticker]
+     * @param {string} [interval]
+     * @returns {Promise<object|null>}  model info (pass info.key to calibrate/score)
+     */
+    async function resolve(ticker, interval) {
+        if (ticker) {
+            ticker = ticker.toUpperCase();
+            const versions = await _trainedVersions(ticker, interval);
+            _unloadOlder(ticker, interval, versions[0]);
+            if (versions.length) {
+                try {
+                    return (await _loadTrained(ticker, interval, versions[0])).info;
+                } catch (err) {
+                    console.warn('[VAE] Trained model for ' + ticker + ' ' + interval + ' failed to load:', err.message);
+                }
+            }
+            const bundled = _bundledKey(ticker, interval);
+            if (_manifest.has(bundled)) {
+                try {
+                    return (await _loadManifestEntry(bundled)).info;
+                } catch (err) {
+                    console.warn('[VAE] Bundled model for ' + ticker + ' ' + interval + ' failed to load:', err.message);
+                }
+            }
         }
+        return _registry.has(DEFAULT_KEY) ? _registry.get(DEFAULT_KEY).info : null;
     }
 
     /**
-     * Build all sliding windows from raw OHLCV data.
+     * Build all sliding windows from raw OHLCV data. Pass a model's
+     * windowSize and features (from resolve()) to build its input.
      *
      * @param {Array<{date,open,high,low,close,volume}>} rawData  — tab.data
      * @param {number} [windowSize=20]
-     * @returns {Array}  shape (N − windowSize + 1, windowSize, 7) — unscaled feature rows
+     * @param {string[]} [features=DEFAULT_FEATURES]  — FEATURES keys, in column order
+     * @returns {Array}  shape (N − windowSize + 1, windowSize, F) — unscaled feature rows
      */
-    function buildWindows(rawData, windowSize) {
-        windowSize = windowSize || 20;
-        const features = _computeFeatureMatrix(rawData);
-        const filled   = _fillNulls(features);
+    function buildWindows(rawData, windowSize, features) {
+        windowSize = windowSize || WINDOW_SIZE;
+        features   = features || DEFAULT_FEATURES;
+        const matrix = _computeFeatureMatrix(rawData, features);
+        const filled = _fillNulls(matrix, features);
         const windows  = [];
         for (let i = windowSize - 1; i < filled.length; i++) {
             windows.push(filled.slice(i - windowSize + 1, i + 1));
@@ -415,16 +806,19 @@ window.VAE = (function () {
     }
 
     /**
-     * Calibrate the anomaly threshold for the current ticker.
+     * Calibrate the anomaly threshold for one ticker's history.
      *
-     * Runs all windows through the encoder, computes a reconstruction error for each,
-     * and stores the 95th-percentile value as _threshold.
+     * Runs all windows through the model, computes a reconstruction error for each,
+     * and returns the 95th-percentile value as the threshold. The errors are returned
+     * too, in window order (window k ends on bar k + windowSize − 1).
      *
-     * @param {Array} allWindows  — output of buildWindows()
-     * @returns {{ threshold: number, windowCount: number, isReliable: boolean }}
+     * @param {Array} allWindows  — output of buildWindows() with the model's windowSize
+     * @param {Function} [onProgress] — called with 0…1 after each batch
+     * @param {string} [key]      — model info key from resolve(); the default model if omitted
+     * @returns {{ threshold: number, windowCount: number, isReliable: boolean, errors: number[] }}
      */
-    async function calibrate(allWindows) {
-        if (!_ready || !_model) throw new Error('VAE not ready — call VAE.load() first');
+    async function calibrate(allWindows, onProgress, key) {
+        const entry = _entry(key);
 
         // Re-ensure CPU backend is active (may have changed since load())
         if (tf.getBackend() !== 'cpu') {
@@ -435,8 +829,7 @@ window.VAE = (function () {
 
         const windowCount = allWindows.length;
         if (windowCount === 0) {
-            _threshold = null;
-            return { threshold: null, windowCount: 0, isReliable: false };
+            return { threshold: null, windowCount: 0, isReliable: false, errors: [] };
         }
 
         const allErrors = [];
@@ -444,16 +837,12 @@ window.VAE = (function () {
 
         for (let start = 0; start < windowCount; start += batchSize) {
             const chunk  = allWindows.slice(start, Math.min(start + batchSize, windowCount));
-            const scaled = chunk.map(win => win.map(row => _scaleRow(row)));
+            const scaled = chunk.map(win => win.map(row => _scaleRow(row, entry.scaler)));
 
-            const inputTensor = tf.tensor3d(scaled);  // (chunkLen, 20, 7)
+            const inputTensor = tf.tensor3d(scaled);  // (chunkLen, window, F)
             let output;
             try {
-                // Named input map + explicit output nodes required for LSTM graph models
-                output = await _model.executeAsync(
-                    { 'encoder_input': inputTensor },
-                    ['Identity', 'Identity_1', 'Identity_2']
-                );
+                output = await _infer(entry, inputTensor);
                 const batchErrors = await _computeBatchErrors(inputTensor, output, chunk.length);
                 allErrors.push(...batchErrors);
             } finally {
@@ -463,7 +852,10 @@ window.VAE = (function () {
                 }
             }
 
-            // Yield to the browser every 8 batches (256 windows) to prevent UI freeze
+            if (onProgress) onProgress(Math.min(start + batchSize, windowCount) / windowCount);
+
+            // Yield every 8 batches (256 windows) so the page stays usable when
+            // this runs on the main thread (no worker)
             if ((start / batchSize) % 8 === 7) {
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
@@ -471,25 +863,27 @@ window.VAE = (function () {
 
         const sorted  = [...allErrors].sort((a, b) => a - b);
         const p95Idx  = Math.min(Math.floor(sorted.length * 0.95), sorted.length - 1);
-        _threshold    = sorted[p95Idx];
 
         return {
-            threshold:  _threshold,
+            threshold:  sorted[p95Idx],
             windowCount,
-            isReliable: windowCount >= 200
+            isReliable: windowCount >= 200,
+            errors:     allErrors
         };
     }
 
     /**
-     * Score the most recent 20-day window against the calibrated threshold.
-     * Must be called after calibrate().
+     * Score one window (normally the most recent) against a threshold from
+     * calibrate() with the same model.
      *
-     * @param {Array} window20x7  — shape (20, 7), unscaled feature rows
+     * @param {Array} window20x7  — shape (windowSize, F), unscaled feature rows
+     * @param {number} threshold  — calibrate().threshold
+     * @param {string} [key]      — model info key from resolve(); the default model if omitted
      * @returns {{ reconError: number, confidence: number, isAnomaly: boolean, threshold: number }}
      */
-    async function score(window20x7) {
-        if (!_ready || !_model) throw new Error('VAE not ready');
-        if (_threshold === null)  throw new Error('Call VAE.calibrate() before VAE.score()');
+    async function score(window20x7, threshold, key) {
+        const entry = _entry(key);
+        if (threshold === null || threshold === undefined) throw new Error('VAE.score() needs the threshold from VAE.calibrate()');
 
         // Re-ensure CPU backend is active
         if (tf.getBackend() !== 'cpu') {
@@ -497,19 +891,16 @@ window.VAE = (function () {
             await tf.ready();
         }
 
-        const scaled      = window20x7.map(row => _scaleRow(row));
-        const inputTensor = tf.tensor3d([scaled]);  // (1, 20, 7)
+        const scaled      = window20x7.map(row => _scaleRow(row, entry.scaler));
+        const inputTensor = tf.tensor3d([scaled]);  // (1, window, F)
         let output;
         try {
-            output = await _model.executeAsync(
-                { 'encoder_input': inputTensor },
-                ['Identity', 'Identity_1', 'Identity_2']
-            );
+            output = await _infer(entry, inputTensor);
             const errors    = await _computeBatchErrors(inputTensor, output, 1);
             const reconError = errors[0];
-            const confidence = Math.min(1, Math.max(0, 1 - reconError / _threshold));
-            const isAnomaly  = reconError > _threshold;
-            return { reconError, confidence, isAnomaly, threshold: _threshold };
+            const confidence = Math.min(1, Math.max(0, 1 - reconError / threshold));
+            const isAnomaly  = reconError > threshold;
+            return { reconError, confidence, isAnomaly, threshold };
         } finally {
             inputTensor.dispose();
             if (output) {
@@ -518,15 +909,245 @@ window.VAE = (function () {
         }
     }
 
+    /**
+     * Break one window's error down by feature and by day.
+     *
+     * Autoencoders (MSE scoring): each cell's squared reconstruction error,
+     * divided by the cell count so the cells sum to the window's error.
+     * Encoder-only models (KL or L2 scoring): occlusion — each cell in turn is
+     * set to its feature's mean over the window and the drop in error is that
+     * cell's share (rises are clamped to 0). Runs the windowSize × F occluded
+     * copies in one batch.
+     *
+     * @param {Array} window20x7  — shape (windowSize, F), unscaled feature rows
+     * @param {string} [key]      — model info key from resolve(); the default model if omitted
+     * @returns {Promise<{ method: 'reconstruction'|'occlusion', features: string[],
+     *           cells: number[][], byFeature: number[], byDay: number[] }>}
+     *           cells[day][feature], day 0 = oldest bar of the window
+     */
+    async function attribute(window20x7, key) {
+        const entry = _entry(key);
+
+        if (tf.getBackend() !== 'cpu') {
+            await tf.setBackend('cpu');
+            await tf.ready();
+        }
+
+        const features = entry.info.features;
+        const numF     = features.length;
+        const scaled   = window20x7.map(row => _scaleRow(row, entry.scaler));
+        const days     = scaled.length;
+        const cells    = scaled.map(() => new Array(numF).fill(0));
+        let method;
+
+        const inputTensor = tf.tensor3d([scaled]);
+        let output;
+        let occluded = null;
+        let occludedOutput;
+        try {
+            output = await _infer(entry, inputTensor);
+
+            if (_isReconstruction(inputTensor, output)) {
+                method = 'reconstruction';
+                const recon = await (Array.isArray(output) ? output[0] : output).data();
+                for (let t = 0; t < days; t++) {
+                    for (let f = 0; f < numF; f++) {
+                        const d = scaled[t][f] - (recon[t * numF + f] || 0);
+                        cells[t][f] = d * d / (days * numF);
+                    }
+                }
+            } else {
+                method = 'occlusion';
+                const base  = (await _computeBatchErrors(inputTensor, output, 1))[0];
+                const means = features.map((name, f) => scaled.reduce((sum, row) => sum + row[f], 0) / days);
+                const batch = [];
+                for (let t = 0; t < days; t++) {
+                    for (let f = 0; f < numF; f++) {
+                        const copy = scaled.map(row => row.slice());
+                        copy[t][f] = means[f];
+                        batch.push(copy);
+                    }
+                }
+                occluded = tf.tensor3d(batch);
+                occludedOutput = await _infer(entry, occluded);
+                const errors = await _computeBatchErrors(occluded, occludedOutput, batch.length);
+                for (let t = 0; t < days; t++) {
+                    for (let f = 0; f < numF; f++) {
+                        cells[t][f] = Math.max(0, base - errors[t * numF + f]);
+                    }
+                }
+            }
+        } finally {
+            [inputTensor, output, occluded, occludedOutput].forEach(t => {
+                if (!t) return;
+                Array.isArray(t) ? t.forEach(x => x.dispose()) : t.dispose();
+            });
+        }
+
+        return {
+            method:    method,
+            features:  features.slice(),
+            cells:     cells,
+            byFeature: features.map((name, f) => cells.reduce((sum, row) => sum + row[f], 0)),
+            byDay:     cells.map(row => row.reduce((sum, v) => sum + v, 0))
+        };
+    }
+
+    /**
+     * Train a VAE on rawData and store it in IndexedDB as the next version for
+     * opts.ticker/opts.interval, which resolve() then prefers. A fresh model
+     * fits a new scaler on these windows; opts.fineTune continues from the
+     * newest stored version with its scaler and window size at a lower learning
+     * rate. Loss = MSE reconstruction + beta × KL, with the reparameterisation
+     * trick. Versions beyond the newest MAX_VERSIONS are deleted.
+     *
+     * @param {Array} rawData  — tab.data
+     * @param {object} opts    — { ticker, interval, fineTune, epochs, … } over TRAIN_DEFAULTS
+     * @param {Function} [onProgress] — (fraction) after each batch and
+     *                     (fraction, { epoch, epochs, loss, recon, kl }) after each epoch
+     * @returns {Promise<{ model: object, history: object[] }>}  history = the per-epoch points
+     */
+    async function train(rawData, opts, onProgress) {
+        const o = Object.assign({}, TRAIN_DEFAULTS, opts);
+        if (!o.ticker || !o.interval) throw new Error('VAE.train() needs a ticker and an interval');
+        const ticker   = o.ticker.toUpperCase();
+        const interval = o.interval;
+
+        if (tf.getBackend() !== 'cpu') {
+            await tf.setBackend('cpu');
+            await tf.ready();
+        }
+
+        const versions = await _trainedVersions(ticker, interval);
+        const version  = (versions[0] || 0) + 1;
+        let previous = null;
+        if (o.fineTune) {
+            if (!versions.length) throw new Error('No trained model for ' + ticker + ' ' + interval + ' to fine-tune');
+            previous = await _loadTrained(ticker, interval, versions[0]);
+            o.windowSize = previous.info.windowSize;
+            o.features   = previous.info.features;
+        }
+
+        _validateConfig({ window_size: o.windowSize, features: o.features }, 'VAE.train() options');
+        const windows = buildWindows(rawData, o.windowSize, o.features);
+        if (windows.length < o.minWindows) {
+            throw new Error('Need at least ' + (o.minWindows + o.windowSize - 1) + ' bars to train (have ' + rawData.length + ')');
+        }
+
+        // Fine-tuning trains the previous version's networks in place; they
+        // belong to the new version afterwards
+        const encoder = previous ? previous.encoder : _buildEncoder(o);
+        const decoder = previous ? previous.decoder : _buildDecoder(o);
+        const scaler  = previous ? previous.scaler : _fitScaler(windows, o.features);
+        const key     = _trainedKey(ticker, interval, version);
+
+        const scaled    = windows.map(win => win.map(row => _scaleRow(row, scaler)));
+        const order     = scaled.map((win, i) => i);
+        const variables = encoder.trainableWeights.concat(decoder.trainableWeights).map(w => w.read());
+        const optimizer = tf.train.adam(o.fineTune ? o.fineTuneRate : o.learningRate);
+        const batches   = Math.ceil(scaled.length / o.batchSize);
+        const history   = [];
+        let entry;
+
+        try {
+            for (let epoch = 1; epoch <= o.epochs; epoch++) {
+                _shuffle(order);
+                const sums = { loss: 0, recon: 0, kl: 0 };
+
+                for (let b = 0; b < batches; b++) {
+                    const batch = order.slice(b * o.batchSize, (b + 1) * o.batchSize).map(i => scaled[i]);
+                    const xs    = tf.tensor3d(batch);
+                    let parts = null;
+                    let cost  = null;
+                    try {
+                        cost = optimizer.minimize(() => {
+                            const [zMean, zLogVar] = encoder.apply(xs, { training: true });
+                            const z     = zMean.add(zLogVar.mul(0.5).exp().mul(tf.randomNormal(zMean.shape)));
+                            const recon = tf.losses.meanSquaredError(xs, decoder.apply(z, { training: true }));
+                            const kl    = tf.mean(tf.sum(zLogVar.add(1).sub(zMean.square()).sub(zLogVar.exp()), -1)).mul(-0.5);
+                            parts = tf.keep(tf.stack([recon, kl]));
+                            return recon.add(kl.mul(o.beta));
+                        }, true, variables);
+                        const [loss, values] = await Promise.all([cost.data(), parts.data()]);
+                        sums.loss  += loss[0];
+                        sums.recon += values[0];
+                        sums.kl    += values[1];
+                    } finally {
+                        xs.dispose();
+                        if (cost) cost.dispose();
+                        if (parts) parts.dispose();
+                    }
+
+                    if (onProgress) onProgress(((epoch - 1) * batches + b + 1) / (o.epochs * batches));
+                    // Let the page breathe when this runs on the main thread (no worker)
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+
+                const point = {
+                    epoch:  epoch,
+                    epochs: o.epochs,
+                    loss:   sums.loss / batches,
+                    recon:  sums.recon / batches,
+                    kl:     sums.kl / batches
+                };
+                history.push(point);
+                if (onProgress) onProgress(epoch / o.epochs, point);
+            }
+
+            const config = {
+                window_size:  o.windowSize,
+                features:     o.features.slice(),
+                latent_dim:   encoder.outputs[0].shape[1],
+                trained_on:   [ticker],
+                interval:     interval,
+                trained_date: new Date().toISOString().slice(0, 10),
+                epochs:       (previous ? previous.info.epochs || 0 : 0) + o.epochs,
+                fine_tuned_from: previous ? previous.info.version : null,
+                bars:         rawData.length,
+                loss:         history[history.length - 1].loss
+            };
+            encoder.setUserDefinedMetadata({ scaler: scaler, config: config });
+            await encoder.save(STORE + key + '-encoder');
+            await decoder.save(STORE + key + '-decoder');
+            entry = _makeEntry(_info(key, 'trained', ticker, interval, version, config), encoder, decoder, scaler);
+        } catch (err) {
+            // Half-trained or unsaved networks are dropped, with any part of the
+            // new version that reached storage; the stored versions are untouched
+            encoder.dispose();
+            decoder.dispose();
+            await _removeStored(key);
+            throw err;
+        } finally {
+            optimizer.dispose();
+            // A fine-tune changed the previous version's networks: they now
+            // hold the new version, or were disposed with it
+            if (previous) _registry.delete(previous.info.key);
+        }
+        _registry.set(key, entry);
+
+        // Keep the newest MAX_VERSIONS in storage
+        for (const old of [version].concat(versions).slice(MAX_VERSIONS)) {
+            const oldKey = _trainedKey(ticker, interval, old);
+            _unload(oldKey);
+            await _removeStored(oldKey);
+        }
+
+        return { model: entry.info, history: history };
+    }
+
     // ── Expose module ──────────────────────────────────────────────────────────
     return {
-        get ready() { return _ready; },
+        TRAIN_DEFAULTS,
+        FEATURES,
+        DEFAULT_FEATURES,
+        get ready() { return _registry.has(DEFAULT_KEY); },
+        get status() { return _status; },
         load,
+        resolve,
         buildWindows,
         calibrate,
-        score
+        score,
+        attribute,
+        train
     };
 })();
-
-// Auto-load on page start — fails silently if /vae/ files are not present yet.
-VAE.load();
@@ -0,0 +1,105 @@
+/**
+ * workspace.js — Named Workspace Storage
+ *
+ * Persists workspace snapshots (open tabs, their history, sub-tab and
+ * simulator trades) to localStorage so a page reload does not wipe the
+ * session. The snapshot shape is owned by app.js; this module only stores,
+ * lists and deletes them. Exposes window.Workspace:
+ *
+ *   Workspace.list()              — saved workspace names, sorted
+ *   Workspace.currentName         — name of the workspace in use
+ *   Workspace.setCurrent(name)    — remember which workspace to open on load
+ *   Workspace.load(name)          — snapshot object or null
+ *   Workspace.save(name, snap)    — store a snapshot; returns false on quota errors
+ *   Workspace.remove(name)        — delete a saved workspace
+ *
+ * Each workspace lives under its own key (WORKSPACE_PREFIX + name) so one
+ * large snapshot — file-backed tabs carry their bars — cannot corrupt the
+ * index of the others.
+ */
+window.Workspace = (function () {
+    'use strict';
+
+    const INDEX_KEY        = 'workspaces';
+    const WORKSPACE_PREFIX = 'workspace:';
+    const DEFAULT_NAME     = 'Default';
+
+    // ── Module state ───────────────────────────────────────────────────────────
+    let _index = { current: DEFAULT_NAME, names: [] };
+
+    // ── Persistence ────────────────────────────────────────────────────────────
+
+    function _loadIndex() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(INDEX_KEY) || 'null');
+            if (saved && Array.isArray(saved.names)) _index = saved;
+        } catch (err) {
+            console.warn('[Workspace] Could not read workspace index:', err.message);
+        }
+    }
+
+    function _saveIndex() {
+        try {
+            localStorage.setItem(INDEX_KEY, JSON.stringify(_index));
+        } catch (err) {
+            console.warn('[Workspace] Could not persist workspace index:', err.message);
+        }
+    }
+
+    // ── Public API ─────────────────────────────────────────────────────────────
+
+    function list() {
+        const names = _index.names.slice();
+        if (names.indexOf(_index.current) === -1) names.push(_index.current);
+        return names.sort((a, b) => a.localeCompare(b));
+    }
+
+    function setCurrent(name) {
+        _index.current = name;
+        _saveIndex();
+    }
+
+    function load(name) {
+        try {
+            return JSON.parse(localStorage.getItem(WORKSPACE_PREFIX + name) || 'null');
+        } catch (err) {
+            console.warn('[Workspace] Could not read workspace "' + name + '":', err.message);
+            return null;
+        }
+    }
+
+    function save(name, snapshot) {
+        try {
+            localStorage.setItem(WORKSPACE_PREFIX + name, JSON.stringify(snapshot));
+        } catch (err) {
+            console.warn('[Workspace] Could not save workspace "' + name + '":', err.message);
+            return false;
+        }
+        if (_index.names.indexOf(name) === -1) {
+            _index.names.push(name);
+            _saveIndex();
+        }
+        return true;
+    }
+
+    function remove(name) {
+        localStorage.removeItem(WORKSPACE_PREFIX + name);
+        _index.names = _index.names.filter(n => n !== name);
+        if (_index.current === name) {
+            _index.current = _index.names[0] || DEFAULT_NAME;
+        }
+        _saveIndex();
+    }
+
+    _loadIndex();
+
+    // ── Expose module ──────────────────────────────────────────────────────────
+    return {
+        get currentName() { return _index.current; },
+        list,
+        setCurrent,
+        load,
+        save,
+        remove
+    };
+})();